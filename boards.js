@@ -0,0 +1,71 @@
+// Board switcher - lists named boards and lets the user create, rename, duplicate, delete and switch between them
+class BoardBar {
+    constructor(storage) {
+        this.storage = storage;
+        
+        // DOM elements
+        this.bar = document.getElementById('boardBar');
+        this.select = document.getElementById('boardSelect');
+        this.newBtn = document.getElementById('newBoard');
+        this.renameBtn = document.getElementById('renameBoard');
+        this.duplicateBtn = document.getElementById('duplicateBoard');
+        this.deleteBtn = document.getElementById('deleteBoard');
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+    
+    setupEventListeners() {
+        this.select.addEventListener('change', () => {
+            window.app.switchBoard(this.select.value);
+            this.select.blur();
+        });
+        
+        this.newBtn.addEventListener('click', () => this.promptNewBoard());
+        this.renameBtn.addEventListener('click', () => this.promptRenameBoard());
+        this.duplicateBtn.addEventListener('click', () => window.app.duplicateBoard());
+        this.deleteBtn.addEventListener('click', () => this.confirmDeleteBoard());
+    }
+    
+    promptNewBoard() {
+        const name = prompt('Board name:', 'Untitled Board');
+        if (name !== null && name.trim()) {
+            window.app.createBoard(name.trim());
+        }
+    }
+    
+    promptRenameBoard() {
+        const board = this.storage.getActiveBoard();
+        const name = prompt('Rename board:', board.name);
+        if (name !== null && name.trim() && name.trim() !== board.name) {
+            window.app.renameBoard(board.id, name.trim());
+        }
+    }
+    
+    confirmDeleteBoard() {
+        const board = this.storage.getActiveBoard();
+        if (confirm(`Are you sure you want to delete the board "${board.name}"? This cannot be undone.`)) {
+            window.app.deleteBoard(board.id);
+        }
+    }
+    
+    // Rebuild the board list, marking the active board
+    render() {
+        this.select.innerHTML = '';
+        
+        this.storage.listBoards().forEach(board => {
+            const option = document.createElement('option');
+            option.value = board.id;
+            option.textContent = board.name;
+            option.selected = board.id === this.storage.activeBoardId;
+            this.select.appendChild(option);
+        });
+        
+        const activeBoard = this.storage.getActiveBoard();
+        document.title = activeBoard ? `${activeBoard.name} - Interactive Card Canvas` : 'Interactive Card Canvas';
+    }
+}
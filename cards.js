@@ -1,4 +1,4 @@
-// Card management - handles card creation, dragging, and interaction with multi-select and snap relationships
+// Card management - handles card creation, dragging, frames, and interaction with multi-select and snap relationships
 class CardManager {
     constructor(world) {
         this.world = world;
@@ -6,33 +6,88 @@ class CardManager {
         this.nextId = 1;
         this.activeCard = null;
         
+        // Checklists, images, links, code and sticky notes (see CardTypes)
+        this.types = new CardTypes();
+        
+        // Card-level styling fields (see renderCardStyle)
+        this.STYLE_FIELDS = ['color', 'borderColor', 'icon', 'tags'];
+        
         // Multi-selection
         this.selectedCards = new Set();
         this.isMultiSelecting = false;
         
+        // Marquee (rubber-band) selection
+        this.isMarqueeSelecting = false;
+        this.marqueeStart = null;
+        this.marqueeElement = null;
+        this.marqueeBaseSelection = new Set(); // Selection kept when extending with Ctrl
+        this.CLICK_TOLERANCE = 3; // screen pixels a click may move before it counts as a drag
+        this.pointerDownPos = null;
+        
+        // Pointer (mouse, finger or pen) driving the current drag, resize or marquee; other pointers are ignored
+        this.activePointerId = null;
+        
+        // Touch and pen: holding still on a card opens it for editing, on empty canvas starts a marquee
+        this.LONG_PRESS_DELAY = 500; // ms
+        this.LONG_PRESS_TOLERANCE = 8; // screen pixels a finger may wander during a long press
+        this.longPress = null;
+        this.suppressNextClick = false;
+        
         // Dragging state
         this.isDraggingCard = false;
         this.draggedCard = null;
         this.dragOffset = { x: 0, y: 0 };
         this.multiDragOffsets = new Map(); // For multi-selection dragging
         
+        // Resizing state
+        this.isResizingCard = false;
+        this.resizeState = null;
+        this.MIN_CARD_WIDTH = 200;  // Matches .card min-width
+        this.MIN_CARD_HEIGHT = 100; // Matches .card min-height
+        
         // Undo/Redo tracking
         this.dragStartPositions = new Map(); // Track positions at start of drag
         
+        // Frames (groups that own a set of cards and may nest)
+        this.frames = new Map();
+        this.nextFrameId = 1;
+        this.selectedFrame = null;
+        this.isDraggingFrame = false;
+        this.frameDragState = null;
+        this.isResizingFrame = false;
+        this.frameResizeState = null;
+        this.FRAME_PADDING = 40;
+        this.FRAME_TITLE_HEIGHT = 32;
+        this.MIN_FRAME_WIDTH = 200;
+        this.MIN_FRAME_HEIGHT = 120;
+        
         // Snapping
         this.SNAP_DISTANCE = 5; // pixels in world coordinates
         this.snapIndicators = { x: null, y: null };
         
+        // Virtualization: only cards in or near the visible area have elements (see updateVisibleCards)
+        this.cardElements = new Map(); // card ID -> mounted element
+        this.cardIndex = new SpatialGrid();
+        this.cardHeights = new Map(); // card ID -> measured height of an 'auto' card
+        this.ESTIMATED_CARD_HEIGHT = 150; // for 'auto' cards that have never been mounted
+        this.CULL_MARGIN = 400; // screen pixels around the viewport whose cards stay mounted
+        this.visibleUpdateScheduled = false;
+        
+        // Mounted 'auto' cards can change height by themselves (images loading, fonts arriving)
+        this.resizeObserver = typeof ResizeObserver !== 'undefined' ?
+            new ResizeObserver(entries => this.handleCardResize(entries)) : null;
+        
         this.init();
     }
     
     init() {
         this.setupEventListeners();
         this.setupCtrlKeyTracking();
+        this.observeView();
     }
     
     setupCtrlKeyTracking() {
-        // Track Ctrl key state globally
+        // Track Ctrl key state globally (the multi-selection itself persists after release)
         this.isCtrlPressed = false;
         
         document.addEventListener('keydown', (e) => {
@@ -44,43 +99,15 @@ class CardManager {
         document.addEventListener('keyup', (e) => {
             if (!e.ctrlKey && !e.metaKey) {
                 this.isCtrlPressed = false;
-                // Clear multi-selection when Ctrl is released
-                this.clearMultiSelection();
             }
         });
         
         // Handle window focus loss (Ctrl might be released outside window)
         window.addEventListener('blur', () => {
             this.isCtrlPressed = false;
-            this.clearMultiSelection();
         });
     }
     
-    clearMultiSelection() {
-        // Keep only the active card selected, remove selected styling from others
-        if (this.selectedCards.size > 1) {
-            this.selectedCards.forEach(cardId => {
-                if (cardId !== this.activeCard) {
-                    const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
-                    if (element) {
-                        element.classList.remove('selected');
-                    }
-                }
-            });
-            
-            // Clear the selectedCards set and only keep the active card
-            this.selectedCards.clear();
-            if (this.activeCard) {
-                this.selectedCards.add(this.activeCard);
-                // Make sure active card still has proper styling
-                const activeElement = this.world.world.querySelector(`[data-card-id="${this.activeCard}"]`);
-                if (activeElement) {
-                    activeElement.classList.add('active', 'selected');
-                }
-            }
-        }
-    }
-    
     setupEventListeners() {
         // Card double-click for editing
         this.world.world.addEventListener('dblclick', (e) => {
@@ -92,8 +119,25 @@ class CardManager {
         
         // Card single-click for selection
         this.world.world.addEventListener('click', (e) => {
+            // The click that ends a long press was already handled by it
+            if (this.suppressNextClick) {
+                this.suppressNextClick = false;
+                return;
+            }
+            
+            // A link card's address opens in a new tab without selecting the card
+            if (e.target.closest('a.link-card-url')) {
+                e.stopPropagation();
+                return;
+            }
+            
             const card = e.target.closest('.card');
-            if (card) {
+            const checklistItem = e.target.closest('.checklist-item');
+            if (card && checklistItem) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleChecklistItem(parseInt(card.dataset.cardId), parseInt(checklistItem.dataset.index));
+            } else if (card) {
                 e.preventDefault();
                 e.stopPropagation();
                 // Only allow multi-select if Ctrl is actively pressed
@@ -106,14 +150,28 @@ class CardManager {
         });
         
         // Card dragging - both from drag handle and card body
-        this.world.world.addEventListener('mousedown', (e) => {
+        this.world.world.addEventListener('pointerdown', (e) => {
             const card = e.target.closest('.card');
-            if (card && e.button === 0) {
-                // Check if it's a drag handle or card body (but not content that might have text selection)
+            const resizeHandle = e.target.closest('.resize-handle');
+            
+            if (card && resizeHandle && e.button === 0) {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                const cardId = parseInt(card.dataset.cardId);
+                if (!this.selectedCards.has(cardId)) {
+                    this.selectCard(cardId, this.isCtrlPressed);
+                }
+                
+                this.activePointerId = e.pointerId;
+                this.startResizing(card, resizeHandle.dataset.direction, e);
+            } else if (card && e.button === 0) {
+                // Check if it's a drag handle or card body (but not content that might have text selection);
+                // fingers and pens drag from anywhere on the card
                 const dragHandle = e.target.closest('.drag-handle');
                 const cardContent = e.target.closest('.card-content');
                 
-                if (dragHandle || (card && !cardContent)) {
+                if (dragHandle || (card && !cardContent) || e.pointerType !== 'mouse') {
                     e.preventDefault();
                     e.stopPropagation();
                     
@@ -125,26 +183,260 @@ class CardManager {
                         this.selectCard(cardId, isMultiSelect);
                     }
                     
+                    this.activePointerId = e.pointerId;
                     this.startDragging(card, e);
+                    
+                    if (e.pointerType !== 'mouse') {
+                        this.startLongPress(e, () => {
+                            // Holding still was not a drag after all: open the card for editing
+                            this.endPointerGesture();
+                            this.suppressNextClick = true;
+                            this.selectCard(cardId, false);
+                        });
+                    }
                 }
             }
         });
         
-        document.addEventListener('mousemove', (e) => {
+        document.addEventListener('pointermove', (e) => {
+            if (this.longPress && e.pointerId === this.longPress.pointerId &&
+                Math.hypot(e.clientX - this.longPress.x, e.clientY - this.longPress.y) > this.LONG_PRESS_TOLERANCE) {
+                this.cancelLongPress();
+            }
+            if (e.pointerId !== this.activePointerId) return;
+            
             if (this.isDraggingCard && this.draggedCard) {
                 this.updateCardDrag(e);
+            } else if (this.isResizingCard) {
+                this.updateCardResize(e);
             }
         });
         
-        document.addEventListener('mouseup', (e) => {
-            if (this.isDraggingCard && e.button === 0) {
+        const endPointer = (e) => {
+            if (this.longPress && e.pointerId === this.longPress.pointerId) {
+                this.cancelLongPress();
+            }
+            if (e.pointerId !== this.activePointerId) return;
+            
+            if (this.isDraggingCard) {
                 this.endDragging();
+            } else if (this.isResizingCard) {
+                this.endResizing();
+            }
+        };
+        document.addEventListener('pointerup', endPointer);
+        document.addEventListener('pointercancel', endPointer);
+        
+        this.setupMarqueeSelection();
+        this.setupFrameEvents();
+    }
+    
+    setupMarqueeSelection() {
+        const viewport = this.world.viewport;
+        
+        viewport.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.pointerDownPos = { x: e.clientX, y: e.clientY };
+            
+            // Shift+drag on empty space draws a selection rectangle
+            if (e.shiftKey && !this.isDraggingCard && this.isEmptyCanvasTarget(e.target)) {
+                e.preventDefault();
+                this.activePointerId = e.pointerId;
+                this.startMarquee(e);
+            } else if (e.pointerType !== 'mouse' && this.isEmptyCanvasTarget(e.target)) {
+                // Without a Shift key, a long press turns the one-finger pan into a selection rectangle
+                const pointerId = e.pointerId;
+                const start = { clientX: e.clientX, clientY: e.clientY };
+                this.startLongPress(e, () => {
+                    this.world.cancelPan();
+                    this.activePointerId = pointerId;
+                    this.startMarquee(start);
+                });
+            }
+        });
+        
+        document.addEventListener('pointermove', (e) => {
+            if (this.isMarqueeSelecting && e.pointerId === this.activePointerId) {
+                this.updateMarquee(e);
+            }
+        });
+        
+        const endPointer = (e) => {
+            if (this.isMarqueeSelecting && e.pointerId === this.activePointerId) {
+                this.endMarquee();
+            }
+        };
+        document.addEventListener('pointerup', endPointer);
+        document.addEventListener('pointercancel', endPointer);
+        
+        // A plain click on empty space (not the end of a pan) clears the selection
+        viewport.addEventListener('click', (e) => {
+            if (!this.pointerDownPos || e.shiftKey || this.isCtrlPressed || !this.isEmptyCanvasTarget(e.target)) return;
+            
+            const moved = Math.abs(e.clientX - this.pointerDownPos.x) > this.CLICK_TOLERANCE ||
+                Math.abs(e.clientY - this.pointerDownPos.y) > this.CLICK_TOLERANCE;
+            if (!moved) {
+                this.clearSelection();
+            }
+        });
+    }
+    
+    // Run an action if the pointer stays down and (nearly) still for LONG_PRESS_DELAY
+    startLongPress(event, action) {
+        this.cancelLongPress();
+        this.longPress = {
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            timer: setTimeout(() => {
+                this.longPress = null;
+                action();
+            }, this.LONG_PRESS_DELAY)
+        };
+    }
+    
+    cancelLongPress() {
+        if (this.longPress) {
+            clearTimeout(this.longPress.timer);
+            this.longPress = null;
+        }
+    }
+    
+    // Finish whatever drag, resize or marquee is in progress (a pinch takes over the canvas, or a long press fired)
+    endPointerGesture() {
+        this.cancelLongPress();
+        
+        if (this.isDraggingCard) {
+            this.endDragging();
+        } else if (this.isResizingCard) {
+            this.endResizing();
+        } else if (this.isMarqueeSelecting) {
+            this.endMarquee();
+        } else if (this.isDraggingFrame) {
+            this.endFrameDrag();
+        } else if (this.isResizingFrame) {
+            this.endFrameResize();
+        }
+        this.activePointerId = null;
+    }
+    
+    isEmptyCanvasTarget(target) {
+        if (target === this.world.viewport || target === this.world.world) return true;
+        
+        // A frame's body counts as empty canvas; only its title bar is interactive
+        return !!target.closest('.frame') && !target.closest('.frame-title') && !target.closest('.frame-resize');
+    }
+    
+    startMarquee(event) {
+        this.isMarqueeSelecting = true;
+        this.marqueeStart = { x: event.clientX, y: event.clientY };
+        
+        // Ctrl+Shift+drag extends the current selection instead of replacing it
+        this.marqueeBaseSelection = this.isCtrlPressed ? new Set(this.selectedCards) : new Set();
+        
+        this.marqueeElement = document.createElement('div');
+        this.marqueeElement.className = 'marquee';
+        this.world.viewport.appendChild(this.marqueeElement);
+        
+        this.updateMarquee(event);
+    }
+    
+    updateMarquee(event) {
+        const left = Math.min(this.marqueeStart.x, event.clientX);
+        const top = Math.min(this.marqueeStart.y, event.clientY);
+        const right = Math.max(this.marqueeStart.x, event.clientX);
+        const bottom = Math.max(this.marqueeStart.y, event.clientY);
+        
+        // Marquee is drawn in screen space on the viewport
+        this.marqueeElement.style.left = `${left}px`;
+        this.marqueeElement.style.top = `${top}px`;
+        this.marqueeElement.style.width = `${right - left}px`;
+        this.marqueeElement.style.height = `${bottom - top}px`;
+        
+        // Hit-test cards in world coordinates
+        const topLeft = this.world.screenToWorld(left, top);
+        const bottomRight = this.world.screenToWorld(right, bottom);
+        const hits = this.getCardsInRect({
+            left: topLeft.x,
+            top: topLeft.y,
+            right: bottomRight.x,
+            bottom: bottomRight.y
+        });
+        
+        this.setSelection([...this.marqueeBaseSelection, ...hits]);
+    }
+    
+    endMarquee() {
+        if (this.marqueeElement) {
+            this.marqueeElement.remove();
+            this.marqueeElement = null;
+        }
+        
+        this.isMarqueeSelecting = false;
+        this.marqueeStart = null;
+        this.marqueeBaseSelection.clear();
+        this.pointerDownPos = null;
+    }
+    
+    // Get IDs of all cards intersecting a rectangle in world coordinates
+    getCardsInRect(rect) {
+        const hits = [];
+        
+        // The index finds the candidates; only those overlapping the rectangle itself count
+        this.cardIndex.query(rect).forEach(id => {
+            if (this.isCardHidden(id)) return;
+            
+            const bounds = this.getCardBounds(id);
+            const intersects = bounds.x < rect.right && bounds.x + bounds.width > rect.left &&
+                bounds.y < rect.bottom && bounds.y + bounds.height > rect.top;
+            if (intersects) {
+                hits.push(id);
+            }
+        });
+        
+        return hits;
+    }
+    
+    // Replace the selection with a set of cards without opening the editor
+    setSelection(cardIds) {
+        const newSelection = new Set(cardIds);
+        
+        this.selectedCards.forEach(cardId => {
+            if (!newSelection.has(cardId)) {
+                const element = this.getCardElement(cardId);
+                if (element) {
+                    element.classList.remove('selected', 'active');
+                }
+            }
+        });
+        
+        // A multi-selection has no active card, so the sidebar is closed
+        if (this.activeCard !== null && window.sidebar && window.sidebar.isOpen) {
+            window.sidebar.close();
+        }
+        this.activeCard = null;
+        
+        this.selectedCards = newSelection;
+        this.selectedCards.forEach(cardId => {
+            const element = this.getCardElement(cardId);
+            if (element) {
+                element.classList.remove('active');
+                element.classList.add('selected');
             }
         });
+        this.requestSelectionRender();
+    }
+    
+    // Take the next free card ID (collaborators each take their own, see SyncManager.claimId)
+    claimId() {
+        const id = window.syncManager ? window.syncManager.claimId(this.nextId) : this.nextId;
+        this.nextId = id + 1;
+        return id;
     }
     
-    createCard(data = {}) {
-        const id = data.id || this.nextId++;
+    // Pass mount = false when creating many cards at once, then call updateVisibleCards()
+    createCard(data = {}, mount = true) {
+        const id = data.id || this.claimId();
         
         const cardData = {
             id: id,
@@ -156,9 +448,21 @@ class CardManager {
             ...data
         };
         
-        const cardElement = this.createElement(cardData);
-        this.world.world.appendChild(cardElement);
+        // New cards note when they were made (cards saved before dates were kept have no date)
+        if (!data.id && cardData.createdAt === undefined) {
+            cardData.createdAt = Date.now();
+        }
+        
         this.cards.set(id, cardData);
+        this.indexCard(id);
+        SyncManager.requestFlush();
+        
+        // Cards away from the view get their element once they scroll into it;
+        // a new card is the newest, so its element goes last
+        if (mount && this.isInCullRect(id)) {
+            this.world.world.appendChild(this.buildCardElement(id));
+            this.highlightMountedCards([id]);
+        }
         
         // Update next ID if we're loading from storage
         if (id >= this.nextId) {
@@ -172,6 +476,12 @@ class CardManager {
         const card = document.createElement('div');
         card.className = 'card ql-container ql-snow';
         card.dataset.cardId = cardData.id;
+        card.dataset.type = this.types.getType(cardData);
+        
+        // Cards are options of the world's listbox; KeyboardNavigation keeps one of them in the tab order
+        card.setAttribute('role', 'option');
+        card.setAttribute('aria-selected', 'false');
+        card.tabIndex = -1;
         card.style.left = `${cardData.x}px`;
         card.style.top = `${cardData.y}px`;
         card.style.width = `${cardData.width}px`;
@@ -183,14 +493,87 @@ class CardManager {
             card.style.height = `${cardData.height}px`;
         }
         
+        const resizeHandles = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw']
+            .map(direction => `<div class="resize-handle resize-${direction}" data-direction="${direction}"></div>`)
+            .join('');
+        
+        // The summary stands in for the content when zoomed out (see DetailLevels)
         card.innerHTML = `
             <div class="drag-handle"></div>
-            <div class="card-content ql-editor">${cardData.content}</div>
+            <span class="card-icon" aria-hidden="true"></span>
+            <div class="card-content ql-editor">${this.types.render(cardData)}</div>
+            <div class="card-tags"></div>
+            <div class="card-summary" aria-hidden="true"><span class="card-swatch"></span><span class="card-summary-title"></span></div>
+            ${resizeHandles}
         `;
+        this.renderCardSummary(card, cardData);
+        this.renderCardStyle(card, cardData);
         
         return card;
     }
     
+    // Show a card's content the way its type does
+    renderCardContent(element, cardData) {
+        element.dataset.type = this.types.getType(cardData);
+        element.querySelector('.card-content').innerHTML = this.types.render(cardData);
+        this.renderCardSummary(element, cardData);
+    }
+    
+    // Title of the zoomed-out placeholder: the first line of the card's text
+    renderCardSummary(element, cardData) {
+        element.querySelector('.card-summary-title').textContent = this.types.getTitle(cardData) || 'Empty card';
+    }
+    
+    // Card-level styling: background and border colours (the border colour, or else the background, is the
+    // card's accent), an icon badge and tag chips
+    renderCardStyle(element, cardData) {
+        const setVariable = (name, value) => {
+            if (value) {
+                element.style.setProperty(name, value);
+            } else {
+                element.style.removeProperty(name);
+            }
+        };
+        setVariable('--card-background', cardData.color);
+        setVariable('--card-border', cardData.borderColor);
+        setVariable('--card-accent', cardData.borderColor || cardData.color);
+        element.classList.toggle('dark', this.isDarkColor(cardData.color));
+        
+        // (history previews have no zoomed-out summary)
+        element.querySelector('.card-icon').textContent = cardData.icon || '';
+        const swatch = element.querySelector('.card-swatch');
+        if (swatch) {
+            swatch.textContent = cardData.icon || '';
+        }
+        
+        element.querySelector('.card-tags').replaceChildren(...(cardData.tags || []).map(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'card-tag';
+            chip.textContent = tag;
+            chip.style.setProperty('--tag-hue', this.getTagHue(tag));
+            return chip;
+        }));
+    }
+    
+    // Whether a background colour ('#rrggbb') needs light text on it
+    isDarkColor(color) {
+        const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+        if (!match) return false;
+        
+        const value = parseInt(match[1], 16);
+        const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+        return luminance < 0.5;
+    }
+    
+    // Each tag gets the same hue on every card
+    getTagHue(tag) {
+        let hash = 0;
+        for (const char of tag.toLowerCase()) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return hash;
+    }
+    
     updateCard(id, updates) {
         const cardData = this.cards.get(id);
         if (!cardData) return;
@@ -200,41 +583,63 @@ class CardManager {
         
         Object.assign(cardData, updates);
         
-        const element = this.world.world.querySelector(`[data-card-id="${id}"]`);
+        // Editing what the card says or how it looks (not where it is or its size) counts as modifying it
+        const edited = ['content', 'type', 'language', ...this.STYLE_FIELDS]
+            .some(key => key in updates && JSON.stringify(oldData[key]) !== JSON.stringify(cardData[key]));
+        if (edited) {
+            cardData.updatedAt = Date.now();
+        }
+        
+        // Save resize state for undo/redo if width changed significantly
+        if (updates.width !== undefined && Math.abs(oldData.width - cardData.width) > 5 && window.undoRedoManager) {
+            window.undoRedoManager.saveState('resize_card', {
+                cardId: id,
+                oldWidth: oldData.width,
+                newWidth: cardData.width
+            });
+        }
+        
+        // Save resize state for undo/redo if height changed significantly
+        if (updates.height !== undefined && oldData.height !== cardData.height && window.undoRedoManager) {
+            window.undoRedoManager.saveState('resize_card', {
+                cardId: id,
+                oldHeight: oldData.height,
+                newHeight: cardData.height
+            });
+        }
+        
+        // Unmounted cards only change their data
+        const element = this.getCardElement(id);
         if (element) {
             if (updates.x !== undefined) element.style.left = `${cardData.x}px`;
             if (updates.y !== undefined) element.style.top = `${cardData.y}px`;
-            if (updates.width !== undefined) {
-                element.style.width = `${cardData.width}px`;
-                
-                // Save resize state for undo/redo if width changed significantly
-                if (Math.abs(oldData.width - cardData.width) > 5 && window.undoRedoManager) {
-                    window.undoRedoManager.saveState('resize_card', {
-                        cardId: id,
-                        oldWidth: oldData.width,
-                        newWidth: cardData.width
-                    });
-                }
-            }
+            if (updates.width !== undefined) element.style.width = `${cardData.width}px`;
             if (updates.height !== undefined) {
                 if (cardData.height === 'auto') {
                     element.style.height = 'auto';
                 } else {
                     element.style.height = `${cardData.height}px`;
                 }
-                
-                // Save resize state for undo/redo if height changed significantly
-                if (oldData.height !== cardData.height && window.undoRedoManager) {
-                    window.undoRedoManager.saveState('resize_card', {
-                        cardId: id,
-                        oldHeight: oldData.height,
-                        newHeight: cardData.height
-                    });
-                }
             }
-            if (updates.content !== undefined) {
-                element.querySelector('.card-content').innerHTML = cardData.content;
+            if (updates.content !== undefined || updates.type !== undefined || updates.language !== undefined) {
+                this.renderCardContent(element, cardData);
             }
+            if (this.STYLE_FIELDS.some(key => key in updates)) {
+                this.renderCardStyle(element, cardData);
+            }
+        }
+        
+        // A new width, new content or new tags can change an 'auto' card's height
+        if (updates.width !== undefined || updates.height !== undefined || updates.content !== undefined ||
+            updates.type !== undefined || updates.tags !== undefined) {
+            this.cardHeights.delete(id);
+        }
+        this.indexCard(id);
+        SyncManager.requestFlush();
+        
+        // Re-route connections to follow the card's new geometry
+        if (window.connectionManager) {
+            window.connectionManager.updateCardConnections([id]);
         }
         
         // Save to storage
@@ -243,15 +648,91 @@ class CardManager {
         }
     }
     
-    deleteCard(id) {
-        const element = this.world.world.querySelector(`[data-card-id="${id}"]`);
+    // Refresh a card from its data (position, size, content and styling) after the data changed
+    renderCard(cardData) {
+        this.cardHeights.delete(cardData.id);
+        
+        const element = this.getCardElement(cardData.id);
         if (element) {
-            element.remove();
+            element.style.left = `${cardData.x}px`;
+            element.style.top = `${cardData.y}px`;
+            element.style.width = `${cardData.width}px`;
+            element.style.height = (cardData.height === 'auto' || cardData.height === undefined) ? 'auto' : `${cardData.height}px`;
+            this.renderCardContent(element, cardData);
+            this.renderCardStyle(element, cardData);
         }
         
+        this.indexCard(cardData.id);
+        SyncManager.requestFlush();
+    }
+    
+    // Tick or untick one item of a checklist card
+    toggleChecklistItem(id, index) {
+        const cardData = this.cards.get(id);
+        if (!cardData) return;
+        
+        // Typing in an open editor on the card is its own undo step
+        const editing = window.sidebar && window.sidebar.currentCard === cardData;
+        if (editing) {
+            window.sidebar.flushContentChanges();
+        }
+        
+        this.updateCard(id, { content: this.types.toggleItem(cardData, index) });
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('toggle_checklist_item', { cardId: id });
+        }
+        
+        if (editing) {
+            window.sidebar.refreshTypeEditor();
+        }
+    }
+    
+    // Replace a card's data wholesale, creating or removing it as needed (used by undo/redo).
+    // Unlike deleteCard, removal leaves connections and frames alone - undo restores those separately.
+    setCardRecord(id, record) {
+        const cardData = this.cards.get(id);
+        
+        if (!record) {
+            if (!cardData) return;
+            this.forgetCard(id);
+            this.cards.delete(id);
+            this.selectedCards.delete(id);
+            if (this.activeCard === id) {
+                this.activeCard = null;
+            }
+            SyncManager.requestFlush();
+            return;
+        }
+        
+        if (!cardData) {
+            this.createCard(record);
+            return;
+        }
+        
+        // Keep the same object so anything holding it (like the sidebar) sees the change
+        Object.keys(cardData).forEach(key => {
+            if (!(key in record)) delete cardData[key];
+        });
+        Object.assign(cardData, record);
+        this.renderCard(cardData);
+    }
+    
+    deleteCard(id) {
+        this.forgetCard(id);
         this.cards.delete(id);
         this.selectedCards.delete(id);
         
+        // Remove connections attached to this card
+        if (window.connectionManager) {
+            window.connectionManager.removeConnectionsForCard(id);
+        }
+        
+        // Remove the card from its frame
+        this.frames.forEach(frame => {
+            frame.cardIds = frame.cardIds.filter(cardId => cardId !== id);
+        });
+        SyncManager.requestFlush();
+        
         // Close sidebar if this was the active card
         if (this.activeCard === id) {
             this.activeCard = null;
@@ -273,11 +754,13 @@ class CardManager {
         // Create duplicate with offset position
         const duplicateData = {
             ...originalCard,
-            id: this.nextId++,
+            id: this.claimId(),
+            createdAt: Date.now(),
             x: originalCard.x + 20,
             y: originalCard.y + 20
         };
         
+        delete duplicateData.updatedAt;
         const newCard = this.createCard(duplicateData);
         
         // Save to storage
@@ -291,7 +774,7 @@ class CardManager {
         return newCard;
     }
     
-    selectCard(id, isMultiSelect = false) {
+    selectCard(id, isMultiSelect = false, focusEditor = true) {
         const cardId = parseInt(id);
         
         if (isMultiSelect) {
@@ -299,7 +782,7 @@ class CardManager {
             if (this.selectedCards.has(cardId)) {
                 // Deselect if already selected
                 this.selectedCards.delete(cardId);
-                const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+                const element = this.getCardElement(cardId);
                 if (element) {
                     element.classList.remove('selected', 'active');
                 }
@@ -309,7 +792,7 @@ class CardManager {
                     const remainingSelected = Array.from(this.selectedCards);
                     if (remainingSelected.length > 0) {
                         this.activeCard = remainingSelected[0];
-                        const newActiveElement = this.world.world.querySelector(`[data-card-id="${this.activeCard}"]`);
+                        const newActiveElement = this.getCardElement(this.activeCard);
                         if (newActiveElement) {
                             newActiveElement.classList.add('active');
                         }
@@ -320,14 +803,14 @@ class CardManager {
             } else {
                 // Add to selection
                 this.selectedCards.add(cardId);
-                const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+                const element = this.getCardElement(cardId);
                 if (element) {
                     element.classList.add('selected');
                 }
                 
                 // Remove active from previous active card
                 if (this.activeCard && this.activeCard !== cardId) {
-                    const prevActiveElement = this.world.world.querySelector(`[data-card-id="${this.activeCard}"]`);
+                    const prevActiveElement = this.getCardElement(this.activeCard);
                     if (prevActiveElement) {
                         prevActiveElement.classList.remove('active');
                     }
@@ -335,7 +818,7 @@ class CardManager {
                 
                 // Make this card the new active card
                 this.activeCard = cardId;
-                const element2 = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+                const element2 = this.getCardElement(cardId);
                 if (element2) {
                     element2.classList.add('active');
                 }
@@ -346,7 +829,7 @@ class CardManager {
             this.selectedCards.add(cardId);
             this.activeCard = cardId;
             
-            const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+            const element = this.getCardElement(cardId);
             if (element) {
                 element.classList.add('active', 'selected');
             }
@@ -355,14 +838,15 @@ class CardManager {
         // Open sidebar with active card data
         if (this.activeCard && window.sidebar) {
             const cardData = this.cards.get(this.activeCard);
-            window.sidebar.open(cardData);
+            window.sidebar.open(cardData, focusEditor);
         }
+        this.requestSelectionRender();
     }
     
     clearSelection() {
         // Remove visual selection from all cards
         this.selectedCards.forEach(cardId => {
-            const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+            const element = this.getCardElement(cardId);
             if (element) {
                 element.classList.remove('active', 'selected');
             }
@@ -374,6 +858,20 @@ class CardManager {
         if (window.sidebar) {
             window.sidebar.close();
         }
+        this.requestSelectionRender();
+    }
+    
+    // Far out the selection decides which cards have elements, and the rectangles show it (see DetailLevels).
+    // The minimap and collaborators see the selection too, including cards without an element.
+    requestSelectionRender() {
+        SyncManager.requestFlush();
+        if (window.detailLevels && window.detailLevels.level === 'shape') {
+            this.requestVisibleCardsUpdate();
+            window.detailLevels.requestRender();
+        }
+        if (window.minimap) {
+            window.minimap.requestRender();
+        }
     }
     
     startDragging(cardElement, event) {
@@ -408,7 +906,7 @@ class CardManager {
                         y: mouseWorldPos.y - selectedCard.y
                     });
                     
-                    const selectedElement = this.world.world.querySelector(`[data-card-id="${selectedId}"]`);
+                    const selectedElement = this.getCardElement(selectedId);
                     if (selectedElement) {
                         selectedElement.classList.add('dragging');
                     }
@@ -470,25 +968,34 @@ class CardManager {
                 const deltaX = snapX - newX;
                 const deltaY = snapY - newY;
                 
-                // Update all selected cards
+                // Update all selected cards (those scrolled out of view only have data to move)
                 this.multiDragOffsets.forEach((offset, cardId) => {
                     const cardData = this.cards.get(cardId);
-                    const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+                    const element = this.getCardElement(cardId);
                     
-                    if (cardData && element) {
+                    if (cardData) {
                         const cardNewX = mouseWorldPos.x - offset.x + deltaX;
                         const cardNewY = mouseWorldPos.y - offset.y + deltaY;
                         
-                        element.style.left = `${cardNewX}px`;
-                        element.style.top = `${cardNewY}px`;
+                        if (element) {
+                            element.style.left = `${cardNewX}px`;
+                            element.style.top = `${cardNewY}px`;
+                        }
                         cardData.x = cardNewX;
                         cardData.y = cardNewY;
+                        this.indexCard(cardId);
                     }
                 });
             }
             
             // Update snap indicators
             this.updateSnapIndicators(snapLineX, snapLineY);
+            SyncManager.requestFlush();
+            
+            // Re-route connections of the moved cards
+            if (window.connectionManager) {
+                window.connectionManager.updateCardConnections(Array.from(this.multiDragOffsets.keys()));
+            }
         } else {
             // Single card dragging
             const cardId = parseInt(this.draggedCard.dataset.cardId);
@@ -510,6 +1017,13 @@ class CardManager {
             this.draggedCard.style.top = `${newY}px`;
             cardData.x = newX;
             cardData.y = newY;
+            this.indexCard(cardId);
+            SyncManager.requestFlush();
+            
+            // Re-route connections of the moved card
+            if (window.connectionManager) {
+                window.connectionManager.updateCardConnections([cardId]);
+            }
         }
     }
     
@@ -518,7 +1032,7 @@ class CardManager {
             // Clear dragging state from all cards
             if (this.multiDragOffsets.size > 0) {
                 this.selectedCards.forEach(cardId => {
-                    const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+                    const element = this.getCardElement(cardId);
                     if (element) {
                         element.classList.remove('dragging');
                     }
@@ -527,6 +1041,14 @@ class CardManager {
                 this.draggedCard.classList.remove('dragging');
             }
             
+            // Dropping cards inside a frame adopts them (before the undo state is captured)
+            this.dragStartPositions.forEach((start, cardId) => {
+                const cardData = this.cards.get(cardId);
+                if (cardData && (cardData.x !== start.x || cardData.y !== start.y)) {
+                    this.adoptCardIntoFrame(cardId);
+                }
+            });
+            
             // Finish drag operation for undo/redo
             if (window.undoRedoManager) {
                 window.undoRedoManager.finishDragOperation();
@@ -546,6 +1068,142 @@ class CardManager {
         this.hideSnapIndicators();
     }
     
+    startResizing(cardElement, direction, event) {
+        const cardId = parseInt(cardElement.dataset.cardId);
+        const cardData = this.cards.get(cardId);
+        if (!cardData) return;
+        
+        this.isResizingCard = true;
+        this.resizeState = {
+            cardId: cardId,
+            element: cardElement,
+            direction: direction,
+            startMouse: this.world.screenToWorld(event.clientX, event.clientY),
+            startRect: this.getCardBounds(cardId),
+            oldWidth: cardData.width,
+            oldHeight: cardData.height
+        };
+        
+        cardElement.classList.add('resizing');
+        document.body.style.cursor = getComputedStyle(event.target).cursor;
+        document.body.style.userSelect = 'none';
+    }
+    
+    updateCardResize(event) {
+        const state = this.resizeState;
+        const cardData = this.cards.get(state.cardId);
+        if (!cardData) return;
+        
+        // Mouse movement in world coordinates (screenToWorld accounts for the zoom level)
+        const mouseWorldPos = this.world.screenToWorld(event.clientX, event.clientY);
+        const deltaX = mouseWorldPos.x - state.startMouse.x;
+        const deltaY = mouseWorldPos.y - state.startMouse.y;
+        const start = state.startRect;
+        
+        let left = start.x;
+        let top = start.y;
+        let right = start.x + start.width;
+        let bottom = start.y + start.height;
+        
+        const movesWest = state.direction.includes('w');
+        const movesEast = state.direction.includes('e');
+        const movesNorth = state.direction.includes('n');
+        const movesSouth = state.direction.includes('s');
+        
+        if (movesWest) left += deltaX;
+        if (movesEast) right += deltaX;
+        if (movesNorth) top += deltaY;
+        if (movesSouth) bottom += deltaY;
+        
+        // Snap the moving edges against other cards' edges (a zero-size probe at the edge)
+        const edgeX = movesWest ? left : right;
+        const edgeY = movesNorth ? top : bottom;
+        const snapped = this.applySnapping(edgeX, edgeY, { id: state.cardId, width: 0, height: 0 }, new Set([state.cardId]));
+        const movesX = movesWest || movesEast;
+        const movesY = movesNorth || movesSouth;
+        
+        if (movesX) {
+            if (movesWest) left = snapped.x; else right = snapped.x;
+        }
+        if (movesY) {
+            if (movesNorth) top = snapped.y; else bottom = snapped.y;
+        }
+        
+        // Enforce minimum size, keeping the opposite edge fixed
+        if (right - left < this.MIN_CARD_WIDTH) {
+            if (movesWest) left = right - this.MIN_CARD_WIDTH; else right = left + this.MIN_CARD_WIDTH;
+        }
+        if (bottom - top < this.MIN_CARD_HEIGHT) {
+            if (movesNorth) top = bottom - this.MIN_CARD_HEIGHT; else bottom = top + this.MIN_CARD_HEIGHT;
+        }
+        
+        this.updateSnapIndicators(movesX ? snapped.snapLineX : null, movesY ? snapped.snapLineY : null);
+        
+        // Update DOM and data directly; the undo entry is recorded once when the gesture ends
+        const element = state.element;
+        cardData.x = left;
+        cardData.y = top;
+        cardData.width = Math.round(right - left);
+        element.style.left = `${cardData.x}px`;
+        element.style.top = `${cardData.y}px`;
+        element.style.width = `${cardData.width}px`;
+        
+        // Dragging a vertical edge switches the card from auto to a fixed height
+        if (movesY) {
+            cardData.height = Math.round(bottom - top);
+            element.style.height = `${cardData.height}px`;
+        } else if (movesX) {
+            this.cardHeights.delete(state.cardId); // an auto card rewraps to the new width
+        }
+        this.indexCard(state.cardId);
+        SyncManager.requestFlush();
+        
+        // Keep the sidebar form in sync
+        if (window.sidebar && window.sidebar.currentCard && window.sidebar.currentCard.id === state.cardId) {
+            window.sidebar.updateCard({ width: cardData.width, height: cardData.height });
+        }
+        
+        // Re-route connections of the resized card
+        if (window.connectionManager) {
+            window.connectionManager.updateCardConnections([state.cardId]);
+        }
+    }
+    
+    endResizing() {
+        const state = this.resizeState;
+        const cardData = state ? this.cards.get(state.cardId) : null;
+        
+        if (state) {
+            state.element.classList.remove('resizing');
+        }
+        
+        if (cardData) {
+            const changed = cardData.width !== state.oldWidth || cardData.height !== state.oldHeight ||
+                cardData.x !== state.startRect.x || cardData.y !== state.startRect.y;
+            
+            // Record a single undo entry for the whole gesture
+            if (changed && window.undoRedoManager) {
+                window.undoRedoManager.saveState('resize_card', {
+                    cardId: state.cardId,
+                    oldWidth: state.oldWidth,
+                    newWidth: cardData.width,
+                    oldHeight: state.oldHeight,
+                    newHeight: cardData.height
+                });
+            }
+            
+            if (changed && window.storage) {
+                window.storage.saveCards(Array.from(this.cards.values()));
+            }
+        }
+        
+        this.isResizingCard = false;
+        this.resizeState = null;
+        document.body.style.cursor = '';
+        document.body.style.userSelect = '';
+        this.hideSnapIndicators();
+    }
+    
     applySnapping(x, y, draggedCardData, excludeCards) {
         let snappedX = x;
         let snappedY = y;
@@ -555,26 +1213,17 @@ class CardManager {
         let minXDist = this.SNAP_DISTANCE + 1;
         let minYDist = this.SNAP_DISTANCE + 1;
         
-        // Check against all other cards
-        for (const [id, cardData] of this.cards) {
+        // Auto height cards use their measured height
+        const draggedHeight = this.getCardHeight(draggedCardData);
+        
+        // Check against the other cards in and around the view (all of them when the view has no size)
+        const cullRect = this.getCullRect();
+        const candidates = cullRect ? this.cardIndex.query(cullRect) : this.cards.keys();
+        for (const id of candidates) {
             if (excludeCards.has(id)) continue;
             
-            // Get actual height for snapping (auto height cards need DOM measurement)
-            let cardHeight = cardData.height;
-            if (cardHeight === 'auto') {
-                const element = this.world.world.querySelector(`[data-card-id="${id}"]`);
-                if (element) {
-                    cardHeight = element.offsetHeight;
-                }
-            }
-            
-            let draggedHeight = draggedCardData.height;
-            if (draggedHeight === 'auto') {
-                const element = this.world.world.querySelector(`[data-card-id="${draggedCardData.id}"]`);
-                if (element) {
-                    draggedHeight = element.offsetHeight;
-                }
-            }
+            const cardData = this.cards.get(id);
+            const cardHeight = this.getCardHeight(cardData);
             
             // X snapping - check all possible alignments
             const xAlignments = [
@@ -657,41 +1306,849 @@ class CardManager {
         }
     }
     
-    // Get all card data for saving
-    getAllCards() {
-        return Array.from(this.cards.values());
-    }
+    setupFrameEvents() {
+        // Frames are moved by their title bar and resized from the bottom-right corner
+        this.world.world.addEventListener('pointerdown', (e) => {
+            const frame = e.target.closest('.frame');
+            if (!frame || e.button !== 0 || e.shiftKey) return;
+            
+            const frameId = parseInt(frame.dataset.frameId);
+            
+            if (e.target.closest('.frame-resize')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.selectFrame(frameId);
+                this.activePointerId = e.pointerId;
+                this.startFrameResize(frameId, e);
+            } else if (e.target.closest('.frame-title')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.selectFrame(frameId);
+                this.activePointerId = e.pointerId;
+                this.startFrameDrag(frameId, e);
+            }
+        });
+        
+        this.world.world.addEventListener('dblclick', (e) => {
+            const title = e.target.closest('.frame-title');
+            if (title) {
+                e.stopPropagation();
+                this.renameFrame(parseInt(title.closest('.frame').dataset.frameId));
+            }
+        });
+        
+        document.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== this.activePointerId) return;
+            if (this.isDraggingFrame) {
+                this.updateFrameDrag(e);
+            } else if (this.isResizingFrame) {
+                this.updateFrameResize(e);
+            }
+        });
+        
+        const endPointer = (e) => {
+            if (e.pointerId !== this.activePointerId) return;
+            if (this.isDraggingFrame) {
+                this.endFrameDrag();
+            } else if (this.isResizingFrame) {
+                this.endFrameResize();
+            }
+        };
+        document.addEventListener('pointerup', endPointer);
+        document.addEventListener('pointercancel', endPointer);
+        
+        // Clicking anywhere else deselects the frame
+        document.addEventListener('pointerdown', (e) => {
+            if (this.selectedFrame !== null && !e.target.closest('.frame-title') && !e.target.closest('.frame-resize')) {
+                this.clearFrameSelection();
+            }
+        });
+    }
+    
+    claimFrameId() {
+        const id = window.syncManager ? window.syncManager.claimId(this.nextFrameId) : this.nextFrameId;
+        this.nextFrameId = id + 1;
+        return id;
+    }
+    
+    createFrame(data = {}) {
+        const id = data.id || this.claimFrameId();
+        
+        const frameData = {
+            id: id,
+            title: data.title || 'Frame',
+            x: data.x || 0,
+            y: data.y || 0,
+            width: data.width || 600,
+            height: data.height || 400,
+            cardIds: data.cardIds ? [...data.cardIds] : [],
+            parentId: data.parentId || null
+        };
+        
+        const frameElement = document.createElement('div');
+        frameElement.className = 'frame';
+        frameElement.dataset.frameId = id;
+        frameElement.innerHTML = `
+            <div class="frame-title"></div>
+            <div class="frame-resize"></div>
+        `;
+        this.world.world.appendChild(frameElement);
+        this.frames.set(id, frameData);
+        this.renderFrame(frameData);
+        SyncManager.requestFlush();
+        
+        // Update next ID if we're loading from storage
+        if (id >= this.nextFrameId) {
+            this.nextFrameId = id + 1;
+        }
+        
+        return frameData;
+    }
+    
+    renderFrame(frameData) {
+        const element = this.getFrameElement(frameData.id);
+        if (!element) return;
+        
+        element.style.left = `${frameData.x}px`;
+        element.style.top = `${frameData.y}px`;
+        element.style.width = `${frameData.width}px`;
+        element.style.height = `${frameData.height}px`;
+        
+        // Frames sit below cards; nested frames sit above their parents
+        element.style.zIndex = this.getFrameDepth(frameData.id) - 100;
+        element.querySelector('.frame-title').textContent = frameData.title;
+    }
+    
+    getFrameElement(id) {
+        return this.world.world.querySelector(`[data-frame-id="${id}"]`);
+    }
+    
+    getFrameDepth(id) {
+        let depth = 0;
+        let frame = this.frames.get(id);
+        while (frame && frame.parentId !== null && depth < this.frames.size) {
+            frame = this.frames.get(frame.parentId);
+            depth++;
+        }
+        return depth;
+    }
+    
+    // Create a frame around the selected cards, or an empty frame in the middle of the view
+    addFrame(title = 'New Frame') {
+        const selectedIds = Array.from(this.selectedCards);
+        let bounds;
+        
+        if (selectedIds.length > 0) {
+            const rects = selectedIds.map(id => this.getCardBounds(id)).filter(Boolean);
+            const left = Math.min(...rects.map(rect => rect.x));
+            const top = Math.min(...rects.map(rect => rect.y));
+            const right = Math.max(...rects.map(rect => rect.x + rect.width));
+            const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+            
+            bounds = {
+                x: left - this.FRAME_PADDING,
+                y: top - this.FRAME_PADDING - this.FRAME_TITLE_HEIGHT,
+                width: right - left + this.FRAME_PADDING * 2,
+                height: bottom - top + this.FRAME_PADDING * 2 + this.FRAME_TITLE_HEIGHT
+            };
+        } else {
+            const visible = this.world.getVisibleBounds();
+            bounds = {
+                x: visible.left + visible.width / 2 - 300,
+                y: visible.top + visible.height / 2 - 200,
+                width: 600,
+                height: 400
+            };
+        }
+        
+        const frame = this.createFrame({ title, ...bounds });
+        
+        // The new frame nests inside whichever frame contains it
+        frame.parentId = this.findContainingFrame(frame.x + frame.width / 2, frame.y + frame.height / 2, frame.id);
+        this.renderFrame(frame);
+        
+        selectedIds.forEach(cardId => this.setCardFrame(cardId, frame.id));
+        
+        // Save state after creating the frame
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('create_frame', { frameId: frame.id });
+        }
+        
+        this.saveFrames();
+        this.selectFrame(frame.id);
+        
+        return frame;
+    }
+    
+    renameFrame(id) {
+        const frame = this.frames.get(id);
+        if (!frame) return;
+        
+        const title = prompt('Frame title:', frame.title);
+        if (title !== null && title.trim() && title.trim() !== frame.title) {
+            frame.title = title.trim();
+            this.renderFrame(frame);
+            SyncManager.requestFlush();
+            
+            if (window.undoRedoManager) {
+                window.undoRedoManager.saveState('rename_frame', { frameId: id, title: frame.title });
+            }
+            
+            this.saveFrames();
+        }
+    }
+    
+    // Delete a frame, handing its cards and child frames to its parent
+    deleteFrame(id) {
+        const frame = this.frames.get(id);
+        if (!frame) return;
+        
+        const parent = frame.parentId !== null ? this.frames.get(frame.parentId) : null;
+        if (parent) {
+            parent.cardIds.push(...frame.cardIds);
+        }
+        
+        this.frames.forEach(child => {
+            if (child.parentId === id) {
+                child.parentId = frame.parentId;
+                this.renderFrame(child);
+            }
+        });
+        
+        const element = this.getFrameElement(id);
+        if (element) {
+            element.remove();
+        }
+        
+        this.frames.delete(id);
+        if (this.selectedFrame === id) {
+            this.selectedFrame = null;
+        }
+        SyncManager.requestFlush();
+        
+        this.saveFrames();
+    }
+    
+    deleteSelectedFrame() {
+        const id = this.selectedFrame;
+        if (id === null) return;
+        
+        this.deleteFrame(id);
+        
+        // Save state after deleting
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('delete_frame', { frameId: id });
+        }
+    }
+    
+    selectFrame(id) {
+        this.clearFrameSelection();
+        this.clearSelection();
+        
+        this.selectedFrame = id;
+        const element = this.getFrameElement(id);
+        if (element) {
+            element.classList.add('selected');
+        }
+    }
+    
+    clearFrameSelection() {
+        if (this.selectedFrame !== null) {
+            const element = this.getFrameElement(this.selectedFrame);
+            if (element) {
+                element.classList.remove('selected');
+            }
+        }
+        this.selectedFrame = null;
+    }
+    
+    // Replace a frame's data wholesale, creating or removing it as needed (used by undo/redo)
+    setFrameRecord(id, record) {
+        const frameData = this.frames.get(id);
+        
+        if (!record) {
+            if (!frameData) return;
+            const element = this.getFrameElement(id);
+            if (element) {
+                element.remove();
+            }
+            this.frames.delete(id);
+            if (this.selectedFrame === id) {
+                this.selectedFrame = null;
+            }
+            SyncManager.requestFlush();
+            return;
+        }
+        
+        if (!frameData) {
+            this.createFrame(record);
+            return;
+        }
+        
+        Object.assign(frameData, record, { cardIds: [...(record.cardIds || [])] });
+        this.renderFrame(frameData);
+        SyncManager.requestFlush();
+    }
+    
+    // Get all cards and frames nested (at any depth) inside a frame
+    getFrameDescendants(id) {
+        const frameIds = [];
+        const cardIds = [];
+        const visit = (frameId) => {
+            const frame = this.frames.get(frameId);
+            if (!frame) return;
+            
+            cardIds.push(...frame.cardIds);
+            this.frames.forEach(child => {
+                if (child.parentId === frameId && !frameIds.includes(child.id)) {
+                    frameIds.push(child.id);
+                    visit(child.id);
+                }
+            });
+        };
+        
+        visit(id);
+        return { frameIds, cardIds };
+    }
+    
+    // Find the innermost frame containing a world point, ignoring a frame and its descendants
+    findContainingFrame(x, y, excludeFrameId = null) {
+        const excluded = new Set();
+        if (excludeFrameId !== null) {
+            excluded.add(excludeFrameId);
+            this.getFrameDescendants(excludeFrameId).frameIds.forEach(id => excluded.add(id));
+        }
+        
+        let best = null;
+        let bestDepth = -1;
+        
+        this.frames.forEach(frame => {
+            if (excluded.has(frame.id)) return;
+            
+            const contains = x >= frame.x && x <= frame.x + frame.width &&
+                y >= frame.y && y <= frame.y + frame.height;
+            const depth = this.getFrameDepth(frame.id);
+            if (contains && depth > bestDepth) {
+                best = frame.id;
+                bestDepth = depth;
+            }
+        });
+        
+        return best;
+    }
+    
+    getCardFrame(cardId) {
+        for (const frame of this.frames.values()) {
+            if (frame.cardIds.includes(cardId)) {
+                return frame.id;
+            }
+        }
+        return null;
+    }
+    
+    setCardFrame(cardId, frameId) {
+        this.frames.forEach(frame => {
+            if (frame.id !== frameId) {
+                frame.cardIds = frame.cardIds.filter(id => id !== cardId);
+            } else if (!frame.cardIds.includes(cardId)) {
+                frame.cardIds.push(cardId);
+            }
+        });
+        SyncManager.requestFlush();
+    }
+    
+    // Move a card into the frame under its centre (or out of all frames)
+    adoptCardIntoFrame(cardId) {
+        const bounds = this.getCardBounds(cardId);
+        if (!bounds) return;
+        
+        const frameId = this.findContainingFrame(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        if (frameId !== this.getCardFrame(cardId)) {
+            this.setCardFrame(cardId, frameId);
+        }
+    }
+    
+    startFrameDrag(frameId, event) {
+        const frame = this.frames.get(frameId);
+        const descendants = this.getFrameDescendants(frameId);
+        const startPositions = { frames: new Map(), cards: new Map() };
+        
+        [frameId, ...descendants.frameIds].forEach(id => {
+            const data = this.frames.get(id);
+            startPositions.frames.set(id, { x: data.x, y: data.y });
+        });
+        descendants.cardIds.forEach(id => {
+            const data = this.cards.get(id);
+            if (data) {
+                startPositions.cards.set(id, { x: data.x, y: data.y });
+            }
+        });
+        
+        this.isDraggingFrame = true;
+        this.frameDragState = {
+            frameId: frameId,
+            startMouse: this.world.screenToWorld(event.clientX, event.clientY),
+            startX: frame.x,
+            startY: frame.y,
+            startPositions: startPositions
+        };
+        
+        this.getFrameElement(frameId).classList.add('dragging');
+    }
+    
+    updateFrameDrag(event) {
+        const state = this.frameDragState;
+        const mouseWorldPos = this.world.screenToWorld(event.clientX, event.clientY);
+        const deltaX = mouseWorldPos.x - state.startMouse.x;
+        const deltaY = mouseWorldPos.y - state.startMouse.y;
+        
+        // Move the frame, its nested frames and all member cards together
+        state.startPositions.frames.forEach((start, id) => {
+            const frame = this.frames.get(id);
+            frame.x = start.x + deltaX;
+            frame.y = start.y + deltaY;
+            this.renderFrame(frame);
+        });
+        
+        state.startPositions.cards.forEach((start, id) => {
+            const cardData = this.cards.get(id);
+            const element = this.getCardElement(id);
+            cardData.x = start.x + deltaX;
+            cardData.y = start.y + deltaY;
+            if (element) {
+                element.style.left = `${cardData.x}px`;
+                element.style.top = `${cardData.y}px`;
+            }
+            this.indexCard(id);
+        });
+        
+        if (window.connectionManager) {
+            window.connectionManager.updateCardConnections(Array.from(state.startPositions.cards.keys()));
+        }
+        SyncManager.requestFlush();
+    }
+    
+    endFrameDrag() {
+        const state = this.frameDragState;
+        const frame = this.frames.get(state.frameId);
+        
+        this.isDraggingFrame = false;
+        this.frameDragState = null;
+        
+        const element = this.getFrameElement(state.frameId);
+        if (element) {
+            element.classList.remove('dragging');
+        }
+        
+        if (!frame || (frame.x === state.startX && frame.y === state.startY)) return;
+        
+        // Dropping a frame inside another frame nests it
+        const parentId = this.findContainingFrame(frame.x + frame.width / 2, frame.y + frame.height / 2, frame.id);
+        if (parentId !== frame.parentId) {
+            frame.parentId = parentId;
+            this.renderFrame(frame);
+            this.getFrameDescendants(frame.id).frameIds.forEach(id => this.renderFrame(this.frames.get(id)));
+            SyncManager.requestFlush();
+        }
+        
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('move_frame', { frameId: frame.id });
+        }
+        
+        this.saveFrames();
+    }
+    
+    startFrameResize(frameId, event) {
+        const frame = this.frames.get(frameId);
+        
+        this.isResizingFrame = true;
+        this.frameResizeState = {
+            frameId: frameId,
+            startMouse: this.world.screenToWorld(event.clientX, event.clientY),
+            startWidth: frame.width,
+            startHeight: frame.height
+        };
+    }
+    
+    updateFrameResize(event) {
+        const state = this.frameResizeState;
+        const frame = this.frames.get(state.frameId);
+        const mouseWorldPos = this.world.screenToWorld(event.clientX, event.clientY);
+        
+        frame.width = Math.round(Math.max(this.MIN_FRAME_WIDTH, state.startWidth + mouseWorldPos.x - state.startMouse.x));
+        frame.height = Math.round(Math.max(this.MIN_FRAME_HEIGHT, state.startHeight + mouseWorldPos.y - state.startMouse.y));
+        this.renderFrame(frame);
+        SyncManager.requestFlush();
+    }
+    
+    endFrameResize() {
+        const state = this.frameResizeState;
+        const frame = this.frames.get(state.frameId);
+        
+        this.isResizingFrame = false;
+        this.frameResizeState = null;
+        
+        if (!frame || (frame.width === state.startWidth && frame.height === state.startHeight)) return;
+        
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('resize_frame', { frameId: frame.id });
+        }
+        
+        this.saveFrames();
+    }
+    
+    // Get all frame data for saving
+    getAllFrames() {
+        return Array.from(this.frames.values());
+    }
+    
+    // Load frames from data (cards must already be loaded)
+    loadFrames(framesData) {
+        this.clearFrameSelection();
+        this.frames.clear();
+        this.world.world.querySelectorAll('.frame').forEach(frame => frame.remove());
+        
+        framesData.forEach(frameData => {
+            this.createFrame({
+                ...frameData,
+                cardIds: (frameData.cardIds || []).filter(id => this.cards.has(id))
+            });
+        });
+        
+        // Drop dangling parents and refresh stacking once every frame exists
+        this.frames.forEach(frame => {
+            if (frame.parentId !== null && !this.frames.has(frame.parentId)) {
+                frame.parentId = null;
+            }
+        });
+        this.frames.forEach(frame => this.renderFrame(frame));
+    }
+    
+    saveFrames() {
+        if (window.storage) {
+            window.storage.saveCards(Array.from(this.cards.values()));
+        }
+    }
+    
+    // Get a card's rectangle in world coordinates
+    getCardBounds(id) {
+        const cardData = this.cards.get(id);
+        if (!cardData) return null;
+        
+        return {
+            x: cardData.x,
+            y: cardData.y,
+            width: cardData.width,
+            height: this.getCardHeight(cardData)
+        };
+    }
+    
+    // Height of a card in world units; 'auto' cards are measured once while mounted and remembered,
+    // and ones that have never been mounted use an estimate
+    getCardHeight(cardData) {
+        if (cardData.height !== 'auto') return cardData.height;
+        
+        const cached = this.cardHeights.get(cardData.id);
+        if (cached !== undefined) return cached;
+        
+        const element = this.getCardElement(cardData.id);
+        if (!element) return this.ESTIMATED_CARD_HEIGHT;
+        
+        // Nothing is remembered while the card can't be laid out (a hidden world measures 0)
+        const height = element.offsetHeight;
+        if (height > 0) {
+            this.cardHeights.set(cardData.id, height);
+            this.cardIndex.update(cardData.id, { x: cardData.x, y: cardData.y, width: cardData.width, height: height });
+        }
+        return height;
+    }
+    
+    getCardElement(id) {
+        return this.cardElements.get(id) || null;
+    }
+    
+    // Keep a card's entry in the spatial index in step with its data
+    indexCard(id) {
+        const bounds = this.getCardBounds(id);
+        if (!bounds) return;
+        
+        this.cardIndex.update(id, bounds);
+        this.requestVisibleCardsUpdate();
+        if (window.detailLevels) {
+            window.detailLevels.requestRender();
+        }
+        if (window.cardFilter) {
+            window.cardFilter.refreshCard(id);
+        }
+    }
+    
+    // Whether the filter bar hides a card (dimmed cards can still be picked)
+    isCardHidden(id) {
+        return !!window.cardFilter && window.cardFilter.isHidden(id);
+    }
+    
+    // Drop a card's element, index entry and remembered height
+    forgetCard(id) {
+        this.unmountCard(id);
+        this.cardIndex.remove(id);
+        this.cardHeights.delete(id);
+        if (window.detailLevels) {
+            window.detailLevels.requestRender();
+        }
+        if (window.cardFilter) {
+            window.cardFilter.excluded.delete(id);
+        }
+    }
+    
+    // Give a card its element (if it has none yet) and return the element
+    mountCard(id) {
+        if (!this.cardElements.has(id) && this.cards.has(id)) {
+            this.buildCardElement(id);
+            this.insertCardElements([id]);
+            this.highlightMountedCards([id]);
+        }
+        return this.getCardElement(id);
+    }
+    
+    // Create a card's element, restoring the state that lives on it, without putting it in the world yet
+    buildCardElement(id) {
+        const element = this.createElement(this.cards.get(id));
+        if (this.selectedCards.has(id)) {
+            element.classList.add('selected');
+            if (this.activeCard === id) {
+                element.classList.add('active');
+            }
+            element.setAttribute('aria-selected', 'true');
+        }
+        if (this.multiDragOffsets.has(id)) {
+            element.classList.add('dragging');
+        }
+        if (window.keyboardNavigation && window.keyboardNavigation.tabStopId === id) {
+            element.tabIndex = 0;
+        }
+        if (window.cardFilter && window.cardFilter.isExcluded(id)) {
+            element.classList.add('filtered-out');
+        }
+        
+        this.cardElements.set(id, element);
+        if (this.resizeObserver) {
+            this.resizeObserver.observe(element);
+        }
+        return element;
+    }
+    
+    // Newly mounted cards show the open search's matches like the others
+    highlightMountedCards(ids) {
+        if (window.searchPalette && window.searchPalette.isOpen) {
+            ids.forEach(id => window.searchPalette.highlightCard(id));
+        }
+    }
+    
+    unmountCard(id) {
+        const element = this.cardElements.get(id);
+        if (!element) return;
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.unobserve(element);
+        }
+        element.remove();
+        this.cardElements.delete(id);
+    }
+    
+    // Put newly mounted elements into the world in card order, so overlapping cards stack as they always did
+    insertCardElements(ids) {
+        const order = Array.from(this.cards.keys());
+        
+        // Walk backwards, placing each new element before the next mounted one
+        const newIds = new Set(ids);
+        let nextElement = null;
+        for (let i = order.length - 1; i >= 0; i--) {
+            const element = this.cardElements.get(order[i]);
+            if (!element) continue;
+            
+            if (newIds.has(order[i])) {
+                this.world.world.insertBefore(element, nextElement);
+            }
+            nextElement = element;
+        }
+    }
+    
+    // Rectangle in world coordinates whose cards are mounted: the visible area plus a margin
+    // (null when the viewport has no size yet, in which case every card is mounted)
+    getCullRect() {
+        const bounds = this.world.getVisibleBounds();
+        if (!(bounds.width > 0) || !(bounds.height > 0)) return null;
+        
+        const margin = this.CULL_MARGIN / this.world.scale;
+        return {
+            left: bounds.left - margin,
+            top: bounds.top - margin,
+            right: bounds.right + margin,
+            bottom: bounds.bottom + margin
+        };
+    }
+    
+    // Topmost card under a point in world coordinates (null if there is none)
+    getCardAt(x, y) {
+        const hits = this.cardIndex.query({ left: x, top: y, right: x, bottom: y });
+        if (hits.size === 0) return null;
+        
+        // Later cards stack above earlier ones
+        const ids = Array.from(this.cards.keys()).filter(id => hits.has(id));
+        return ids[ids.length - 1];
+    }
+    
+    isInCullRect(id) {
+        const rect = this.getCullRect();
+        if (!rect) return true;
+        
+        const bounds = this.getCardBounds(id);
+        return bounds.x <= rect.right && bounds.x + bounds.width >= rect.left &&
+            bounds.y <= rect.bottom && bounds.y + bounds.height >= rect.top;
+    }
+    
+    // Cards that keep their element even out of view: ones being dragged, resized or focused
+    isCardPinned(id) {
+        if (this.multiDragOffsets.has(id)) return true;
+        if (this.resizeState && this.resizeState.cardId === id) return true;
+        
+        const element = this.cardElements.get(id);
+        return !!element && (element === this.draggedCard || element.contains(document.activeElement));
+    }
+    
+    // Mount the cards in or near the view and unmount the rest
+    updateVisibleCards() {
+        const rect = this.getCullRect();
+        let visible = rect ? this.cardIndex.query(rect) : new Set(this.cards.keys());
+        
+        // Far out DetailLevels draws the cards as rectangles; only selected ones keep an element, to be dragged
+        if (window.detailLevels && window.detailLevels.level === 'shape') {
+            visible = new Set(Array.from(visible).filter(id => this.selectedCards.has(id)));
+        }
+        
+        Array.from(this.cardElements.keys()).forEach(id => {
+            if (!visible.has(id) && !this.isCardPinned(id)) {
+                this.unmountCard(id);
+            }
+        });
+        
+        const mounted = [];
+        visible.forEach(id => {
+            if (!this.cardElements.has(id) && this.cards.has(id)) {
+                this.buildCardElement(id);
+                mounted.push(id);
+            }
+        });
+        if (mounted.length === 0) return;
+        
+        this.insertCardElements(mounted);
+        this.highlightMountedCards(mounted);
+        
+        // Measure the new 'auto' cards in one pass; estimates that were off move connections and the index
+        const resized = mounted.filter(id => {
+            const cardData = this.cards.get(id);
+            if (cardData.height !== 'auto' || this.cardHeights.has(id)) return false;
+            return this.getCardHeight(cardData) !== this.ESTIMATED_CARD_HEIGHT;
+        });
+        if (resized.length > 0 && window.connectionManager) {
+            window.connectionManager.updateCardConnections(resized);
+        }
+    }
+    
+    // Batch view changes into one visibility update per frame
+    requestVisibleCardsUpdate() {
+        if (this.visibleUpdateScheduled) return;
+        this.visibleUpdateScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.visibleUpdateScheduled = false;
+            this.updateVisibleCards();
+        });
+    }
+    
+    // Re-check which cards are mounted whenever the view pans or zooms, or the window changes size,
+    // at most once per frame however many transform writes a pan or pinch makes
+    observeView() {
+        const observer = new MutationObserver(() => this.requestVisibleCardsUpdate());
+        observer.observe(this.world.world, { attributes: true, attributeFilter: ['style'] });
+        window.addEventListener('resize', () => this.requestVisibleCardsUpdate());
+    }
+    
+    // A mounted 'auto' card changed height by itself (an image loaded, fonts arrived)
+    handleCardResize(entries) {
+        const changed = [];
+        entries.forEach(entry => {
+            const id = parseInt(entry.target.dataset.cardId);
+            const cardData = this.cards.get(id);
+            if (!cardData || cardData.height !== 'auto' || this.cardElements.get(id) !== entry.target) return;
+            
+            const height = entry.target.offsetHeight;
+            if (height > 0 && height !== this.cardHeights.get(id)) {
+                this.cardHeights.set(id, height);
+                this.indexCard(id);
+                changed.push(id);
+            }
+        });
+        
+        if (changed.length > 0 && window.connectionManager) {
+            window.connectionManager.updateCardConnections(changed);
+        }
+    }
+    
+    // Bounding box of several cards in world coordinates (null if none of them exist)
+    getCardsBounds(ids) {
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        
+        ids.forEach(id => {
+            const bounds = this.getCardBounds(id);
+            if (!bounds) return;
+            
+            left = Math.min(left, bounds.x);
+            top = Math.min(top, bounds.y);
+            right = Math.max(right, bounds.x + bounds.width);
+            bottom = Math.max(bottom, bounds.y + bounds.height);
+        });
+        
+        if (left === Infinity) return null;
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+    
+    // Get all card data for saving
+    getAllCards() {
+        return Array.from(this.cards.values());
+    }
     
     // Load cards from data
     loadCards(cardsData) {
         // Clear existing cards
+        Array.from(this.cardElements.keys()).forEach(id => this.unmountCard(id));
         this.cards.clear();
         this.selectedCards.clear();
-        this.world.world.querySelectorAll('.card').forEach(card => card.remove());
+        this.cardIndex.clear();
+        this.cardHeights.clear();
         
-        // Create cards from data
+        // Create cards from data, then mount the ones in view together
         cardsData.forEach(cardData => {
-            this.createCard(cardData);
+            this.createCard(cardData, false);
         });
+        this.updateVisibleCards();
     }
     
-    // Create a new card at the center of the current view
-    addNewCard() {
+    // Create a new card of a type (see CardTypes) at the center of the current view
+    addNewCard(type = 'text') {
         const bounds = this.world.getVisibleBounds();
         const centerX = bounds.left + bounds.width / 2;
         const centerY = bounds.top + bounds.height / 2;
-        
-        // Save state before creating new card
-        if (window.undoRedoManager) {
-            window.undoRedoManager.saveState('create_card');
-        }
+        const defaults = this.types.getDefaults(type);
         
         const newCard = this.createCard({
-            x: centerX - 150, // Center the 300px wide card
-            y: centerY - 75,  // Approximate center for auto-height card
-            width: 300,
-            height: 'auto',
-            content: '<h2>New Card</h2><p>Double-click to edit this card content...</p>'
+            ...defaults,
+            x: centerX - defaults.width / 2,
+            y: centerY - 75, // Approximate center for auto-height card
+            height: 'auto'
         });
         
         // Save to storage
@@ -702,6 +2159,11 @@ class CardManager {
         // Select the new card
         this.selectCard(newCard.id, false);
         
+        // Save state after creating the card
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('create_card', { cardId: newCard.id });
+        }
+        
         return newCard;
     }
 }
\ No newline at end of file
@@ -0,0 +1,309 @@
+// Card types - how each kind of card is shown and what its editor fields are. Every type keeps its content
+// as the same Quill HTML (so search, sync, undo, revisions and export work on all of them); a type reads its
+// fields out of that HTML, writes them back into it and renders it in its own way.
+class CardTypes {
+    constructor() {
+        // Type -> { label, width, content or fields for a new card }; cards without a type are 'text'
+        this.TYPES = {
+            text: { label: 'Text', width: 300, content: '<h2>New Card</h2><p>Double-click to edit this card content...</p>' },
+            checklist: { label: 'Checklist', width: 300, fields: { title: 'Checklist', items: [{ text: 'First item', done: false }] } },
+            image: { label: 'Image', width: 320, fields: { src: '', caption: '' } },
+            link: { label: 'Link', width: 320, fields: { url: 'https://', title: 'Link title', description: '' } },
+            code: { label: 'Code snippet', width: 420, fields: { code: '' }, language: 'javascript' },
+            sticky: { label: 'Sticky note', width: 200, content: '<p>Note</p>' }
+        };
+        
+        // Code card languages and their highlighting rules, tried in order (sources must not capture)
+        this.LANGUAGES = {
+            javascript: 'JavaScript',
+            python: 'Python',
+            css: 'CSS',
+            html: 'HTML',
+            json: 'JSON',
+            plain: 'Plain text'
+        };
+        this.SYNTAX = {
+            javascript: [
+                ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+                ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/],
+                ['number', /\b\d+(?:\.\d+)?\b/],
+                ['keyword', /\b(?:const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|import|from|export|default|async|await|try|catch|finally|throw|typeof|instanceof|in|of|this|null|undefined|true|false)\b/]
+            ],
+            python: [
+                ['comment', /#[^\n]*/],
+                ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+                ['number', /\b\d+(?:\.\d+)?\b/],
+                ['keyword', /\b(?:def|class|return|if|elif|else|for|while|in|not|and|or|is|import|from|as|with|try|except|finally|raise|lambda|yield|pass|break|continue|None|True|False|self|async|await)\b/]
+            ],
+            css: [
+                ['comment', /\/\*[\s\S]*?\*\//],
+                ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+                ['keyword', /[a-z-]+(?=\s*:)/],
+                ['number', /-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?/]
+            ],
+            html: [
+                ['comment', /<!--[\s\S]*?-->/],
+                ['string', /"[^"]*"|'[^']*'/],
+                ['keyword', /<\/?[a-zA-Z][\w-]*|\/?>/]
+            ],
+            json: [
+                ['string', /"(?:\\.|[^"\\\n])*"/],
+                ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+                ['keyword', /\b(?:true|false|null)\b/]
+            ]
+        };
+        
+        this.parser = new DOMParser();
+    }
+    
+    getType(cardData) {
+        return this.TYPES[cardData.type] ? cardData.type : 'text';
+    }
+    
+    // Data for a new card of a type (spread into CardManager.createCard)
+    getDefaults(type) {
+        const definition = this.TYPES[type] || this.TYPES.text;
+        const defaults = {
+            width: definition.width,
+            content: definition.content || this.toContent(type, definition.fields)
+        };
+        if (type !== 'text') defaults.type = type;
+        if (definition.language) defaults.language = definition.language;
+        return defaults;
+    }
+    
+    // ---- Content <-> fields ----
+    
+    // Editor fields of a typed card, read from its content (text and sticky notes are edited as rich text)
+    parse(cardData) {
+        const body = this.parser.parseFromString(cardData.content || '', 'text/html').body;
+        const type = this.getType(cardData);
+        
+        if (type === 'checklist') {
+            const heading = body.querySelector('h1, h2, h3, h4, h5, h6');
+            return {
+                title: heading ? heading.textContent.trim() : '',
+                items: Array.from(body.querySelectorAll('ul[data-checked] > li')).map(item => ({
+                    text: item.textContent,
+                    done: item.parentElement.getAttribute('data-checked') === 'true'
+                }))
+            };
+        }
+        if (type === 'image') {
+            const image = body.querySelector('img');
+            return {
+                src: image ? image.getAttribute('src') || '' : '',
+                caption: this.getLines(body, element => !element.querySelector('img')).join('\n')
+            };
+        }
+        if (type === 'link') {
+            const link = body.querySelector('a[href]');
+            return {
+                url: link ? link.getAttribute('href') : '',
+                title: link ? link.textContent.trim() : '',
+                description: this.getLines(body, element => !element.querySelector('a[href]')).join('\n')
+            };
+        }
+        if (type === 'code') {
+            const blocks = Array.from(body.querySelectorAll('pre'));
+            return {
+                code: blocks.length > 0 ? blocks.map(block => block.textContent.replace(/\n$/, '')).join('\n') : this.getLines(body).join('\n')
+            };
+        }
+        return {};
+    }
+    
+    // Content of a typed card from its editor fields, in the HTML Quill itself produces
+    toContent(type, fields) {
+        const escape = (text) => this.escapeHtml(text);
+        const paragraphs = (text) => text.split('\n').filter(line => line.trim()).map(line => `<p>${escape(line)}</p>`).join('');
+        
+        if (type === 'checklist') {
+            // Quill groups neighbouring items with the same state into one list
+            let html = fields.title ? `<h3>${escape(fields.title)}</h3>` : '';
+            let group = null;
+            fields.items.forEach(item => {
+                if (group !== item.done) {
+                    html += `${group === null ? '' : '</ul>'}<ul data-checked="${item.done}">`;
+                    group = item.done;
+                }
+                html += `<li>${escape(item.text)}</li>`;
+            });
+            return html + (group === null ? '' : '</ul>');
+        }
+        if (type === 'image') {
+            const image = fields.src ? `<p><img src="${escape(fields.src)}" alt="${escape(fields.caption.replace(/\n/g, ' '))}"></p>` : '';
+            return image + paragraphs(fields.caption);
+        }
+        if (type === 'link') {
+            const title = escape(fields.title || fields.url);
+            const link = fields.url ? `<p><a href="${escape(fields.url)}" rel="noopener noreferrer" target="_blank">${title}</a></p>` : `<p>${title}</p>`;
+            return link + paragraphs(fields.description);
+        }
+        if (type === 'code') {
+            return `<pre class="ql-syntax" spellcheck="false">${escape(fields.code)}\n</pre>`;
+        }
+        return '';
+    }
+    
+    // Content for a card switching to another type, keeping as much of its text as that type can hold
+    convert(cardData, type) {
+        const fromType = this.getType(cardData);
+        if (type === 'text' || type === 'sticky' || type === fromType) return cardData.content;
+        
+        const body = this.parser.parseFromString(cardData.content || '', 'text/html').body;
+        const lines = fromType === 'checklist' ?
+            this.parse(cardData).items.map(item => item.text) :
+            this.getLines(body);
+        
+        if (type === 'checklist') {
+            return this.toContent(type, { title: '', items: lines.map(line => ({ text: line, done: false })) });
+        }
+        if (type === 'image') {
+            const image = body.querySelector('img');
+            return this.toContent(type, { src: image ? image.getAttribute('src') || '' : '', caption: lines.join('\n') });
+        }
+        if (type === 'link') {
+            const link = body.querySelector('a[href]');
+            const url = link ? link.getAttribute('href') : ((lines.join(' ').match(/https?:\/\/\S+/) || [''])[0]);
+            return this.toContent(type, { url: url, title: lines[0] || url, description: lines.slice(1).join('\n') });
+        }
+        if (type === 'code') {
+            return this.toContent(type, { code: fromType === 'code' ? this.parse(cardData).code : lines.join('\n') });
+        }
+        return cardData.content;
+    }
+    
+    // Checklist content with one item ticked or unticked
+    toggleItem(cardData, index) {
+        const fields = this.parse(cardData);
+        const item = fields.items[index];
+        if (!item) return cardData.content;
+        
+        item.done = !item.done;
+        return this.toContent('checklist', fields);
+    }
+    
+    // Text of each block in a piece of parsed HTML (optionally only the blocks a filter accepts)
+    getLines(body, filter = null) {
+        const blocks = Array.from(body.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, pre, blockquote'))
+            .filter(element => !element.parentElement.closest('p, h1, h2, h3, h4, h5, h6, li, pre, blockquote'));
+        const lines = blocks.length > 0 ? blocks : [body];
+        
+        return lines
+            .filter(element => !filter || filter(element))
+            .flatMap(element => element.tagName === 'PRE' ? element.textContent.split('\n') : [element.textContent.replace(/\s+/g, ' ')])
+            .map(line => line.trim())
+            .filter(line => line);
+    }
+    
+    // ---- Rendering ----
+    
+    // HTML for a card's .card-content
+    render(cardData) {
+        const type = this.getType(cardData);
+        if (type === 'text' || type === 'sticky') return cardData.content;
+        
+        const fields = this.parse(cardData);
+        if (type === 'checklist') return this.renderChecklist(fields);
+        if (type === 'image') return this.renderImage(fields);
+        if (type === 'link') return this.renderLink(fields);
+        if (type === 'code') return this.renderCode(fields, cardData.language);
+        return cardData.content;
+    }
+    
+    renderChecklist(fields) {
+        const done = fields.items.filter(item => item.done).length;
+        const percent = fields.items.length > 0 ? Math.round(done / fields.items.length * 100) : 0;
+        
+        const items = fields.items.map((item, index) => `
+            <li class="checklist-item${item.done ? ' done' : ''}" data-index="${index}">
+                <span class="checklist-box" role="checkbox" aria-checked="${item.done}"></span>
+                <span class="checklist-text">${this.escapeHtml(item.text)}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="checklist-header">
+                <span class="checklist-title">${this.escapeHtml(fields.title)}</span>
+                <span class="checklist-count">${done}/${fields.items.length}</span>
+            </div>
+            <div class="checklist-progress"><div class="checklist-progress-bar" style="width: ${percent}%"></div></div>
+            <ul class="checklist">${items}</ul>
+        `;
+    }
+    
+    renderImage(fields) {
+        const caption = fields.caption ? `<figcaption>${this.escapeHtml(fields.caption)}</figcaption>` : '';
+        const image = fields.src ?
+            `<img src="${this.escapeHtml(fields.src)}" alt="${this.escapeHtml(fields.caption)}" draggable="false">` :
+            '<div class="image-card-empty">No image yet</div>';
+        return `<figure class="image-card">${image}${caption}</figure>`;
+    }
+    
+    renderLink(fields) {
+        // Only web addresses become a clickable link
+        const isWebUrl = /^https?:\/\/[^/\s]+/i.test(fields.url);
+        const host = isWebUrl ? fields.url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0] : '';
+        const url = isWebUrl ?
+            `<a class="link-card-url" href="${this.escapeHtml(fields.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(fields.url)}</a>` :
+            `<span class="link-card-url">${this.escapeHtml(fields.url)}</span>`;
+        
+        return `
+            <div class="link-card">
+                <div class="link-card-host">${this.escapeHtml(host)}</div>
+                <div class="link-card-title">${this.escapeHtml(fields.title || fields.url)}</div>
+                ${fields.description ? `<div class="link-card-description">${this.escapeHtml(fields.description)}</div>` : ''}
+                ${url}
+            </div>
+        `;
+    }
+    
+    renderCode(fields, language) {
+        const name = this.LANGUAGES[language] || this.LANGUAGES.plain;
+        return `
+            <div class="code-card">
+                <div class="code-card-language">${name}</div>
+                <pre><code>${this.highlight(fields.code, language)}</code></pre>
+            </div>
+        `;
+    }
+    
+    // Escaped code with tokens wrapped in <span class="tok-...">, using the language's rules
+    highlight(code, language) {
+        const rules = this.SYNTAX[language];
+        if (!rules) return this.escapeHtml(code);
+        
+        const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g');
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+            html += this.escapeHtml(code.slice(last, match.index));
+            html += `<span class="tok-${rules[ruleIndex][0]}">${this.escapeHtml(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + this.escapeHtml(code.slice(last));
+    }
+    
+    // Title of the zoomed-out placeholder (see DetailLevels)
+    getTitle(cardData) {
+        const type = this.getType(cardData);
+        const fields = this.parse(cardData);
+        
+        if (type === 'checklist') return fields.title || (fields.items[0] ? fields.items[0].text : '');
+        if (type === 'image') return fields.caption.split('\n')[0] || 'Image';
+        if (type === 'link') return fields.title || fields.url;
+        if (type === 'code') return (fields.code.split('\n').find(line => line.trim()) || '').trim();
+        
+        const body = this.parser.parseFromString(cardData.content || '', 'text/html').body;
+        return this.getLines(body)[0] || '';
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
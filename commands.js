@@ -0,0 +1,181 @@
+// Command registry - every keyboard action is registered once with its default keys; bindings can be changed and are saved
+class CommandRegistry {
+    constructor() {
+        // Command ID -> { id, label, group, keys, defaultKeys, run, when }, in registration order
+        this.commands = new Map();
+        
+        // Only bindings that differ from the defaults are saved, so changed defaults still reach everyone else
+        this.STORAGE_KEY = 'keyboard_shortcuts';
+        this.savedBindings = this.loadBindings();
+        
+        // Combos the browser acts on before the page can stop it
+        this.RESERVED = ['Ctrl+N', 'Ctrl+Shift+N', 'Ctrl+T', 'Ctrl+Shift+T', 'Ctrl+W', 'Ctrl+Shift+W', 'Ctrl+Tab', 'Ctrl+Shift+Tab'];
+        this.MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+        this.isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        
+        this.init();
+    }
+    
+    init() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+    
+    loadBindings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable keyboard shortcuts:', error);
+            return {};
+        }
+    }
+    
+    saveBindings() {
+        this.commands.forEach(command => {
+            if (this.sameKeys(command.keys, command.defaultKeys)) {
+                delete this.savedBindings[command.id];
+            } else {
+                this.savedBindings[command.id] = command.keys.slice();
+            }
+        });
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.savedBindings));
+    }
+    
+    // Add an action; `keys` are its default combos and `when` (optional) says whether it applies right now
+    register(id, { label, group = 'General', keys = [], run, when = null }) {
+        const command = {
+            id: id,
+            label: label,
+            group: group,
+            defaultKeys: keys.slice(),
+            keys: (this.savedBindings[id] || keys).slice(),
+            run: run,
+            when: when
+        };
+        this.commands.set(id, command);
+        
+        command.keys.forEach(combo => {
+            const others = this.getConflicts(combo, id);
+            if (others.length > 0) {
+                console.warn(`${combo} is bound to both "${others[0].label}" and "${label}" - the first one wins`);
+            }
+        });
+        
+        return command;
+    }
+    
+    handleKeydown(e) {
+        const combo = this.getCombo(e);
+        if (!combo) return;
+        
+        // While typing, plain keys are text; only Ctrl/Alt combos and Escape act there
+        if (this.isEditingText(e.target) && !/^(Ctrl|Alt)\+/.test(combo) && combo !== 'Escape') return;
+        
+        const command = this.findCommand(combo);
+        if (!command || (command.when && !command.when())) return;
+        
+        e.preventDefault();
+        command.run(e);
+    }
+    
+    // Normalised combo for a key event, e.g. "Ctrl+Shift+Z", "Shift+1" or "?" (null for a modifier on its own)
+    getCombo(e) {
+        if (!e.key || this.MODIFIER_KEYS.includes(e.key)) return null;
+        
+        let key;
+        let shift = e.shiftKey;
+        if (/^[a-z]$/i.test(e.key)) {
+            key = e.key.toUpperCase();
+        } else if (/^(Key[A-Z]|Digit[0-9])$/.test(e.code || '')) {
+            // Shift or Alt changed the character (Shift+1 types "!"), so go by the key itself
+            key = e.code.slice(-1);
+        } else if (e.key === ' ') {
+            key = 'Space';
+        } else if (e.key.length === 1) {
+            // Symbols already include Shift ("?" is Shift+/ on most layouts)
+            key = e.key;
+            shift = false;
+        } else {
+            key = e.key;
+        }
+        
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (shift) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+    
+    // First registered command bound to a combo
+    findCommand(combo) {
+        for (const command of this.commands.values()) {
+            if (command.keys.includes(combo)) {
+                return command;
+            }
+        }
+        return null;
+    }
+    
+    // Commands other than the given one that are bound to a combo
+    getConflicts(combo, exceptId = null) {
+        return Array.from(this.commands.values()).filter(command => command.id !== exceptId && command.keys.includes(combo));
+    }
+    
+    // Every combo bound to more than one command (combo -> commands)
+    getAllConflicts() {
+        const conflicts = new Map();
+        this.commands.forEach(command => {
+            command.keys.forEach(combo => {
+                const bound = this.getConflicts(combo);
+                if (bound.length > 1) {
+                    conflicts.set(combo, bound);
+                }
+            });
+        });
+        return conflicts;
+    }
+    
+    isReserved(combo) {
+        return this.RESERVED.includes(combo);
+    }
+    
+    setKeys(id, keys) {
+        const command = this.commands.get(id);
+        if (!command) return false;
+        
+        command.keys = keys.slice();
+        this.saveBindings();
+        return true;
+    }
+    
+    removeKey(id, combo) {
+        const command = this.commands.get(id);
+        if (!command) return false;
+        
+        return this.setKeys(id, command.keys.filter(key => key !== combo));
+    }
+    
+    // Back to the default keys of one command, or of all of them
+    resetKeys(id = null) {
+        this.commands.forEach(command => {
+            if (id === null || command.id === id) {
+                command.keys = command.defaultKeys.slice();
+            }
+        });
+        this.saveBindings();
+    }
+    
+    // How a combo is shown to the user (Ctrl is Cmd on a Mac)
+    formatCombo(combo) {
+        if (!this.isMac) return combo;
+        return combo.replace(/^Ctrl\+/, 'Cmd+').replace(/(^|\+)Alt\+/, '$1Option+');
+    }
+    
+    sameKeys(a, b) {
+        return a.length === b.length && a.every((combo, index) => combo === b[index]);
+    }
+    
+    isEditingText(element) {
+        return !!(element && element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+}
@@ -0,0 +1,551 @@
+// Connection management - handles labelled arrows between cards that follow the cards as they move
+class ConnectionManager {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        this.connections = new Map();
+        this.nextId = 1;
+        this.selectedConnection = null;
+        
+        // Connecting state (Alt+drag from one card onto another)
+        this.isConnecting = false;
+        this.connectFromCard = null;
+        this.previewLine = null;
+        this.suppressNextClick = false;
+        
+        // Style options
+        this.COLORS = ['#9ca3af', '#3b82f6', '#10b981', '#f59e0b', '#ef4444'];
+        this.LINE_STYLES = ['solid', 'dashed', 'dotted'];
+        this.ARROW_STYLES = ['end', 'both', 'none'];
+        this.CARD_GAP = 6; // gap between arrow tip and card edge in world coordinates
+        
+        // DOM elements
+        this.layer = null;
+        this.toolbar = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createLayer();
+        this.createToolbar();
+        this.setupEventListeners();
+    }
+    
+    createLayer() {
+        // SVG layer lives inside the world so it pans and zooms with the cards
+        this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.layer.classList.add('connection-layer');
+        this.layer.innerHTML = '<defs></defs>';
+        this.world.world.insertBefore(this.layer, this.world.world.firstChild);
+    }
+    
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'connection-toolbar';
+        
+        const swatches = this.COLORS.map(color =>
+            `<button class="connection-swatch" data-color="${color}" style="background: ${color};" title="Colour"></button>`
+        ).join('');
+        
+        this.toolbar.innerHTML = `
+            ${swatches}
+            <button class="btn btn-secondary" data-action="line-style" title="Line style">Line</button>
+            <button class="btn btn-secondary" data-action="arrow-style" title="Arrow heads">Arrows</button>
+            <button class="btn btn-secondary" data-action="label" title="Edit label">Label</button>
+            <button class="btn btn-danger" data-action="delete" title="Delete connection">Delete</button>
+        `;
+        
+        document.body.appendChild(this.toolbar);
+    }
+    
+    setupEventListeners() {
+        // Alt+drag from a card starts a new connection (capture phase so card dragging never starts)
+        this.world.world.addEventListener('pointerdown', (e) => {
+            const card = e.target.closest('.card');
+            if (card && e.button === 0 && e.altKey) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.startConnecting(parseInt(card.dataset.cardId), e);
+            }
+        }, true);
+        
+        document.addEventListener('pointermove', (e) => {
+            if (this.isConnecting) {
+                this.updateConnecting(e);
+            }
+        });
+        
+        document.addEventListener('pointerup', (e) => {
+            if (this.isConnecting && e.button === 0) {
+                this.endConnecting(e);
+            }
+        });
+        
+        // Swallow the click that follows a connecting gesture so it doesn't change the card selection
+        this.world.world.addEventListener('click', (e) => {
+            if (this.suppressNextClick) {
+                this.suppressNextClick = false;
+                e.stopPropagation();
+            }
+        }, true);
+        
+        // Selecting connections
+        this.layer.addEventListener('pointerdown', (e) => {
+            const connection = e.target.closest('.connection');
+            if (connection && e.button === 0) {
+                // Keep the world from panning when grabbing a connection
+                e.stopPropagation();
+            }
+        });
+        
+        this.layer.addEventListener('click', (e) => {
+            const connection = e.target.closest('.connection');
+            if (connection) {
+                e.stopPropagation();
+                this.cardManager.clearSelection();
+                this.selectConnection(parseInt(connection.dataset.connectionId));
+            }
+        });
+        
+        this.layer.addEventListener('dblclick', (e) => {
+            const connection = e.target.closest('.connection');
+            if (connection) {
+                e.stopPropagation();
+                this.editLabel(parseInt(connection.dataset.connectionId));
+            }
+        });
+        
+        // Clicking anywhere else deselects the connection
+        document.addEventListener('pointerdown', (e) => {
+            if (this.selectedConnection !== null &&
+                !e.target.closest('.connection') && !e.target.closest('.connection-toolbar')) {
+                this.clearConnectionSelection();
+            }
+        });
+        
+        // Toolbar actions
+        this.toolbar.addEventListener('click', (e) => {
+            const id = this.selectedConnection;
+            if (id === null) return;
+            
+            const swatch = e.target.closest('.connection-swatch');
+            if (swatch) {
+                this.updateConnection(id, { color: swatch.dataset.color });
+                return;
+            }
+            
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const connection = this.connections.get(id);
+            switch (button.dataset.action) {
+                case 'line-style':
+                    this.updateConnection(id, { lineStyle: this.nextOption(this.LINE_STYLES, connection.lineStyle) });
+                    break;
+                case 'arrow-style':
+                    this.updateConnection(id, { arrow: this.nextOption(this.ARROW_STYLES, connection.arrow) });
+                    break;
+                case 'label':
+                    this.editLabel(id);
+                    break;
+                case 'delete':
+                    this.deleteSelectedConnection();
+                    break;
+            }
+        });
+    }
+    
+    nextOption(options, current) {
+        const index = options.indexOf(current);
+        return options[(index + 1) % options.length];
+    }
+    
+    startConnecting(cardId, event) {
+        this.isConnecting = true;
+        this.connectFromCard = cardId;
+        
+        this.previewLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        this.previewLine.classList.add('connection-preview');
+        this.layer.appendChild(this.previewLine);
+        
+        this.updateConnecting(event);
+    }
+    
+    updateConnecting(event) {
+        const from = this.getCardCenter(this.connectFromCard);
+        const to = this.world.screenToWorld(event.clientX, event.clientY);
+        if (!from) return;
+        
+        this.previewLine.setAttribute('x1', from.x);
+        this.previewLine.setAttribute('y1', from.y);
+        this.previewLine.setAttribute('x2', to.x);
+        this.previewLine.setAttribute('y2', to.y);
+    }
+    
+    endConnecting(event) {
+        // Touch and pen pointers stay captured by the card they started on, so look up what is under the pointer
+        const target = document.elementFromPoint(event.clientX, event.clientY) || event.target;
+        const targetCard = target.closest ? target.closest('.card') : null;
+        const fromId = this.connectFromCard;
+        
+        if (this.previewLine) {
+            this.previewLine.remove();
+            this.previewLine = null;
+        }
+        this.isConnecting = false;
+        this.connectFromCard = null;
+        this.suppressNextClick = true;
+        setTimeout(() => { this.suppressNextClick = false; }, 0);
+        
+        if (!targetCard) return;
+        
+        const toId = parseInt(targetCard.dataset.cardId);
+        if (toId === fromId) return;
+        
+        const connection = this.createConnection({ from: fromId, to: toId });
+        
+        // Save state after connecting
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('create_connection', {
+                connectionId: connection.id,
+                from: fromId,
+                to: toId
+            });
+        }
+        
+        this.selectConnection(connection.id);
+        this.save();
+    }
+    
+    // Take the next free connection ID (collaborators each take their own, see SyncManager.claimId)
+    claimId() {
+        const id = window.syncManager ? window.syncManager.claimId(this.nextId) : this.nextId;
+        this.nextId = id + 1;
+        return id;
+    }
+    
+    createConnection(data = {}) {
+        const id = data.id || this.claimId();
+        
+        const connection = {
+            id: id,
+            from: data.from,
+            to: data.to,
+            label: data.label || '',
+            color: data.color || this.COLORS[0],
+            lineStyle: data.lineStyle || 'solid',
+            arrow: data.arrow || 'end',
+            ...data
+        };
+        
+        this.connections.set(id, connection);
+        this.renderConnection(connection);
+        SyncManager.requestFlush();
+        
+        // Update next ID if we're loading from storage
+        if (id >= this.nextId) {
+            this.nextId = id + 1;
+        }
+        
+        return connection;
+    }
+    
+    updateConnection(id, updates) {
+        const connection = this.connections.get(id);
+        if (!connection) return;
+        
+        Object.assign(connection, updates);
+        this.renderConnection(connection);
+        SyncManager.requestFlush();
+        
+        // Save state after the change
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('update_connection', {
+                connectionId: id,
+                updates: updates
+            });
+        }
+        
+        this.save();
+    }
+    
+    deleteConnection(id) {
+        const element = this.getConnectionElement(id);
+        if (element) {
+            element.remove();
+        }
+        
+        this.connections.delete(id);
+        
+        if (this.selectedConnection === id) {
+            this.clearConnectionSelection();
+        }
+        SyncManager.requestFlush();
+        
+        this.save();
+    }
+    
+    // Replace a connection's data wholesale, creating or removing it as needed (used by undo/redo)
+    setConnectionRecord(id, record) {
+        const connection = this.connections.get(id);
+        
+        if (!record) {
+            if (!connection) return;
+            const element = this.getConnectionElement(id);
+            if (element) {
+                element.remove();
+            }
+            this.connections.delete(id);
+            if (this.selectedConnection === id) {
+                this.clearConnectionSelection();
+            }
+            SyncManager.requestFlush();
+            return;
+        }
+        
+        if (!connection) {
+            this.createConnection(record);
+            return;
+        }
+        
+        Object.assign(connection, record);
+        this.renderConnection(connection);
+        SyncManager.requestFlush();
+    }
+    
+    deleteSelectedConnection() {
+        const id = this.selectedConnection;
+        if (id === null) return;
+        
+        this.deleteConnection(id);
+        
+        // Save state after deleting
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('delete_connection', { connectionId: id });
+        }
+    }
+    
+    // Remove every connection attached to a card (called when the card is deleted)
+    removeConnectionsForCard(cardId) {
+        this.getConnectionsForCard(cardId).forEach(connection => {
+            this.deleteConnection(connection.id);
+        });
+    }
+    
+    getConnectionsForCard(cardId) {
+        return Array.from(this.connections.values()).filter(connection =>
+            connection.from === cardId || connection.to === cardId
+        );
+    }
+    
+    editLabel(id) {
+        const connection = this.connections.get(id);
+        if (!connection) return;
+        
+        const label = prompt('Connection label:', connection.label);
+        if (label !== null && label !== connection.label) {
+            this.updateConnection(id, { label: label.trim() });
+        }
+    }
+    
+    selectConnection(id) {
+        this.clearConnectionSelection();
+        
+        if (!this.connections.has(id)) return;
+        
+        this.selectedConnection = id;
+        const element = this.getConnectionElement(id);
+        if (element) {
+            element.classList.add('selected');
+        }
+        this.toolbar.classList.add('visible');
+    }
+    
+    clearConnectionSelection() {
+        if (this.selectedConnection !== null) {
+            const element = this.getConnectionElement(this.selectedConnection);
+            if (element) {
+                element.classList.remove('selected');
+            }
+        }
+        
+        this.selectedConnection = null;
+        this.toolbar.classList.remove('visible');
+    }
+    
+    getConnectionElement(id) {
+        return this.layer.querySelector(`[data-connection-id="${id}"]`);
+    }
+    
+    getCardCenter(cardId) {
+        const rect = this.cardManager.getCardBounds(cardId);
+        if (!rect) return null;
+        
+        return {
+            x: rect.x + rect.width / 2,
+            y: rect.y + rect.height / 2
+        };
+    }
+    
+    // Point where the line from the card centre towards (dx, dy) leaves the card rectangle
+    getEdgePoint(rect, dx, dy) {
+        const centerX = rect.x + rect.width / 2;
+        const centerY = rect.y + rect.height / 2;
+        const halfWidth = rect.width / 2 + this.CARD_GAP;
+        const halfHeight = rect.height / 2 + this.CARD_GAP;
+        
+        const scaleX = dx !== 0 ? halfWidth / Math.abs(dx) : Infinity;
+        const scaleY = dy !== 0 ? halfHeight / Math.abs(dy) : Infinity;
+        const t = Math.min(scaleX, scaleY);
+        
+        return {
+            x: centerX + dx * t,
+            y: centerY + dy * t
+        };
+    }
+    
+    // Compute the visible segment between two cards
+    getRoute(connection) {
+        const fromRect = this.cardManager.getCardBounds(connection.from);
+        const toRect = this.cardManager.getCardBounds(connection.to);
+        if (!fromRect || !toRect) return null;
+        
+        const dx = (toRect.x + toRect.width / 2) - (fromRect.x + fromRect.width / 2);
+        const dy = (toRect.y + toRect.height / 2) - (fromRect.y + fromRect.height / 2);
+        if (dx === 0 && dy === 0) return null;
+        
+        const start = this.getEdgePoint(fromRect, dx, dy);
+        const end = this.getEdgePoint(toRect, -dx, -dy);
+        
+        return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    }
+    
+    // Arrow head markers are created per colour since SVG markers don't inherit stroke
+    getMarkerId(color, reverse = false) {
+        const id = `connection-arrow-${reverse ? 'start' : 'end'}-${color.replace(/[^a-zA-Z0-9]/g, '')}`;
+        const defs = this.layer.querySelector('defs');
+        
+        if (!defs.querySelector(`#${id}`)) {
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+            marker.setAttribute('id', id);
+            marker.setAttribute('viewBox', '0 0 10 10');
+            marker.setAttribute('refX', reverse ? '1' : '9');
+            marker.setAttribute('refY', '5');
+            marker.setAttribute('markerWidth', '8');
+            marker.setAttribute('markerHeight', '8');
+            marker.setAttribute('orient', 'auto');
+            
+            // The colour comes from saved boards, imports and peers, so it only ever goes in as an attribute value
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', reverse ? 'M 10 0 L 0 5 L 10 10 z' : 'M 0 0 L 10 5 L 0 10 z');
+            path.setAttribute('fill', color);
+            marker.appendChild(path);
+            defs.appendChild(marker);
+        }
+        
+        return id;
+    }
+    
+    renderConnection(connection) {
+        let group = this.getConnectionElement(connection.id);
+        
+        if (!group) {
+            group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.classList.add('connection');
+            group.dataset.connectionId = connection.id;
+            group.innerHTML = `
+                <path class="connection-hit"></path>
+                <path class="connection-line"></path>
+                <text class="connection-label" text-anchor="middle" dominant-baseline="middle"></text>
+            `;
+            this.layer.appendChild(group);
+            
+            if (this.selectedConnection === connection.id) {
+                group.classList.add('selected');
+            }
+        }
+        
+        const line = group.querySelector('.connection-line');
+        line.setAttribute('stroke', connection.color);
+        line.classList.toggle('dashed', connection.lineStyle === 'dashed');
+        line.classList.toggle('dotted', connection.lineStyle === 'dotted');
+        
+        if (connection.arrow === 'none') {
+            line.removeAttribute('marker-end');
+        } else {
+            line.setAttribute('marker-end', `url(#${this.getMarkerId(connection.color)})`);
+        }
+        
+        if (connection.arrow === 'both') {
+            line.setAttribute('marker-start', `url(#${this.getMarkerId(connection.color, true)})`);
+        } else {
+            line.removeAttribute('marker-start');
+        }
+        
+        group.querySelector('.connection-label').textContent = connection.label;
+        
+        this.routeConnection(connection, group);
+    }
+    
+    // Re-position a connection's path and label from the current card geometry
+    routeConnection(connection, group = this.getConnectionElement(connection.id)) {
+        if (!group) return;
+        
+        const route = this.getRoute(connection);
+        if (!route) {
+            group.style.display = 'none';
+            return;
+        }
+        group.style.display = '';
+        
+        const d = `M ${route.x1} ${route.y1} L ${route.x2} ${route.y2}`;
+        group.querySelector('.connection-hit').setAttribute('d', d);
+        group.querySelector('.connection-line').setAttribute('d', d);
+        
+        const label = group.querySelector('.connection-label');
+        label.setAttribute('x', (route.x1 + route.x2) / 2);
+        label.setAttribute('y', (route.y1 + route.y2) / 2);
+    }
+    
+    // Re-route connections attached to the given cards (called while cards move or resize)
+    updateCardConnections(cardIds) {
+        const ids = new Set(cardIds);
+        this.connections.forEach(connection => {
+            if (ids.has(connection.from) || ids.has(connection.to)) {
+                this.routeConnection(connection);
+            }
+        });
+    }
+    
+    // Re-route every connection
+    updateAllConnections() {
+        this.connections.forEach(connection => this.routeConnection(connection));
+    }
+    
+    // Get all connection data for saving
+    getAllConnections() {
+        return Array.from(this.connections.values());
+    }
+    
+    // Load connections from data
+    loadConnections(connectionsData) {
+        // Clear existing connections
+        this.clearConnectionSelection();
+        this.connections.clear();
+        this.layer.querySelectorAll('.connection').forEach(element => element.remove());
+        
+        // Only keep connections whose cards still exist
+        connectionsData.forEach(connection => {
+            if (this.cardManager.cards.has(connection.from) && this.cardManager.cards.has(connection.to)) {
+                this.createConnection({ ...connection });
+            }
+        });
+    }
+    
+    save() {
+        if (window.storage) {
+            window.storage.saveCards(this.cardManager.getAllCards());
+        }
+    }
+}
@@ -0,0 +1,419 @@
+// Card filter - a bar of conditions over card fields (tags, type, colour, text, created and modified dates);
+// cards that don't match every condition are dimmed or hidden. Each board keeps its own filter.
+class FilterBar {
+    constructor(world, cardManager, storage, searchPalette) {
+        this.world = world;
+        this.cardManager = cardManager;
+        this.storage = storage;
+        this.searchPalette = searchPalette;
+        this.isOpen = false;
+        
+        // [{ field, operator, value }], all of which a card must match; 'dim' or 'hide' the cards that don't
+        this.conditions = [];
+        this.mode = 'dim';
+        this.excluded = new Set(); // IDs of cards that don't match
+        this.summaryScheduled = false;
+        
+        this.FIELDS = {
+            tag: 'Tag',
+            type: 'Type',
+            color: 'Colour',
+            text: 'Text contains',
+            created: 'Created',
+            modified: 'Modified'
+        };
+        this.OPERATORS = { after: 'on or after', before: 'before' }; // for the dates
+        
+        // DOM elements
+        this.bar = null;
+        this.conditionList = null;
+        this.fieldSelect = null;
+        this.operatorSelect = null;
+        this.valueSlot = null;
+        this.valueControl = null;
+        this.modeSelect = null;
+        this.summary = null;
+        this.tagList = null;
+        this.toggleBtn = document.getElementById('toggleFilter');
+        
+        this.init();
+    }
+    
+    init() {
+        this.createBar();
+        this.setupEventListeners();
+        this.renderValueControl();
+    }
+    
+    createBar() {
+        const fields = Object.entries(this.FIELDS)
+            .map(([field, label]) => `<option value="${field}">${label}</option>`)
+            .join('');
+        const operators = Object.entries(this.OPERATORS)
+            .map(([operator, label]) => `<option value="${operator}">${label}</option>`)
+            .join('');
+        
+        this.bar = document.createElement('div');
+        this.bar.className = 'filter-bar';
+        this.bar.innerHTML = `
+            <div class="filter-conditions"></div>
+            <div class="filter-builder">
+                <select class="filter-field" title="Card field">${fields}</select>
+                <select class="filter-operator" title="Comparison">${operators}</select>
+                <span class="filter-value"></span>
+                <button class="board-btn filter-add">Add</button>
+            </div>
+            <select class="filter-mode" title="What happens to the other cards">
+                <option value="dim">Dim others</option>
+                <option value="hide">Hide others</option>
+            </select>
+            <span class="filter-summary"></span>
+            <button class="board-btn filter-clear">Clear</button>
+            <button class="filter-close" title="Close">&times;</button>
+            <datalist id="filterTagList"></datalist>
+        `;
+        document.body.appendChild(this.bar);
+        
+        this.conditionList = this.bar.querySelector('.filter-conditions');
+        this.fieldSelect = this.bar.querySelector('.filter-field');
+        this.operatorSelect = this.bar.querySelector('.filter-operator');
+        this.valueSlot = this.bar.querySelector('.filter-value');
+        this.modeSelect = this.bar.querySelector('.filter-mode');
+        this.summary = this.bar.querySelector('.filter-summary');
+        this.tagList = this.bar.querySelector('#filterTagList');
+    }
+    
+    setupEventListeners() {
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.toggle());
+        }
+        
+        this.fieldSelect.addEventListener('change', () => this.renderValueControl());
+        this.bar.querySelector('.filter-add').addEventListener('click', () => this.addConditionFromBuilder());
+        this.bar.querySelector('.filter-clear').addEventListener('click', () => this.setConditions([]));
+        this.bar.querySelector('.filter-close').addEventListener('click', () => this.close());
+        
+        this.modeSelect.addEventListener('change', () => {
+            this.mode = this.modeSelect.value;
+            this.apply();
+            this.save();
+        });
+        
+        this.conditionList.addEventListener('click', (e) => {
+            const remove = e.target.closest('.filter-chip-remove');
+            if (remove) {
+                this.removeCondition(parseInt(remove.closest('.filter-chip').dataset.index));
+            }
+        });
+        
+        this.bar.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === this.valueControl) {
+                e.preventDefault();
+                this.addConditionFromBuilder();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.bar.classList.add('open');
+        this.renderValueControl();
+        this.valueControl.focus();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.bar.classList.remove('open');
+        if (this.bar.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    isActive() {
+        return this.conditions.length > 0;
+    }
+    
+    // ---- Matching ----
+    
+    matches(cardData) {
+        return this.conditions.every(condition => this.matchesCondition(cardData, condition));
+    }
+    
+    matchesCondition(cardData, condition) {
+        const value = condition.value;
+        
+        if (condition.field === 'tag') {
+            return (cardData.tags || []).some(tag => tag.toLowerCase() === value.toLowerCase());
+        }
+        if (condition.field === 'type') {
+            return this.cardManager.types.getType(cardData) === value;
+        }
+        if (condition.field === 'color') {
+            // Either colour of the card; an empty value matches cards with neither
+            return value ? cardData.color === value || cardData.borderColor === value : !cardData.color && !cardData.borderColor;
+        }
+        if (condition.field === 'text') {
+            return this.searchPalette.getCardText(cardData).toLowerCase().includes(value.toLowerCase());
+        }
+        if (condition.field === 'created' || condition.field === 'modified') {
+            // Cards from before dates were recorded match neither side of a date
+            const time = condition.field === 'created' ? cardData.createdAt : cardData.updatedAt || cardData.createdAt;
+            if (!time) return false;
+            
+            const day = new Date(`${value}T00:00`).getTime();
+            return condition.operator === 'before' ? time < day : time >= day;
+        }
+        return true;
+    }
+    
+    // Whether a card is filtered out and hidden (rather than dimmed)
+    isHidden(cardId) {
+        return this.mode === 'hide' && this.excluded.has(cardId);
+    }
+    
+    isExcluded(cardId) {
+        return this.excluded.has(cardId);
+    }
+    
+    getMatchingCardIds() {
+        return Array.from(this.cardManager.cards.keys()).filter(id => !this.excluded.has(id));
+    }
+    
+    // Re-check every card, after the conditions or the mode changed
+    apply() {
+        this.excluded.clear();
+        if (this.isActive()) {
+            this.cardManager.cards.forEach((cardData, id) => {
+                if (!this.matches(cardData)) {
+                    this.excluded.add(id);
+                }
+            });
+        }
+        
+        if (this.isActive()) {
+            this.world.world.dataset.filter = this.mode;
+        } else {
+            delete this.world.world.dataset.filter;
+        }
+        this.cardManager.cardElements.forEach((element, id) => {
+            element.classList.toggle('filtered-out', this.excluded.has(id));
+        });
+        
+        if (this.toggleBtn) {
+            this.toggleBtn.classList.toggle('board-btn-active', this.isActive());
+        }
+        this.renderConditions();
+        this.redrawCanvases();
+        this.requestSummary();
+    }
+    
+    // Re-check one card after it was created, edited or removed (see CardManager.indexCard)
+    refreshCard(cardId) {
+        const cardData = this.cardManager.cards.get(cardId);
+        const excluded = !!cardData && this.isActive() && !this.matches(cardData);
+        if (excluded !== this.excluded.has(cardId)) {
+            if (excluded) {
+                this.excluded.add(cardId);
+            } else {
+                this.excluded.delete(cardId);
+            }
+            
+            const element = this.cardManager.getCardElement(cardId);
+            if (element) {
+                element.classList.toggle('filtered-out', excluded);
+            }
+        }
+        
+        if (this.isActive()) {
+            this.requestSummary();
+        }
+    }
+    
+    // The zoomed-out rectangles and the minimap dim or leave out filtered cards too
+    redrawCanvases() {
+        if (window.detailLevels) {
+            window.detailLevels.requestRender();
+        }
+        if (window.minimap) {
+            window.minimap.requestRender();
+        }
+    }
+    
+    // ---- Conditions ----
+    
+    addConditionFromBuilder() {
+        const field = this.fieldSelect.value;
+        const value = this.valueControl.value.trim();
+        
+        // Colour is the only field where an empty value means something (no colour)
+        if (!value && field !== 'color') {
+            this.valueControl.focus();
+            return;
+        }
+        
+        const condition = { field: field, value: value };
+        if (field === 'created' || field === 'modified') {
+            condition.operator = this.operatorSelect.value;
+        }
+        this.setConditions([...this.conditions, condition]);
+        this.renderValueControl();
+        this.valueControl.focus();
+    }
+    
+    removeCondition(index) {
+        this.setConditions(this.conditions.filter((condition, i) => i !== index));
+    }
+    
+    setConditions(conditions) {
+        this.conditions = conditions;
+        this.apply();
+        this.save();
+    }
+    
+    // Keep the filter with the active board
+    save() {
+        this.storage.setBoardFilter(this.storage.activeBoardId, this.isActive() ? {
+            conditions: this.conditions,
+            mode: this.mode
+        } : null);
+    }
+    
+    // Take the active board's filter (called before its cards are loaded)
+    load() {
+        const board = this.storage.getActiveBoard();
+        const filter = board && board.filter;
+        
+        this.conditions = filter && Array.isArray(filter.conditions) ? filter.conditions.map(condition => ({ ...condition })) : [];
+        this.mode = filter && filter.mode === 'hide' ? 'hide' : 'dim';
+        this.modeSelect.value = this.mode;
+        this.apply();
+        
+        if (this.isActive() && !this.isOpen) {
+            this.open();
+        }
+    }
+    
+    // ---- Rendering ----
+    
+    renderConditions() {
+        this.conditionList.innerHTML = this.conditions.map((condition, index) => {
+            let label = this.FIELDS[condition.field] || condition.field;
+            if (condition.operator) {
+                label += ` ${this.OPERATORS[condition.operator]}`;
+            }
+            
+            let value = this.escapeHtml(condition.value);
+            if (condition.field === 'type') {
+                const type = this.cardManager.types.TYPES[condition.value];
+                value = type ? type.label : value;
+            } else if (condition.field === 'color') {
+                value = condition.value ?
+                    `<span class="filter-swatch" style="background: ${value}"></span>` :
+                    'none';
+            }
+            
+            return `
+                <span class="filter-chip" data-index="${index}">
+                    ${this.escapeHtml(label)}: ${value}
+                    <button class="filter-chip-remove" title="Remove condition">&times;</button>
+                </span>
+            `;
+        }).join('');
+    }
+    
+    // The value input for the chosen field: a list for types and colours, a date for dates,
+    // otherwise text (tags suggest the board's tags)
+    renderValueControl() {
+        const field = this.fieldSelect.value;
+        this.operatorSelect.style.display = field === 'created' || field === 'modified' ? '' : 'none';
+        
+        let control;
+        if (field === 'type' || field === 'color') {
+            control = document.createElement('select');
+            const options = field === 'type' ?
+                Object.entries(this.cardManager.types.TYPES).map(([type, definition]) => [type, definition.label]) :
+                [['', 'No colour'], ...this.getBoardColors().map(color => [color, color])];
+            
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                if (field === 'color' && value) {
+                    option.style.background = value;
+                }
+                control.appendChild(option);
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = field === 'created' || field === 'modified' ? 'date' : 'text';
+            if (field === 'tag') {
+                control.setAttribute('list', 'filterTagList');
+                control.placeholder = 'tag';
+                this.tagList.innerHTML = this.getBoardTags()
+                    .map(tag => `<option value="${this.escapeHtml(tag)}"></option>`)
+                    .join('');
+            } else if (field === 'text') {
+                control.placeholder = 'text';
+            }
+        }
+        
+        this.valueSlot.replaceChildren(control);
+        this.valueControl = control;
+    }
+    
+    // Batch the "N of M cards" count to at most once per frame
+    requestSummary() {
+        if (this.summaryScheduled) return;
+        this.summaryScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.summaryScheduled = false;
+            this.renderSummary();
+        });
+    }
+    
+    renderSummary() {
+        const total = this.cardManager.cards.size;
+        this.summary.textContent = this.isActive() ? `${this.getMatchingCardIds().length} of ${total} cards` : '';
+    }
+    
+    // Every tag on the board, once each (first spelling wins), sorted
+    getBoardTags() {
+        const tags = new Map();
+        this.cardManager.cards.forEach(cardData => {
+            (cardData.tags || []).forEach(tag => {
+                if (!tags.has(tag.toLowerCase())) {
+                    tags.set(tag.toLowerCase(), tag);
+                }
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    }
+    
+    // Every background and border colour used on the board
+    getBoardColors() {
+        const colors = new Set();
+        this.cardManager.cards.forEach(cardData => {
+            if (cardData.color) colors.add(cardData.color);
+            if (cardData.borderColor) colors.add(cardData.borderColor);
+        });
+        return Array.from(colors);
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
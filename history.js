@@ -0,0 +1,366 @@
+// History panel - lists undo history with jump-to, read-only previews of past states and named checkpoints
+class HistoryPanel {
+    constructor(undoRedoManager, world, cardManager, connectionManager) {
+        this.undoRedoManager = undoRedoManager;
+        this.world = world;
+        this.cardManager = cardManager;
+        this.connectionManager = connectionManager;
+        this.isOpen = false;
+        this.renderScheduled = false;
+        
+        // Entry shown in the preview layer, and the history version it was taken from
+        this.previewIndex = null;
+        this.previewVersion = null;
+        
+        // Panel settings
+        this.MAX_ENTRIES = 200; // most recent entries listed (checkpoints are always listed)
+        this.MAX_CARD_NAMES = 3;
+        this.CARD_NAME_LENGTH = 30;
+        
+        this.parser = new DOMParser();
+        
+        // DOM elements
+        this.panel = null;
+        this.summary = null;
+        this.previewBar = null;
+        this.list = null;
+        this.previewLayer = null;
+        this.toggleBtn = document.getElementById('toggleHistory');
+        
+        this.init();
+    }
+    
+    init() {
+        this.createPanel();
+        this.createPreviewLayer();
+        this.setupEventListeners();
+    }
+    
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'history-panel';
+        this.panel.innerHTML = `
+            <div class="history-header">
+                <h3>History</h3>
+                <button class="close-btn history-close" title="Close">&times;</button>
+            </div>
+            <div class="history-summary"></div>
+            <div class="history-preview-bar">
+                <span class="history-preview-label"></span>
+                <button class="board-btn" data-action="restore">Restore</button>
+                <button class="board-btn" data-action="exit-preview">Exit</button>
+            </div>
+            <ul class="history-list"></ul>
+        `;
+        document.body.appendChild(this.panel);
+        
+        this.summary = this.panel.querySelector('.history-summary');
+        this.previewBar = this.panel.querySelector('.history-preview-bar');
+        this.list = this.panel.querySelector('.history-list');
+    }
+    
+    // Past states are drawn in their own layer over the hidden world, so nothing in them can be edited
+    createPreviewLayer() {
+        this.previewLayer = document.createElement('div');
+        this.previewLayer.className = 'history-preview';
+        this.world.viewport.appendChild(this.previewLayer);
+    }
+    
+    setupEventListeners() {
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.toggle());
+        }
+        
+        this.panel.querySelector('.history-close').addEventListener('click', () => this.close());
+        
+        this.previewBar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            if (button.dataset.action === 'restore') {
+                this.jumpTo(this.previewIndex);
+            } else {
+                this.exitPreview();
+            }
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-entry');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+            
+            const button = e.target.closest('button');
+            if (!button) {
+                this.jumpTo(index);
+            } else if (button.dataset.action === 'preview') {
+                if (this.previewIndex === index) {
+                    this.exitPreview();
+                } else {
+                    this.preview(index);
+                }
+            } else if (button.dataset.action === 'pin') {
+                this.togglePin(index);
+            }
+        });
+        
+        // Keep the preview in step with panning and zooming
+        const observer = new MutationObserver(() => {
+            if (this.previewIndex !== null) {
+                this.previewLayer.style.transform = this.world.world.style.transform;
+            }
+        });
+        observer.observe(this.world.world, { attributes: true, attributeFilter: ['style'] });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.previewIndex !== null) {
+                this.exitPreview();
+            }
+        });
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.panel.classList.add('open');
+        this.render();
+    }
+    
+    close() {
+        this.exitPreview();
+        this.isOpen = false;
+        this.panel.classList.remove('open');
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    // Batch re-renders to at most one per frame
+    requestRender() {
+        if (!this.isOpen || this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+    
+    render() {
+        if (!this.isOpen) return;
+        
+        // A preview only makes sense for the history it was taken from
+        if (this.previewIndex !== null && this.previewVersion !== this.undoRedoManager.version) {
+            this.exitPreview();
+        }
+        
+        const history = this.undoRedoManager.history;
+        const currentIndex = this.undoRedoManager.currentIndex;
+        
+        this.previewBar.classList.toggle('active', this.previewIndex !== null);
+        if (this.previewIndex !== null) {
+            const entry = history[this.previewIndex];
+            this.previewBar.querySelector('.history-preview-label').textContent =
+                `Previewing "${entry.checkpoint || this.formatOperationName(entry.operation)}" (read-only)`;
+        }
+        
+        const firstListed = Math.max(0, history.length - this.MAX_ENTRIES);
+        
+        const checkpoints = history.filter(entry => entry.checkpoint).length;
+        this.summary.textContent = `${history.length} step${history.length === 1 ? '' : 's'}` +
+            (checkpoints > 0 ? ` • ${checkpoints} checkpoint${checkpoints === 1 ? '' : 's'}` : '') +
+            (firstListed > 0 ? ` • showing the latest ${this.MAX_ENTRIES}` : '');
+        
+        // Newest first
+        const items = [];
+        for (let index = history.length - 1; index >= 0; index--) {
+            const entry = history[index];
+            if (index < firstListed && !entry.checkpoint) continue;
+            items.push(this.renderEntry(entry, index, currentIndex));
+        }
+        this.list.innerHTML = items.join('');
+    }
+    
+    renderEntry(entry, index, currentIndex) {
+        const classes = ['history-entry'];
+        if (index === currentIndex) classes.push('current');
+        if (index > currentIndex) classes.push('undone');
+        if (index === this.previewIndex) classes.push('previewing');
+        if (entry.checkpoint) classes.push('pinned');
+        
+        let name = this.formatOperationName(entry.operation);
+        if (entry.steps > 1) {
+            name += ` (${entry.steps} steps)`;
+        }
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+        const cards = this.describeCards(entry);
+        
+        return `
+            <li class="${classes.join(' ')}" data-index="${index}" title="Jump to this point">
+                ${entry.checkpoint ? `<div class="history-entry-checkpoint">${this.escapeHtml(entry.checkpoint)}</div>` : ''}
+                <div class="history-entry-main">
+                    <span class="history-entry-name">${this.escapeHtml(name)}</span>
+                    <span class="history-entry-time">${time}</span>
+                </div>
+                ${cards ? `<div class="history-entry-cards">${this.escapeHtml(cards)}</div>` : ''}
+                <div class="history-entry-actions">
+                    <button class="history-btn" data-action="preview">${index === this.previewIndex ? 'Hide' : 'Preview'}</button>
+                    <button class="history-btn" data-action="pin">${entry.checkpoint ? 'Unpin' : 'Pin'}</button>
+                </div>
+            </li>
+        `;
+    }
+    
+    formatOperationName(operation) {
+        return window.app ? window.app.formatOperationName(operation) : operation;
+    }
+    
+    // "2 cards: Intro, Plan" for the cards an entry touched
+    describeCards(entry) {
+        const ids = this.undoRedoManager.getAffectedCardIds(entry);
+        if (ids.length === 0) return '';
+        
+        const names = ids.slice(0, this.MAX_CARD_NAMES).map(id => {
+            const change = entry.changes.cards.find(c => c.id === id);
+            const cardData = this.cardManager.cards.get(id) || change.card;
+            return cardData ? this.getCardName(cardData) : `Card ${id}`;
+        });
+        const more = ids.length > this.MAX_CARD_NAMES ? `, +${ids.length - this.MAX_CARD_NAMES} more` : '';
+        
+        return `${ids.length} card${ids.length === 1 ? '' : 's'}: ${names.join(', ')}${more}`;
+    }
+    
+    getCardName(cardData) {
+        const doc = this.parser.parseFromString(cardData.content || '', 'text/html');
+        const text = (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!text) return `Card ${cardData.id}`;
+        
+        return text.length > this.CARD_NAME_LENGTH ? `${text.slice(0, this.CARD_NAME_LENGTH)}…` : text;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    jumpTo(index) {
+        this.exitPreview();
+        
+        if (this.undoRedoManager.jumpTo(index) && window.app) {
+            const entry = this.undoRedoManager.history[index];
+            window.app.showNotification(`Jumped to: ${entry.checkpoint || this.formatOperationName(entry.operation)}`, 'info');
+        }
+    }
+    
+    togglePin(index) {
+        const entry = this.undoRedoManager.history[index];
+        if (!entry) return;
+        
+        if (entry.checkpoint) {
+            this.undoRedoManager.setCheckpoint(index, null);
+        } else {
+            const name = prompt('Checkpoint name:', new Date(entry.timestamp).toLocaleString());
+            if (name === null || !name.trim()) return;
+            this.undoRedoManager.setCheckpoint(index, name.trim());
+        }
+        
+        // Pinning doesn't change any states, so an open preview stays valid
+        if (this.previewIndex !== null) {
+            this.previewVersion = this.undoRedoManager.version;
+        }
+    }
+    
+    // Show the board as it was right after an entry, without changing anything
+    preview(index) {
+        const state = this.undoRedoManager.getStateAt(index);
+        this.previewIndex = index;
+        this.previewVersion = this.undoRedoManager.version;
+        
+        this.previewLayer.innerHTML = '';
+        this.previewLayer.style.transform = this.world.world.style.transform;
+        
+        state.frames.forEach(frame => {
+            const element = document.createElement('div');
+            element.className = 'frame';
+            element.style.left = `${frame.x}px`;
+            element.style.top = `${frame.y}px`;
+            element.style.width = `${frame.width}px`;
+            element.style.height = `${frame.height}px`;
+            element.innerHTML = '<div class="frame-title"></div>';
+            element.querySelector('.frame-title').textContent = frame.title;
+            this.previewLayer.appendChild(element);
+        });
+        
+        const cardElements = new Map();
+        state.cards.forEach((cardData, id) => {
+            const element = document.createElement('div');
+            element.className = 'card ql-container ql-snow';
+            element.style.left = `${cardData.x}px`;
+            element.style.top = `${cardData.y}px`;
+            element.style.width = `${cardData.width}px`;
+            element.style.height = (cardData.height === 'auto' || cardData.height === undefined) ? 'auto' : `${cardData.height}px`;
+            element.innerHTML = '<span class="card-icon"></span><div class="card-content ql-editor"></div><div class="card-tags"></div>';
+            element.dataset.type = this.cardManager.types.getType(cardData);
+            element.querySelector('.card-content').innerHTML = this.cardManager.types.render(cardData);
+            this.cardManager.renderCardStyle(element, cardData);
+            this.previewLayer.appendChild(element);
+            cardElements.set(id, element);
+        });
+        
+        this.renderPreviewConnections(state, cardElements);
+        
+        this.world.viewport.classList.add('previewing');
+        this.render();
+    }
+    
+    // Straight lines between the previewed cards, measured once they are laid out
+    renderPreviewConnections(state, cardElements) {
+        const layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        layer.classList.add('connection-layer');
+        this.previewLayer.insertBefore(layer, this.previewLayer.firstChild);
+        
+        const getRect = (id) => {
+            const element = cardElements.get(id);
+            const cardData = state.cards.get(id);
+            return {
+                x: cardData.x,
+                y: cardData.y,
+                width: element.offsetWidth || cardData.width,
+                height: element.offsetHeight || (typeof cardData.height === 'number' ? cardData.height : 100)
+            };
+        };
+        
+        state.connections.forEach(connection => {
+            if (!cardElements.has(connection.from) || !cardElements.has(connection.to)) return;
+            
+            const fromRect = getRect(connection.from);
+            const toRect = getRect(connection.to);
+            const dx = (toRect.x + toRect.width / 2) - (fromRect.x + fromRect.width / 2);
+            const dy = (toRect.y + toRect.height / 2) - (fromRect.y + fromRect.height / 2);
+            if (dx === 0 && dy === 0) return;
+            
+            const start = this.connectionManager.getEdgePoint(fromRect, dx, dy);
+            const end = this.connectionManager.getEdgePoint(toRect, -dx, -dy);
+            
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            line.classList.add('connection-line');
+            line.setAttribute('stroke', connection.color);
+            line.setAttribute('d', `M ${start.x} ${start.y} L ${end.x} ${end.y}`);
+            layer.appendChild(line);
+        });
+    }
+    
+    exitPreview() {
+        if (this.previewIndex === null) return;
+        
+        this.previewIndex = null;
+        this.previewVersion = null;
+        this.previewLayer.innerHTML = '';
+        this.world.viewport.classList.remove('previewing');
+        this.render();
+    }
+}
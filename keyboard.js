@@ -0,0 +1,288 @@
+// Keyboard navigation - moves focus between cards, nudges selected cards and pans/zooms the world without a mouse
+class KeyboardNavigation {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        
+        // Card that is in the tab order (roving tabindex); the others are reached with Tab and the arrow keys
+        this.tabStopId = null;
+        
+        // Nudging moves selected cards by world pixels; a run of nudges becomes one undo step
+        this.NUDGE_STEP = 10;
+        this.NUDGE_STEP_LARGE = 50;
+        this.NUDGE_BATCH_DELAY = 600; // ms without nudging that ends the run
+        this.nudgeTimeout = null;
+        this.nudgedCardIds = null;
+        
+        // Panning moves the view by screen pixels
+        this.PAN_STEP = 60;
+        this.PAN_STEP_LARGE = 300;
+        this.ZOOM_STEP = 1.25;
+        
+        this.DIRECTIONS = {
+            ArrowLeft: { x: -1, y: 0 },
+            ArrowRight: { x: 1, y: 0 },
+            ArrowUp: { x: 0, y: -1 },
+            ArrowDown: { x: 0, y: 1 }
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        // Mirror the selection into aria-selected
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                const element = mutation.target;
+                if (element.classList.contains('card')) {
+                    element.setAttribute('aria-selected', element.classList.contains('selected') ? 'true' : 'false');
+                }
+            });
+        });
+        observer.observe(this.world.world, { attributes: true, attributeFilter: ['class'], subtree: true });
+        
+        // Whichever card gets focus (by keyboard or mouse) becomes the tab stop
+        this.world.world.addEventListener('focusin', (e) => {
+            if (e.target.classList.contains('card')) {
+                this.setTabStop(parseInt(e.target.dataset.cardId));
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Anything done with the mouse ends a run of nudges
+        document.addEventListener('pointerdown', () => this.finishNudge());
+    }
+    
+    handleKeydown(e) {
+        // Any other key (undo included) ends a run of nudges first
+        if (!this.DIRECTIONS[e.key]) {
+            this.finishNudge();
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isEditingText(e.target)) return;
+        
+        const cardElement = e.target.classList && e.target.classList.contains('card') ? e.target : null;
+        if (cardElement) {
+            this.handleCardKey(e, parseInt(cardElement.dataset.cardId));
+        } else if (e.target === this.world.viewport || e.target === document.body) {
+            this.handleCanvasKey(e);
+        }
+    }
+    
+    // Keys on a focused card
+    handleCardKey(e, cardId) {
+        const direction = this.DIRECTIONS[e.key];
+        
+        if (e.key === 'Tab') {
+            const nextId = this.getReadingOrderNeighbor(cardId, e.shiftKey ? -1 : 1);
+            if (nextId !== null) {
+                e.preventDefault();
+                this.focusCard(nextId);
+            }
+        } else if (direction) {
+            e.preventDefault();
+            if (this.cardManager.selectedCards.has(cardId)) {
+                const step = e.shiftKey ? this.NUDGE_STEP_LARGE : this.NUDGE_STEP;
+                this.nudge(direction.x * step, direction.y * step);
+            } else {
+                const nextId = this.getNearestInDirection(cardId, direction);
+                if (nextId !== null) {
+                    this.focusCard(nextId);
+                }
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.cardManager.selectCard(cardId, false);
+        } else if (e.key === ' ') {
+            // Space adds the card to (or removes it from) the selection, staying on the canvas
+            e.preventDefault();
+            this.cardManager.selectCard(cardId, true, false);
+        }
+    }
+    
+    // Keys on the canvas itself
+    handleCanvasKey(e) {
+        const direction = this.DIRECTIONS[e.key];
+        
+        if (direction) {
+            e.preventDefault();
+            const step = e.shiftKey ? this.PAN_STEP_LARGE : this.PAN_STEP;
+            this.world.targetTX -= direction.x * step;
+            this.world.targetTY -= direction.y * step;
+            this.world.kickAnimation();
+        } else if (e.key === 'Tab' && !e.shiftKey && e.target === this.world.viewport) {
+            // Enter the cards at the one nearest the middle of the view
+            const cardId = this.getNearestToViewCenter();
+            if (cardId !== null) {
+                e.preventDefault();
+                this.focusCard(cardId);
+            }
+        }
+    }
+    
+    // Zoom in (1) or out (-1) a step around the middle of the view (bound to + and - by the command registry)
+    zoom(direction) {
+        const rect = this.world.viewport.getBoundingClientRect();
+        const factor = direction < 0 ? 1 / this.ZOOM_STEP : this.ZOOM_STEP;
+        this.world.zoomBy(factor, rect.width / 2, rect.height / 2);
+    }
+    
+    // Move keyboard focus to a card, bringing it into view if needed
+    focusCard(cardId) {
+        // The card may be out of view and unmounted; focus keeps it mounted from here on
+        const element = this.cardManager.mountCard(cardId);
+        if (!element) return;
+        
+        // Screen readers announce the card by the start of its text
+        const text = element.querySelector('.card-content').textContent.replace(/\s+/g, ' ').trim();
+        element.setAttribute('aria-label', text.slice(0, 80) || 'Empty card');
+        
+        this.setTabStop(cardId);
+        element.focus({ preventScroll: true });
+        
+        const bounds = this.cardManager.getCardBounds(cardId);
+        const visible = this.world.getVisibleBounds();
+        const inView = bounds.x >= visible.left && bounds.y >= visible.top &&
+            bounds.x + bounds.width <= visible.right && bounds.y + bounds.height <= visible.bottom;
+        if (!inView) {
+            this.world.animateTo(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        }
+    }
+    
+    setTabStop(cardId) {
+        if (this.tabStopId === cardId) return;
+        
+        const previous = this.tabStopId !== null ? this.world.world.querySelector(`[data-card-id="${this.tabStopId}"]`) : null;
+        if (previous) {
+            previous.tabIndex = -1;
+        }
+        
+        const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
+        if (element) {
+            element.tabIndex = 0;
+        }
+        this.tabStopId = cardId;
+    }
+    
+    // Next or previous card reading the canvas top to bottom, left to right (null at either end)
+    getReadingOrderNeighbor(cardId, offset) {
+        const ordered = Array.from(this.cardManager.cards.values())
+            .filter(cardData => cardData.id === cardId || !this.cardManager.isCardHidden(cardData.id))
+            .sort((a, b) => (a.y - b.y) || (a.x - b.x))
+            .map(cardData => cardData.id);
+        const index = ordered.indexOf(cardId) + offset;
+        return index >= 0 && index < ordered.length ? ordered[index] : null;
+    }
+    
+    // Closest card whose center lies in a direction from the given card's center (null if there is none)
+    getNearestInDirection(cardId, direction) {
+        const from = this.getCenter(cardId);
+        let bestId = null;
+        let bestScore = Infinity;
+        
+        this.cardManager.cards.forEach((cardData, id) => {
+            if (id === cardId || this.cardManager.isCardHidden(id)) return;
+            
+            const center = this.getCenter(id);
+            const dx = center.x - from.x;
+            const dy = center.y - from.y;
+            const along = dx * direction.x + dy * direction.y;
+            if (along <= 0) return;
+            
+            // Prefer cards straight ahead over closer ones off to the side
+            const across = Math.abs(dx * direction.y - dy * direction.x);
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                bestId = id;
+            }
+        });
+        
+        return bestId;
+    }
+    
+    getNearestToViewCenter() {
+        const visible = this.world.getVisibleBounds();
+        const centerX = visible.left + visible.width / 2;
+        const centerY = visible.top + visible.height / 2;
+        let bestId = null;
+        let bestDistance = Infinity;
+        
+        this.cardManager.cards.forEach((cardData, id) => {
+            if (this.cardManager.isCardHidden(id)) return;
+            
+            const center = this.getCenter(id);
+            const distance = Math.hypot(center.x - centerX, center.y - centerY);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestId = id;
+            }
+        });
+        
+        return bestId;
+    }
+    
+    getCenter(cardId) {
+        const bounds = this.cardManager.getCardBounds(cardId);
+        return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    }
+    
+    // Move the selected cards; consecutive nudges of the same cards are undone together
+    nudge(dx, dy) {
+        const cardIds = Array.from(this.cardManager.selectedCards).filter(id => this.cardManager.cards.has(id));
+        if (cardIds.length === 0) return;
+        
+        const sameCards = this.nudgedCardIds && this.nudgedCardIds.length === cardIds.length &&
+            cardIds.every(id => this.nudgedCardIds.includes(id));
+        if (!sameCards) {
+            this.finishNudge();
+        }
+        
+        if (this.nudgeTimeout) {
+            clearTimeout(this.nudgeTimeout);
+        } else {
+            const startPositions = {};
+            cardIds.forEach(id => {
+                const cardData = this.cardManager.cards.get(id);
+                startPositions[id] = { x: cardData.x, y: cardData.y };
+            });
+            if (window.undoRedoManager) {
+                window.undoRedoManager.saveDragState(cardIds.length > 1 ? 'multi_card_move' : 'card_move', cardIds, startPositions);
+            }
+            this.nudgedCardIds = cardIds;
+        }
+        
+        cardIds.forEach(id => {
+            const cardData = this.cardManager.cards.get(id);
+            this.cardManager.updateCard(id, { x: cardData.x + dx, y: cardData.y + dy });
+        });
+        
+        this.nudgeTimeout = setTimeout(() => this.finishNudge(), this.NUDGE_BATCH_DELAY);
+    }
+    
+    finishNudge() {
+        if (!this.nudgeTimeout) return;
+        
+        clearTimeout(this.nudgeTimeout);
+        this.nudgeTimeout = null;
+        
+        // Like a drag, nudging cards into a frame adopts them (before the undo state is captured)
+        this.nudgedCardIds.forEach(id => {
+            if (this.cardManager.cards.has(id)) {
+                this.cardManager.adoptCardIntoFrame(id);
+            }
+        });
+        this.nudgedCardIds = null;
+        
+        if (window.undoRedoManager) {
+            window.undoRedoManager.finishDragOperation();
+        }
+        if (window.storage) {
+            window.storage.saveCards(this.cardManager.getAllCards());
+        }
+    }
+    
+    isEditingText(element) {
+        return !!(element && element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+}
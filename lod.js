@@ -0,0 +1,140 @@
+// Level of detail - cards show their full content close up, a title placeholder further out and plain
+// rectangles on a canvas when far out, cross-fading between them as World.scale passes each band
+class DetailLevels {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        
+        // Zoom bands (World.scale) over which one level fades into the next
+        this.TITLE_FADE = { from: 0.5, to: 0.4 };  // content -> title placeholder
+        this.SHAPE_FADE = { from: 0.25, to: 0.2 }; // card elements -> canvas rectangles
+        
+        // 'full', 'title' or 'shape'; at 'shape' only selected cards keep an element (see CardManager.updateVisibleCards)
+        this.level = null;
+        this.renderScheduled = false;
+        
+        // DOM elements
+        this.canvas = null;
+        this.ctx = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createCanvas();
+        this.setupEventListeners();
+        this.observeWorld();
+        this.applyScale();
+    }
+    
+    // Canvas under the world layer for the far-out rectangles
+    createCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'detail-canvas';
+        this.world.viewport.insertBefore(this.canvas, this.world.world);
+        this.ctx = this.canvas.getContext('2d');
+    }
+    
+    setupEventListeners() {
+        // The rectangles have no elements, so a plain click on one selects it by position
+        this.world.viewport.addEventListener('click', (e) => {
+            const down = this.cardManager.pointerDownPos;
+            if (this.level !== 'shape' || !down || e.shiftKey || !this.cardManager.isEmptyCanvasTarget(e.target)) return;
+            
+            const moved = Math.abs(e.clientX - down.x) > this.cardManager.CLICK_TOLERANCE ||
+                Math.abs(e.clientY - down.y) > this.cardManager.CLICK_TOLERANCE;
+            if (moved) return;
+            
+            const point = this.world.screenToWorld(e.clientX, e.clientY);
+            const cardId = this.cardManager.getCardAt(point.x, point.y);
+            if (cardId !== null) {
+                this.cardManager.selectCard(cardId, this.cardManager.isCtrlPressed);
+            }
+        });
+        
+        window.addEventListener('resize', () => this.requestRender());
+    }
+    
+    // Follow every pan and zoom of the world
+    observeWorld() {
+        const observer = new MutationObserver(() => this.applyScale());
+        observer.observe(this.world.world, { attributes: true, attributeFilter: ['style'] });
+    }
+    
+    // How far a scale is through a fade band: 1 at or above `from`, 0 at or below `to`
+    fade(scale, band) {
+        return Math.min(1, Math.max(0, (scale - band.to) / (band.from - band.to)));
+    }
+    
+    // Set the fades for the current scale (CSS variables on the viewport, read by the card styles)
+    // and switch level when a band is crossed
+    applyScale() {
+        const scale = this.world.scale;
+        const contentOpacity = this.fade(scale, this.TITLE_FADE);
+        const cardOpacity = this.fade(scale, this.SHAPE_FADE);
+        
+        const style = this.world.viewport.style;
+        style.setProperty('--card-content-opacity', contentOpacity.toFixed(2));
+        style.setProperty('--card-summary-opacity', (1 - contentOpacity).toFixed(2));
+        style.setProperty('--card-opacity', cardOpacity.toFixed(2));
+        this.canvas.style.opacity = (1 - cardOpacity).toFixed(2);
+        
+        const level = scale >= this.TITLE_FADE.to ? 'full' : scale > this.SHAPE_FADE.to ? 'title' : 'shape';
+        if (level !== this.level) {
+            this.level = level;
+            this.world.world.dataset.detail = level;
+            
+            // Cards leave (or get back) their elements when the rectangles take over
+            this.cardManager.updateVisibleCards();
+        }
+        
+        this.requestRender();
+    }
+    
+    // Batch redraws to at most one per frame
+    requestRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+    
+    render() {
+        if (!this.ctx) return;
+        
+        // Match the viewport at device resolution
+        const rect = this.world.viewport.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(rect.width * ratio) || this.canvas.height !== Math.round(rect.height * ratio)) {
+            this.canvas.width = Math.round(rect.width * ratio);
+            this.canvas.height = Math.round(rect.height * ratio);
+        }
+        
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Nothing to draw while the card elements are fully shown
+        if (this.fade(this.world.scale, this.SHAPE_FADE) >= 1) return;
+        
+        // Draw in world coordinates
+        const scale = this.world.scale;
+        ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * this.world.translateX, ratio * this.world.translateY);
+        
+        const visible = this.world.getVisibleBounds();
+        const filter = window.cardFilter;
+        this.cardManager.cardIndex.query(visible).forEach(id => {
+            if (this.cardManager.isCardHidden(id)) return;
+            
+            const bounds = this.cardManager.getCardBounds(id);
+            const cardData = this.cardManager.cards.get(id);
+            ctx.globalAlpha = filter && filter.isExcluded(id) ? 0.2 : 1;
+            ctx.fillStyle = this.cardManager.selectedCards.has(id) ? '#3b82f6' : cardData.color || 'rgba(255, 255, 255, 0.9)';
+            ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        });
+        ctx.globalAlpha = 1;
+    }
+}
@@ -3,9 +3,23 @@ class InfiniteCanvas {
     constructor() {
         this.world = null;
         this.cardManager = null;
+        this.connectionManager = null;
+        this.searchPalette = null;
+        this.keyboardNavigation = null;
+        this.commands = null;
+        this.shortcutOverlay = null;
+        this.commandPalette = null;
+        this.minimap = null;
+        this.detailLevels = null;
+        this.cardFilter = null;
+        this.historyPanel = null;
+        this.boardBar = null;
         this.sidebar = null;
         this.storage = null;
         this.undoRedoManager = null;
+        this.revisionLog = null;
+        this.syncManager = null;
+        this.tabSync = null;
         this.loadingOverlay = null;
         
         this.init();
@@ -31,16 +45,16 @@ class InfiniteCanvas {
             await this.initializeComponents();
             
             // Load saved data and apply settings
-            await this.loadApplicationState();
+            const savedData = await this.loadApplicationState();
             
-            // Initialize undo/redo with current state
-            this.undoRedoManager.initialize();
+            // Continue the saved undo history, or start one from the current state
+            this.undoRedoManager.restoreHistory(savedData && savedData.history);
             
             // Setup additional functionality
             this.setupGlobalEvents();
             
             console.log('Infinite Canvas initialized successfully!');
-            
+        
         } catch (error) {
             console.error('Failed to initialize Infinite Canvas:', error);
         } finally {
@@ -58,11 +72,16 @@ class InfiniteCanvas {
         // Initialize storage first
         this.storage = new Storage();
         window.storage = this.storage;
+        await this.storage.init();
         
         // Initialize undo/redo manager
         this.undoRedoManager = new UndoRedoManager();
         window.undoRedoManager = this.undoRedoManager;
         
+        // Initialize per-card revision log
+        this.revisionLog = new RevisionLog();
+        window.revisionLog = this.revisionLog;
+        
         // Initialize world (panning, zooming, grid)
         this.world = new World();
         window.world = this.world;
@@ -71,24 +90,90 @@ class InfiniteCanvas {
         this.cardManager = new CardManager(this.world);
         window.cardManager = this.cardManager;
         
+        // Initialize connections between cards
+        this.connectionManager = new ConnectionManager(this.world, this.cardManager);
+        window.connectionManager = this.connectionManager;
+        
+        // Initialize search palette
+        this.searchPalette = new SearchPalette(this.world, this.cardManager);
+        window.searchPalette = this.searchPalette;
+        
+        // Initialize keyboard navigation between cards
+        this.keyboardNavigation = new KeyboardNavigation(this.world, this.cardManager);
+        window.keyboardNavigation = this.keyboardNavigation;
+        
+        // Initialize keyboard shortcuts (after keyboard navigation, which finishes a nudge before undo runs)
+        this.commands = new CommandRegistry();
+        window.commands = this.commands;
+        this.shortcutOverlay = new ShortcutOverlay(this.commands);
+        window.shortcutOverlay = this.shortcutOverlay;
+        this.commandPalette = new CommandPalette(this.commands, this.cardManager, this.searchPalette);
+        window.commandPalette = this.commandPalette;
+        
+        // Initialize minimap overview
+        this.minimap = new Minimap(this.world, this.cardManager);
+        window.minimap = this.minimap;
+        
+        // Initialize zoom-dependent card rendering
+        this.detailLevels = new DetailLevels(this.world, this.cardManager);
+        window.detailLevels = this.detailLevels;
+        
+        // Initialize the card filter bar
+        this.cardFilter = new FilterBar(this.world, this.cardManager, this.storage, this.searchPalette);
+        window.cardFilter = this.cardFilter;
+        
+        // Initialize history panel
+        this.historyPanel = new HistoryPanel(this.undoRedoManager, this.world, this.cardManager, this.connectionManager);
+        window.historyPanel = this.historyPanel;
+        
         // Initialize sidebar (including loading its width first)
         this.sidebar = new Sidebar();
         window.sidebar = this.sidebar;
         
+        // Initialize board switcher
+        this.boardBar = new BoardBar(this.storage);
+        window.boardBar = this.boardBar;
+        
+        // Initialize live collaboration (idle until a room is joined)
+        this.syncManager = new SyncManager(this.world, this.cardManager, this.connectionManager);
+        window.syncManager = this.syncManager;
+        
+        // Keep other tabs showing the same board in step
+        this.tabSync = new TabSync(this.storage, this.cardManager, this.connectionManager);
+        window.tabSync = this.tabSync;
+        
         // Small delay to ensure all components are ready
         await new Promise(resolve => setTimeout(resolve, 100));
     }
     
     async loadApplicationState() {
-        // Load saved data
-        const savedData = this.storage.loadData();
+        // Restore the last-opened board
+        const lastBoard = this.storage.getActiveBoard();
+        this.storage.setActiveBoard(lastBoard.id);
+        console.log(`Opening board "${lastBoard.name}"...`);
         
-        if (savedData && savedData.cards && savedData.cards.length > 0) {
+        return this.loadBoardState();
+    }
+    
+    // Load the active board's saved data into the canvas (resolves with the saved data, if any)
+    async loadBoardState() {
+        // The board's filter applies to its cards as they load
+        this.cardFilter.load();
+        
+        const savedData = await this.storage.loadData();
+        this.tabSync.setBase(savedData);
+        this.revisionLog.load(savedData ? savedData.revisions : null);
+        
+        if (savedData && savedData.cards) {
             console.log('Loading saved cards and world state...');
             
             // Load cards first
             this.cardManager.loadCards(savedData.cards);
             
+            // Frames and connections need the cards to exist
+            this.cardManager.loadFrames(savedData.frames || []);
+            this.connectionManager.loadConnections(savedData.connections || []);
+            
             // Apply world state (position and zoom) before showing
             if (savedData.worldState) {
                 this.storage.applyWorldState(savedData.worldState);
@@ -119,100 +204,16 @@ class InfiniteCanvas {
         // Ensure world position is properly set
         await new Promise(resolve => setTimeout(resolve, 50));
         this.world.updateUI();
+        
+        // Re-route connections now that auto-height cards have been laid out
+        this.connectionManager.updateAllConnections();
+        
+        return savedData;
     }
     
     setupGlobalEvents() {
         // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + Z: Undo
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
-                e.preventDefault();
-                this.performUndo();
-            }
-            
-            // Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z: Redo
-            if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
-                e.preventDefault();
-                this.performRedo();
-            }
-            
-            // Ctrl/Cmd + N: New card
-            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-                e.preventDefault();
-                this.cardManager.addNewCard();
-            }
-            
-            // Ctrl/Cmd + D: Duplicate active card or selected cards
-            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-                e.preventDefault();
-                if (this.cardManager.selectedCards.size > 0) {
-                    // Save state before duplicating
-                    this.undoRedoManager.saveState('duplicate_cards', {
-                        cardIds: Array.from(this.cardManager.selectedCards)
-                    });
-                    
-                    // Duplicate all selected cards
-                    const selectedIds = Array.from(this.cardManager.selectedCards);
-                    selectedIds.forEach(cardId => {
-                        this.cardManager.duplicateCard(cardId);
-                    });
-                } else if (this.cardManager.activeCard) {
-                    // Save state before duplicating
-                    this.undoRedoManager.saveState('duplicate_card', {
-                        cardId: this.cardManager.activeCard
-                    });
-                    
-                    this.cardManager.duplicateCard(this.cardManager.activeCard);
-                }
-            }
-            
-            // Ctrl/Cmd + S: Manual save
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                this.storage.saveData({
-                    cards: this.cardManager.getAllCards(),
-                    worldState: this.storage.getWorldState()
-                });
-                this.showNotification('Saved!');
-            }
-            
-            // Ctrl/Cmd + E: Export data
-            if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
-                e.preventDefault();
-                this.storage.exportData();
-            }
-            
-            // Delete key: Delete selected card(s)
-            if (e.key === 'Delete' && !this.sidebar.isOpen) {
-                if (this.cardManager.selectedCards.size > 0) {
-                    const selectedCount = this.cardManager.selectedCards.size;
-                    const message = selectedCount === 1 ? 
-                        'Are you sure you want to delete the selected card?' : 
-                        `Are you sure you want to delete the ${selectedCount} selected cards?`;
-                    
-                    if (confirm(message)) {
-                        // Save state before deleting
-                        this.undoRedoManager.saveState('delete_cards', {
-                            cardIds: Array.from(this.cardManager.selectedCards)
-                        });
-                        
-                        const selectedIds = Array.from(this.cardManager.selectedCards);
-                        selectedIds.forEach(cardId => {
-                            this.cardManager.deleteCard(cardId);
-                        });
-                    }
-                }
-            }
-            
-            // Escape key: Clear selection
-            if (e.key === 'Escape') {
-                if (this.sidebar.isOpen) {
-                    this.sidebar.close();
-                } else {
-                    this.cardManager.clearSelection();
-                }
-            }
-        });
+        this.registerCommands();
         
         // Auto-save world state on pan/zoom
         let worldSaveTimeout = null;
@@ -236,9 +237,12 @@ class InfiniteCanvas {
             e.preventDefault();
             const files = Array.from(e.dataTransfer.files);
             const jsonFile = files.find(file => file.type === 'application/json' || file.name.endsWith('.json'));
+            const markdownFile = files.find(file => this.storage.isMarkdownFile(file));
             
             if (jsonFile) {
                 this.importData(jsonFile);
+            } else if (markdownFile) {
+                this.importMarkdown(markdownFile);
             }
         });
         
@@ -249,13 +253,137 @@ class InfiniteCanvas {
         
         // Before unload - save data
         window.addEventListener('beforeunload', () => {
+            // Record edits still waiting on their undo debounce so the saved history matches the board
+            this.undoRedoManager.flushPendingChanges();
+            
             this.storage.saveData({
                 cards: this.cardManager.getAllCards(),
+                connections: this.connectionManager.getAllConnections(),
+                frames: this.cardManager.getAllFrames(),
                 worldState: this.storage.getWorldState()
             });
         });
     }
     
+    // Every keyboard action, with its default keys (the user can rebind them in the "?" overlay)
+    registerCommands() {
+        const commands = this.commands;
+        
+        commands.register('undo', { label: 'Undo', group: 'Edit', keys: ['Ctrl+Z'], run: () => this.performUndo() });
+        commands.register('redo', { label: 'Redo', group: 'Edit', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], run: () => this.performRedo() });
+        commands.register('new-card', { label: 'New card', group: 'Edit', keys: ['N'], run: () => this.cardManager.addNewCard() });
+        Object.entries(this.cardManager.types.TYPES).forEach(([type, definition]) => {
+            if (type === 'text') return;
+            commands.register(`new-${type}`, { label: `New ${definition.label.toLowerCase()}`, group: 'Edit', run: () => this.cardManager.addNewCard(type) });
+        });
+        commands.register('duplicate', { label: 'Duplicate selected cards', group: 'Edit', keys: ['Shift+D'], run: () => this.duplicateSelection() });
+        commands.register('delete', {
+            label: 'Delete selected cards, frame or connection',
+            group: 'Edit',
+            keys: ['Delete'],
+            run: () => this.deleteSelection(),
+            when: () => !this.sidebar.isOpen
+        });
+        commands.register('frame', { label: 'Group selected cards into a frame', group: 'Edit', keys: ['Ctrl+G'], run: () => this.cardManager.addFrame() });
+        commands.register('select-all', { label: 'Select all cards', group: 'Edit', run: () => this.selectAllCards() });
+        commands.register('clear-selection', { label: 'Clear selection', group: 'Edit', run: () => this.cardManager.clearSelection() });
+        commands.register('escape', { label: 'Clear selection or close the sidebar', group: 'Edit', keys: ['Escape'], run: (e) => this.cancelCurrentAction(e) });
+        
+        commands.register('search', { label: 'Search cards', group: 'View', keys: ['Ctrl+F'], run: () => this.searchPalette.open() });
+        commands.register('filter', { label: 'Filter cards', group: 'View', keys: ['Ctrl+Shift+F'], run: () => this.cardFilter.toggle() });
+        commands.register('fit-all', { label: 'Zoom to fit all cards', group: 'View', keys: ['Shift+1'], run: () => this.fitAllCards() });
+        commands.register('fit-selection', { label: 'Zoom to fit the selection', group: 'View', keys: ['Shift+2'], run: () => this.fitSelection() });
+        commands.register('zoom-in', { label: 'Zoom in', group: 'View', keys: ['+', '='], run: () => this.keyboardNavigation.zoom(1) });
+        commands.register('zoom-out', { label: 'Zoom out', group: 'View', keys: ['-'], run: () => this.keyboardNavigation.zoom(-1) });
+        commands.register('history', { label: 'Show history', group: 'View', keys: ['Ctrl+Shift+H'], run: () => this.historyPanel.toggle() });
+        commands.register('center-view', { label: 'Center the view', group: 'View', run: () => this.centerView() });
+        commands.register('command-palette', { label: 'Show all commands', group: 'View', keys: ['Ctrl+K'], run: () => this.commandPalette.toggle() });
+        commands.register('shortcuts', { label: 'Show keyboard shortcuts', group: 'View', keys: ['?'], run: () => this.shortcutOverlay.toggle() });
+        commands.register('stats', { label: 'Show board statistics', group: 'View', run: () => this.showStats() });
+        
+        commands.register('save', { label: 'Save', group: 'File', keys: ['Ctrl+S'], run: () => this.saveNow() });
+        commands.register('export', { label: 'Export', group: 'File', keys: ['Ctrl+E'], run: () => this.storage.exportData() });
+        commands.register('export-markdown', { label: 'Export as Markdown', group: 'File', keys: ['Ctrl+Shift+E'], run: () => this.storage.exportMarkdown() });
+        commands.register('reset', { label: 'Reset board', group: 'File', run: () => this.reset() });
+        
+        commands.register('new-board', { label: 'New board', group: 'Boards', run: () => this.boardBar.promptNewBoard() });
+        commands.register('rename-board', { label: 'Rename board', group: 'Boards', run: () => this.boardBar.promptRenameBoard() });
+        commands.register('duplicate-board', { label: 'Duplicate board', group: 'Boards', run: () => this.duplicateBoard() });
+        commands.register('delete-board', { label: 'Delete board', group: 'Boards', run: () => this.boardBar.confirmDeleteBoard() });
+        commands.register('share', { label: 'Share board live / stop sharing', group: 'Boards', run: () => this.toggleCollaboration() });
+    }
+    
+    // Duplicate the selected cards, or the active card
+    duplicateSelection() {
+        if (this.cardManager.selectedCards.size > 0) {
+            // Duplicate all selected cards
+            const selectedIds = Array.from(this.cardManager.selectedCards);
+            selectedIds.forEach(cardId => {
+                this.cardManager.duplicateCard(cardId);
+            });
+            
+            // Save state after duplicating
+            this.undoRedoManager.saveState('duplicate_cards', { cardIds: selectedIds });
+        } else if (this.cardManager.activeCard) {
+            const cardId = this.cardManager.activeCard;
+            this.cardManager.duplicateCard(cardId);
+            
+            // Save state after duplicating
+            this.undoRedoManager.saveState('duplicate_card', { cardId: cardId });
+        }
+    }
+    
+    // Delete the selected connection, frame or cards (cards after confirming)
+    deleteSelection() {
+        if (this.connectionManager.selectedConnection !== null) {
+            this.connectionManager.deleteSelectedConnection();
+        } else if (this.cardManager.selectedFrame !== null) {
+            this.cardManager.deleteSelectedFrame();
+        } else if (this.cardManager.selectedCards.size > 0) {
+            const selectedCount = this.cardManager.selectedCards.size;
+            const message = selectedCount === 1 ?
+                'Are you sure you want to delete the selected card?' :
+                `Are you sure you want to delete the ${selectedCount} selected cards?`;
+            
+            if (confirm(message)) {
+                const selectedIds = Array.from(this.cardManager.selectedCards);
+                selectedIds.forEach(cardId => {
+                    this.cardManager.deleteCard(cardId);
+                });
+                
+                // Save state after deleting
+                this.undoRedoManager.saveState('delete_cards', { cardIds: selectedIds });
+            }
+        }
+    }
+    
+    // Escape: stop connecting, or clear the innermost selection, or close the sidebar
+    cancelCurrentAction(e) {
+        if (this.connectionManager.isConnecting) {
+            this.connectionManager.endConnecting(e);
+        } else if (this.connectionManager.selectedConnection !== null) {
+            this.connectionManager.clearConnectionSelection();
+        } else if (this.cardManager.selectedFrame !== null) {
+            this.cardManager.clearFrameSelection();
+        } else if (this.sidebar.isOpen) {
+            this.sidebar.close();
+        } else {
+            this.cardManager.clearSelection();
+        }
+    }
+    
+    // Manual save
+    saveNow() {
+        this.storage.saveData({
+            cards: this.cardManager.getAllCards(),
+            connections: this.connectionManager.getAllConnections(),
+            frames: this.cardManager.getAllFrames(),
+            worldState: this.storage.getWorldState()
+        }).then(saved => {
+            if (saved) this.showNotification('Saved!');
+        });
+    }
+    
     // Perform undo operation
     performUndo() {
         if (this.undoRedoManager.undo()) {
@@ -287,35 +415,38 @@ class InfiniteCanvas {
             'duplicate_cards': 'Duplicate Cards',
             'delete_cards': 'Delete Cards',
             'create_card': 'Create Card',
-            'resize_card': 'Resize Card'
+            'resize_card': 'Resize Card',
+            'create_connection': 'Connect Cards',
+            'update_connection': 'Edit Connection',
+            'delete_connection': 'Delete Connection',
+            'create_frame': 'Create Frame',
+            'rename_frame': 'Rename Frame',
+            'move_frame': 'Move Frame',
+            'resize_frame': 'Resize Frame',
+            'delete_frame': 'Delete Frame',
+            'restore_revision': 'Restore Revision',
+            'toggle_checklist_item': 'Tick Checklist Item',
+            'change_card_type': 'Change Card Type',
+            'change_code_language': 'Change Code Language',
+            'style_card': 'Style Card'
         };
         
         return operationNames[operation] || operation;
     }
     
-    // Select all cards
-    selectAllCards() {
-        // Only allow if Ctrl is currently pressed
-        if (!this.cardManager.isCtrlPressed) {
-            return;
-        }
+    // Select all cards; while a filter is on, only the ones it matches unless onlyFiltered is false
+    selectAllCards(onlyFiltered = true) {
+        const filtered = onlyFiltered && this.cardFilter.isActive();
+        const cardIds = filtered ? this.cardFilter.getMatchingCardIds() : Array.from(this.cardManager.cards.keys());
         
-        this.cardManager.clearSelection();
-        
-        // Select all cards
-        this.cardManager.cards.forEach((cardData, cardId) => {
-            this.cardManager.selectedCards.add(cardId);
-            const element = this.world.world.querySelector(`[data-card-id="${cardId}"]`);
-            if (element) {
-                element.classList.add('selected');
-            }
-        });
+        // Through setSelection, so unmounted cards, the zoomed-out view, the minimap and collaborators all follow
+        this.cardManager.setSelection(cardIds);
         
         // Set the first card as active
-        const firstCardId = Array.from(this.cardManager.cards.keys())[0];
+        const firstCardId = cardIds[0];
         if (firstCardId) {
             this.cardManager.activeCard = firstCardId;
-            const element = this.world.world.querySelector(`[data-card-id="${firstCardId}"]`);
+            const element = this.cardManager.getCardElement(firstCardId);
             if (element) {
                 element.classList.add('active');
             }
@@ -327,23 +458,215 @@ class InfiniteCanvas {
             }
         }
         
-        this.showNotification(`Selected ${this.cardManager.selectedCards.size} cards`);
+        this.showNotification(filtered ?
+            `Selected ${this.cardManager.selectedCards.size} filtered cards` :
+            `Selected ${this.cardManager.selectedCards.size} cards`);
     }
     
-    // Import data from file
-    async importData(file) {
+    // Whether keystrokes on this element are text input rather than shortcuts
+    isEditingText(element) {
+        return !!(element && element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+    
+    // Put world (0, 0) back in the middle of the viewport
+    centerView() {
+        this.world.centerView();
+        this.world.updateUI();
+    }
+    
+    // Zoom and pan so every card is visible
+    fitAllCards() {
+        const bounds = this.cardManager.getCardsBounds(Array.from(this.cardManager.cards.keys()));
+        if (!bounds) {
+            this.showNotification('There are no cards to show', 'info');
+            return false;
+        }
+        
+        this.world.fitBounds(bounds);
+        return true;
+    }
+    
+    // Zoom and pan to the selected cards (or the selected frame)
+    fitSelection() {
+        let bounds = null;
+        
+        if (this.cardManager.selectedFrame !== null) {
+            const frame = this.cardManager.frames.get(this.cardManager.selectedFrame);
+            bounds = frame ? { x: frame.x, y: frame.y, width: frame.width, height: frame.height } : null;
+        } else if (this.cardManager.selectedCards.size > 0) {
+            bounds = this.cardManager.getCardsBounds(Array.from(this.cardManager.selectedCards));
+        } else if (this.cardManager.activeCard) {
+            bounds = this.cardManager.getCardsBounds([this.cardManager.activeCard]);
+        }
+        
+        if (!bounds) {
+            this.showNotification('Select cards to zoom to', 'info');
+            return false;
+        }
+        
+        this.world.fitBounds(bounds);
+        return true;
+    }
+    
+    // Save the open board immediately (used before switching boards)
+    saveCurrentBoard() {
+        this.storage.cancelPendingSave();
+        return this.storage.saveData({
+            cards: this.cardManager.getAllCards(),
+            connections: this.connectionManager.getAllConnections(),
+            frames: this.cardManager.getAllFrames(),
+            worldState: this.storage.getWorldState()
+        });
+    }
+    
+    // Switch the canvas to another board
+    async switchBoard(boardId) {
+        if (boardId === this.storage.activeBoardId || !this.storage.getBoard(boardId)) {
+            return false;
+        }
+        
+        await this.saveCurrentBoard();
+        
+        // A shared room belongs to the board it was joined from
+        if (this.syncManager.status !== 'offline') {
+            this.syncManager.disconnect();
+            this.showNotification('Stopped sharing', 'info');
+        }
+        
+        this.sidebar.close();
+        this.cardManager.clearSelection();
+        this.connectionManager.clearConnectionSelection();
+        if (this.searchPalette.isOpen) {
+            this.searchPalette.close();
+        }
+        this.historyPanel.exitPreview();
+        
+        // Each board has its own undo history
+        this.undoRedoManager.clearHistory();
+        
+        this.storage.setActiveBoard(boardId);
+        const savedData = await this.loadBoardState();
+        this.undoRedoManager.restoreHistory(savedData && savedData.history);
+        
+        this.boardBar.render();
+        this.showNotification(`Opened "${this.storage.getActiveBoard().name}"`, 'info');
+        return true;
+    }
+    
+    // Join a relay room with the open board, or leave the room it is in
+    async toggleCollaboration() {
+        if (this.syncManager.status !== 'offline') {
+            this.syncManager.disconnect();
+            this.showNotification('Stopped sharing', 'info');
+            return;
+        }
+        
+        const board = this.storage.getActiveBoard();
+        const lastRelay = localStorage.getItem('collaboration_relay') || 'ws://localhost:8787';
+        const address = prompt('Relay room (ws://host:port/room):', `${lastRelay}/${encodeURIComponent(board.name)}`);
+        if (address === null || !address.trim()) return;
+        
+        const name = prompt('Your name:', localStorage.getItem('collaboration_name') || '');
+        if (name === null) return;
+        
+        await this.startCollaboration(address.trim(), name.trim());
+    }
+    
+    // Join the room at a relay address (ws://host:port/room; the room defaults to the board name)
+    async startCollaboration(address, name = '') {
         try {
-            // Save current state before importing
-            this.undoRedoManager.saveState('import_data');
+            const url = new URL(address);
+            const room = decodeURIComponent(url.pathname.slice(1)) || this.storage.getActiveBoard().name;
+            url.pathname = '/';
+            url.search = '';
+            
+            localStorage.setItem('collaboration_relay', url.origin);
+            if (name) {
+                localStorage.setItem('collaboration_name', name);
+            }
             
-            await this.storage.importData(file);
-            this.showNotification('Data imported successfully!');
+            return await this.syncManager.connect(new WebSocketTransport(url.toString()), room, name);
+        } catch (error) {
+            console.error('Collaboration failed:', error);
+            this.showNotification('Could not connect: ' + error.message, 'error');
+            return false;
+        }
+    }
+    
+    // Create an empty board and open it
+    async createBoard(name) {
+        const board = await this.storage.createBoard(name, { cards: [] });
+        await this.switchBoard(board.id);
+        return board;
+    }
+    
+    // Duplicate a board (saving the open one first so the copy is current) and open the copy
+    async duplicateBoard(boardId = this.storage.activeBoardId) {
+        if (boardId === this.storage.activeBoardId) {
+            await this.saveCurrentBoard();
+        }
+        
+        try {
+            const board = await this.storage.duplicateBoard(boardId);
+            if (board) {
+                await this.switchBoard(board.id);
+            }
+            return board;
+        } catch (error) {
+            console.error('Duplicate board failed:', error);
+            this.showNotification('Duplicate failed: ' + error.message, 'error');
+            return null;
+        }
+    }
+    
+    renameBoard(boardId, name) {
+        if (this.storage.renameBoard(boardId, name)) {
+            this.boardBar.render();
+        }
+    }
+    
+    // Delete a board; deleting the open board switches to another (creating one if none remain)
+    async deleteBoard(boardId = this.storage.activeBoardId) {
+        const board = this.storage.getBoard(boardId);
+        if (!board) return false;
+        
+        if (boardId === this.storage.activeBoardId) {
+            const fallback = this.storage.listBoards().find(other => other.id !== boardId) ||
+                await this.storage.createBoard('My Board', { cards: [] });
+            await this.switchBoard(fallback.id);
+        }
+        
+        await this.storage.deleteBoard(boardId);
+        this.boardBar.render();
+        this.showNotification(`Deleted "${board.name}"`);
+        return true;
+    }
+    
+    // Import data from file into a new board
+    async importData(file) {
+        try {
+            const board = await this.storage.importData(file);
+            await this.switchBoard(board.id);
+            this.showNotification(`Imported "${board.name}"`);
         } catch (error) {
             console.error('Import failed:', error);
             this.showNotification('Import failed: ' + error.message, 'error');
         }
     }
     
+    // Import a Markdown file into a new board
+    async importMarkdown(file) {
+        try {
+            const board = await this.storage.importMarkdown(file);
+            await this.switchBoard(board.id);
+            this.fitAllCards();
+            this.showNotification(`Imported "${board.name}"`);
+        } catch (error) {
+            console.error('Markdown import failed:', error);
+            this.showNotification('Import failed: ' + error.message, 'error');
+        }
+    }
+    
     // Show notification to user
     showNotification(message, type = 'success') {
         const notification = document.createElement('div');
@@ -389,20 +712,31 @@ class InfiniteCanvas {
     }
     
     // Reset application to defaults
-    reset() {
-        if (confirm('Are you sure you want to reset everything? This will delete all cards and cannot be undone.')) {
-            this.storage.clearData();
+    async reset() {
+        if (confirm('Are you sure you want to reset this board? This will delete all of its cards and cannot be undone.')) {
+            await this.storage.clearData();
             this.cardManager.loadCards([]);
+            this.cardManager.loadFrames([]);
+            this.connectionManager.loadConnections([]);
             this.world.centerView();
             this.world.scale = this.world.targetScale = 1;
             this.world.updateUI();
-            this.storage.initialize();
+            await this.storage.initialize();
             this.undoRedoManager.clearHistory();
             this.undoRedoManager.initialize();
             this.showNotification('Reset complete!');
         }
     }
     
+    // Show a short summary of getStats()
+    showStats() {
+        const stats = this.getStats();
+        this.showNotification(
+            `${stats.cardCount} cards (${stats.selectedCount} selected) • ${stats.dataSize} in ${stats.storageBackend} • ${stats.undoRedo.historySize} undo steps`,
+            'info'
+        );
+    }
+    
     // Get application statistics
     getStats() {
         return {
@@ -414,7 +748,12 @@ class InfiniteCanvas {
             },
             zoom: Math.round(this.world.scale * 100) + '%',
             sidebarWidth: this.sidebar.width + 'px',
-            dataSize: JSON.stringify(this.storage.loadData()).length + ' bytes',
+            dataSize: JSON.stringify({
+                cards: this.cardManager.getAllCards(),
+                connections: this.connectionManager.getAllConnections(),
+                frames: this.cardManager.getAllFrames()
+            }).length + ' bytes',
+            storageBackend: this.storage.backend.name,
             undoRedo: this.undoRedoManager.getStats()
         };
     }
@@ -432,20 +771,32 @@ window.InfiniteCanvas = {
             return window.cardManager.duplicateCard(window.cardManager.activeCard);
         }
     },
-    selectAll: () => window.app?.selectAllCards(),
+    selectAll: (onlyFiltered) => window.app?.selectAllCards(onlyFiltered),
+    addFrame: (title) => window.cardManager?.addFrame(title),
+    search: () => window.searchPalette?.open(),
+    filter: () => window.cardFilter?.toggle(),
     clearSelection: () => window.cardManager?.clearSelection(),
     reset: () => window.app?.reset(),
     export: () => window.storage?.exportData(),
+    exportMarkdown: () => window.storage?.exportMarkdown(),
+    boards: () => window.storage?.listBoards(),
+    createBoard: (name) => window.app?.createBoard(name || 'Untitled Board'),
+    switchBoard: (boardId) => window.app?.switchBoard(boardId),
+    renameBoard: (boardId, name) => window.app?.renameBoard(boardId, name),
+    duplicateBoard: (boardId) => window.app?.duplicateBoard(boardId),
+    deleteBoard: (boardId) => window.app?.deleteBoard(boardId),
     stats: () => window.app?.getStats(),
-    centerView: () => {
-        if (window.world) {
-            window.world.centerView();
-            window.world.updateUI();
-        }
-    },
+    centerView: () => window.app?.centerView(),
+    fitAll: () => window.app?.fitAllCards(),
+    fitSelection: () => window.app?.fitSelection(),
     undo: () => window.app?.performUndo(),
     redo: () => window.app?.performRedo(),
-    undoStats: () => window.undoRedoManager?.getStats()
+    undoStats: () => window.undoRedoManager?.getStats(),
+    history: () => window.historyPanel?.toggle(),
+    shortcuts: () => window.shortcutOverlay?.toggle(),
+    palette: () => window.commandPalette?.open(),
+    collaborate: (address, name) => window.app?.startCollaboration(address, name),
+    stopCollaborating: () => window.syncManager?.disconnect()
 };
 
 // Initialize the application
@@ -456,23 +807,37 @@ console.log('%cInfinite Canvas App', 'font-size: 20px; font-weight: bold; color:
 console.log('Available commands:');
 console.log('- InfiniteCanvas.addCard() - Add a new card');
 console.log('- InfiniteCanvas.duplicateCard() - Duplicate selected cards');
-console.log('- InfiniteCanvas.selectAll() - Select all cards');
+console.log('- InfiniteCanvas.selectAll(onlyFiltered = true) - Select all cards (just the filtered ones while a filter is on)');
+console.log('- InfiniteCanvas.addFrame(title) - Frame the selected cards');
+console.log('- InfiniteCanvas.search() - Open the search palette');
+console.log('- InfiniteCanvas.filter() - Show or hide the card filter bar');
 console.log('- InfiniteCanvas.clearSelection() - Clear selection');
 console.log('- InfiniteCanvas.reset() - Reset everything');
-console.log('- InfiniteCanvas.export() - Export data');
+console.log('- InfiniteCanvas.export() - Export the current board');
+console.log('- InfiniteCanvas.exportMarkdown() - Export the current board as Markdown');
+console.log('- InfiniteCanvas.boards() - List boards');
+console.log('- InfiniteCanvas.createBoard(name) / switchBoard(id) / renameBoard(id, name) / duplicateBoard(id) / deleteBoard(id)');
 console.log('- InfiniteCanvas.stats() - Show statistics');
 console.log('- InfiniteCanvas.centerView() - Center the view');
+console.log('- InfiniteCanvas.fitAll() - Zoom to fit all cards');
+console.log('- InfiniteCanvas.fitSelection() - Zoom to fit the selected cards');
 console.log('- InfiniteCanvas.undo() - Undo last action');
 console.log('- InfiniteCanvas.redo() - Redo last undone action');
 console.log('- InfiniteCanvas.undoStats() - Show undo/redo statistics');
+console.log('- InfiniteCanvas.history() - Toggle the history panel');
+console.log('- InfiniteCanvas.shortcuts() - Show and change the keyboard shortcuts');
+console.log('- InfiniteCanvas.palette() - Open the command palette (Ctrl/Cmd + K)');
+console.log('- InfiniteCanvas.collaborate(\'ws://localhost:8787/room\', name) - Edit the board live with others (run relay/server.js)');
+console.log('- InfiniteCanvas.stopCollaborating() - Leave the collaboration room');
 console.log('');
-console.log('Keyboard shortcuts:');
-console.log('- Ctrl/Cmd + Click: Multi-select cards (only while held)');
-console.log('- Ctrl/Cmd + N: New card');
-console.log('- Ctrl/Cmd + D: Duplicate selected cards');
-console.log('- Ctrl/Cmd + S: Save');
-console.log('- Ctrl/Cmd + E: Export');
-console.log('- Ctrl/Cmd + Z: Undo');
-console.log('- Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z: Redo');
-console.log('- Delete: Delete selected cards');
-console.log('- Escape: Clear selection or close sidebar');
\ No newline at end of file
+console.log('Keyboard shortcuts (press ? to see them all and change them):');
+console.log('- Ctrl/Cmd + Click: Add or remove cards from the selection');
+console.log('- Shift + Drag on empty space: Select cards in a rectangle (add Ctrl to extend)');
+console.log('- Click on empty space: Clear selection');
+console.log('- Alt + Drag from a card onto another: Connect cards');
+console.log('- Double-click a connection: Edit its label');
+console.log('- Drag a frame title: Move the frame with its cards; double-click it to rename');
+console.log('- Tab / Shift + Tab: Move between cards in reading order (Tab from the canvas enters at the card nearest the middle)');
+console.log('- Arrow keys: Move to the nearest card in that direction, or nudge the selected cards (Shift for larger steps)');
+console.log('- Enter: Edit the focused card; Space: Add it to or remove it from the selection');
+console.log('- Arrow keys on the canvas: Pan');
\ No newline at end of file
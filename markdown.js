@@ -0,0 +1,433 @@
+// Markdown conversion - turns boards into Markdown documents and Markdown documents into cards
+class MarkdownConverter {
+    constructor() {
+        this.parser = new DOMParser();
+        
+        // Export settings
+        this.ROW_TOLERANCE = 120; // cards whose tops are this close (world px) are read as one row
+        this.MAX_TITLE_LENGTH = 60;
+        
+        // Import layout settings
+        this.CARD_WIDTH = 300;
+        this.GRID_GAP = 40;
+        this.LINE_HEIGHT = 22;      // rough rendered height of one line of card text
+        this.CHARS_PER_LINE = 40;   // rough characters per line at the default card width
+        this.CARD_CHROME_HEIGHT = 50;
+    }
+    
+    // ---- Export ----
+    
+    // Build a Markdown document from a board: a title, then one section per card in reading order
+    boardToMarkdown(name, cards) {
+        const sections = this.sortCardsSpatially(cards).map(card => this.cardToMarkdown(card));
+        
+        return `# ${name}\n\n${sections.join('\n\n')}\n`;
+    }
+    
+    // Top-to-bottom rows, left-to-right within a row
+    sortCardsSpatially(cards) {
+        const byTop = [...cards].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+        const rows = [];
+        
+        byTop.forEach(card => {
+            const row = rows[rows.length - 1];
+            if (row && card.y - row.top < this.ROW_TOLERANCE) {
+                row.cards.push(card);
+            } else {
+                rows.push({ top: card.y, cards: [card] });
+            }
+        });
+        
+        return rows.flatMap(row => row.cards.sort((a, b) => a.x - b.x));
+    }
+    
+    // One "## Title" section; a leading heading (or short first line) in the card becomes the section title
+    cardToMarkdown(card) {
+        const doc = this.parser.parseFromString(card.content || '', 'text/html');
+        const body = doc.body;
+        
+        let title = '';
+        const first = this.firstMeaningfulChild(body);
+        const firstText = first ? first.textContent.replace(/\s+/g, ' ').trim() : '';
+        if (first && (/^H[1-6]$/.test(first.tagName) || (first.tagName === 'P' && firstText.length <= this.MAX_TITLE_LENGTH))) {
+            title = this.inlineToMarkdown(first).trim();
+            first.remove();
+        } else if (firstText) {
+            title = this.escapeMarkdown(firstText.length > this.MAX_TITLE_LENGTH ?
+                `${firstText.slice(0, this.MAX_TITLE_LENGTH - 3)}...` :
+                firstText);
+        }
+        
+        // Headings inside the card are pushed below section level so re-importing keeps one card per section
+        const markdown = this.blocksToMarkdown(body, 3).trim();
+        
+        title = title || `Card ${card.id}`;
+        return markdown ? `## ${title}\n\n${markdown}` : `## ${title}`;
+    }
+    
+    firstMeaningfulChild(element) {
+        return Array.from(element.childNodes).find(node =>
+            node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim())
+        ) || null;
+    }
+    
+    // Convert block-level children to Markdown; minHeadingLevel demotes headings
+    blocksToMarkdown(element, minHeadingLevel = 1) {
+        const blocks = [];
+        let inline = '';
+        
+        const flushInline = () => {
+            if (inline.trim()) {
+                blocks.push(inline.trim());
+            }
+            inline = '';
+        };
+        
+        Array.from(element.childNodes).forEach(node => {
+            const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName : null;
+            
+            if (tag && /^H[1-6]$/.test(tag)) {
+                flushInline();
+                const level = Math.min(6, Math.max(minHeadingLevel, parseInt(tag[1])));
+                blocks.push(`${'#'.repeat(level)} ${this.inlineToMarkdown(node).trim()}`);
+            } else if (tag === 'P' || tag === 'DIV') {
+                flushInline();
+                const text = node.querySelector('p, ul, ol, pre, blockquote, h1, h2, h3, h4, h5, h6') ?
+                    this.blocksToMarkdown(node, minHeadingLevel) :
+                    this.inlineToMarkdown(node).trim();
+                if (text) blocks.push(text);
+            } else if (tag === 'UL' || tag === 'OL') {
+                flushInline();
+                blocks.push(this.listToMarkdown(node, 0));
+            } else if (tag === 'PRE') {
+                flushInline();
+                blocks.push('```\n' + node.textContent.replace(/\n$/, '') + '\n```');
+            } else if (tag === 'BLOCKQUOTE') {
+                flushInline();
+                const quoted = this.blocksToMarkdown(node, minHeadingLevel) || this.inlineToMarkdown(node).trim();
+                blocks.push(quoted.split('\n').map(line => line ? `> ${line}` : '>').join('\n'));
+            } else if (tag === 'HR') {
+                flushInline();
+                blocks.push('---');
+            } else {
+                inline += this.nodeToInline(node);
+            }
+        });
+        flushInline();
+        
+        return blocks.join('\n\n');
+    }
+    
+    // Lists may be nested, or flat with Quill's ql-indent-N classes
+    listToMarkdown(list, depth) {
+        const ordered = list.tagName === 'OL';
+        const counters = [];
+        const lines = [];
+        
+        Array.from(list.children).forEach(item => {
+            if (item.tagName !== 'LI') return;
+            
+            const indentMatch = (item.className || '').match(/ql-indent-(\d+)/);
+            const level = depth + (indentMatch ? parseInt(indentMatch[1]) : 0);
+            counters.length = level + 1;
+            counters[level] = (counters[level] || 0) + 1;
+            
+            const nested = [];
+            const content = document.createElement('div');
+            Array.from(item.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                    nested.push(child);
+                } else {
+                    content.appendChild(child.cloneNode(true));
+                }
+            });
+            
+            // Quill's checklists are lists marked data-checked
+            const checked = list.getAttribute('data-checked');
+            const marker = ordered ? `${counters[level]}.` : checked !== null ? `- [${checked === 'true' ? 'x' : ' '}]` : '-';
+            lines.push(`${'    '.repeat(level)}${marker} ${this.inlineToMarkdown(content).trim()}`);
+            nested.forEach(child => lines.push(this.listToMarkdown(child, level + 1)));
+        });
+        
+        return lines.join('\n');
+    }
+    
+    inlineToMarkdown(element) {
+        return Array.from(element.childNodes).map(node => this.nodeToInline(node)).join('');
+    }
+    
+    nodeToInline(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return this.escapeMarkdown(node.nodeValue.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        
+        const inner = () => this.inlineToMarkdown(node);
+        const wrap = (marker) => {
+            const text = inner();
+            return text.trim() ? `${marker}${text.trim()}${marker}` : text;
+        };
+        
+        switch (node.tagName) {
+            case 'STRONG':
+            case 'B':
+                return wrap('**');
+            case 'EM':
+            case 'I':
+                return wrap('*');
+            case 'S':
+            case 'DEL':
+            case 'STRIKE':
+                return wrap('~~');
+            case 'CODE':
+                return '`' + node.textContent + '`';
+            case 'A': {
+                const href = node.getAttribute('href');
+                return href ? `[${inner()}](${href})` : inner();
+            }
+            case 'IMG':
+                return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+            case 'BR':
+                return '  \n';
+            case 'IFRAME':
+                return node.getAttribute('src') ? `<${node.getAttribute('src')}>` : '';
+            default:
+                return inner();
+        }
+    }
+    
+    escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    }
+    
+    // ---- Import ----
+    
+    // Split a Markdown document on its section headings; returns { title, cards } with cards laid out in a grid
+    markdownToCards(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const headings = this.findHeadings(lines);
+        
+        // A lone top-level heading at the start is the document title, and sections are the level below it
+        let title = null;
+        let splitLevel = headings.length > 0 ? Math.min(...headings.map(h => h.level)) : 0;
+        const topLevel = headings.filter(h => h.level === splitLevel);
+        const startsWithTitle = topLevel.length === 1 && lines.slice(0, topLevel[0].line).every(line => !line.trim());
+        if (startsWithTitle && headings.length > 1) {
+            title = topLevel[0].text;
+            lines[topLevel[0].line] = '';
+            splitLevel = Math.min(...headings.filter(h => h !== topLevel[0]).map(h => h.level));
+        }
+        
+        // Cut the document at every heading of the split level
+        const sections = [];
+        let current = [];
+        lines.forEach((line, index) => {
+            const heading = headings.find(h => h.line === index);
+            if (heading && heading.level === splitLevel) {
+                sections.push(current);
+                current = [];
+            }
+            current.push(line);
+        });
+        sections.push(current);
+        
+        const contents = sections
+            .map(section => section.join('\n').trim())
+            .filter(text => text)
+            .map(text => this.markdownToHtml(text));
+        
+        return { title: title, cards: this.layoutInGrid(contents) };
+    }
+    
+    // ATX headings outside fenced code blocks
+    findHeadings(lines) {
+        const headings = [];
+        let inFence = false;
+        
+        lines.forEach((line, index) => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                return;
+            }
+            const match = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (match) {
+                headings.push({ line: index, level: match[1].length, text: match[2] });
+            }
+        });
+        
+        return headings;
+    }
+    
+    // Roughly square grid, each row as tall as its tallest (estimated) card
+    layoutInGrid(contents) {
+        const columns = Math.max(1, Math.ceil(Math.sqrt(contents.length)));
+        const cards = [];
+        let y = 0;
+        
+        for (let rowStart = 0; rowStart < contents.length; rowStart += columns) {
+            const row = contents.slice(rowStart, rowStart + columns);
+            let rowHeight = 0;
+            
+            row.forEach((content, column) => {
+                cards.push({
+                    x: column * (this.CARD_WIDTH + this.GRID_GAP),
+                    y: y,
+                    width: this.CARD_WIDTH,
+                    height: 'auto',
+                    content: content
+                });
+                rowHeight = Math.max(rowHeight, this.estimateHeight(content));
+            });
+            
+            y += rowHeight + this.GRID_GAP;
+        }
+        
+        return cards;
+    }
+    
+    estimateHeight(html) {
+        const doc = this.parser.parseFromString(html, 'text/html');
+        const blocks = doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, pre, blockquote');
+        let lines = 0;
+        
+        blocks.forEach(block => {
+            lines += Math.max(1, Math.ceil(block.textContent.length / this.CHARS_PER_LINE)) + 0.5;
+        });
+        
+        return this.CARD_CHROME_HEIGHT + Math.ceil(lines) * this.LINE_HEIGHT;
+    }
+    
+    // Block-level Markdown to the HTML Quill produces
+    markdownToHtml(markdown) {
+        const lines = markdown.split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null; // { type, items: [{ level, html }], indents: [marker indent of each open level] }
+        let quote = [];
+        
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.map(line => this.inlineToHtml(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                const items = list.items.map(item =>
+                    `<li${item.level > 0 ? ` class="ql-indent-${item.level}"` : ''}>${item.html}</li>`
+                ).join('');
+                html.push(`<${list.type}>${items}</${list.type}>`);
+                list = null;
+            }
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) {
+                html.push(`<blockquote>${quote.map(line => this.inlineToHtml(line)).join('<br>')}</blockquote>`);
+                quote = [];
+            }
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+            
+            if ((match = line.match(/^\s*(```|~~~)/))) {
+                flushAll();
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(match[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                html.push(`<pre class="ql-syntax" spellcheck="false">${this.escapeHtml(code.join('\n'))}\n</pre>`);
+            } else if (!line.trim()) {
+                flushAll();
+            } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+                flushAll();
+                html.push(`<h${match[1].length}>${this.inlineToHtml(match[2])}</h${match[1].length}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                html.push('<hr>');
+            } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+                flushParagraph();
+                flushQuote();
+                const type = /\d/.test(match[2]) ? 'ol' : 'ul';
+                if (list && list.type !== type) flushList();
+                if (!list) list = { type: type, items: [], indents: [] };
+                
+                // Any deeper indent than the open level starts a nested level, whatever the indent width
+                const indent = match[1].replace(/\t/g, '    ').length;
+                while (list.indents.length > 0 && list.indents[list.indents.length - 1] > indent) {
+                    list.indents.pop();
+                }
+                if (list.indents.length === 0 || list.indents[list.indents.length - 1] < indent) {
+                    list.indents.push(indent);
+                }
+                const level = Math.min(8, list.indents.length - 1);
+                list.items.push({ level: level, html: this.inlineToHtml(match[3]) });
+            } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                flushParagraph();
+                flushList();
+                quote.push(match[1]);
+            } else if (list && /^\s+\S/.test(line)) {
+                // Continuation of the previous list item
+                list.items[list.items.length - 1].html += ' ' + this.inlineToHtml(line.trim());
+            } else {
+                flushList();
+                flushQuote();
+                paragraph.push(line.trim());
+            }
+        }
+        flushAll();
+        
+        return html.join('');
+    }
+    
+    // Inline Markdown (code, images, links, bold, italic, strikethrough) to HTML
+    inlineToHtml(text, tokens = []) {
+        // Code spans, escapes, images and links become placeholders so emphasis can't reach inside them
+        const token = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+        
+        let html = text
+            .replace(/`([^`]+)`/g, (match, code) => token(`<code>${this.escapeHtml(code)}</code>`))
+            .replace(/\\([\\`*_[\]()#+\-.!~>])/g, (match, char) => token(this.escapeHtml(char)))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+                token(`<img src="${this.escapeHtml(this.safeUrl(src))}" alt="${this.escapeHtml(alt)}">`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+                token(`<a href="${this.escapeHtml(this.safeUrl(href))}" target="_blank">${this.inlineToHtml(label, tokens)}</a>`))
+            .replace(/<(https?:\/\/[^>\s]+)>/g, (match, href) =>
+                token(`<a href="${this.escapeHtml(href)}" target="_blank">${this.escapeHtml(href)}</a>`));
+        
+        html = this.escapeHtml(html)
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+            .replace(/(\*|_)(?=\S)(.+?)(?<=\S)\1/g, '<em>$2</em>')
+            .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<s>$1</s>');
+        
+        // Link labels are converted with the same tokens, so restore until none are left
+        while (/\u0000\d+\u0000/.test(html)) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+        }
+        return html;
+    }
+    
+    // Only allow link and image targets that can't run script
+    safeUrl(url) {
+        return /^(https?:|mailto:|data:image\/|blob:|#|\/|\.)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : '#';
+    }
+    
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
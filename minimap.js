@@ -0,0 +1,216 @@
+// Minimap - overview of every card with the visible area, click or drag to navigate
+class Minimap {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        
+        // Minimap settings
+        this.WIDTH = 200;
+        this.HEIGHT = 140;
+        this.PADDING = 200; // world units around the content
+        
+        // World -> minimap mapping from the last render ({ scale, offsetX, offsetY })
+        this.mapping = null;
+        this.isDragging = false;
+        this.renderScheduled = false;
+        
+        // DOM elements
+        this.container = null;
+        this.canvas = null;
+        this.ctx = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createMinimap();
+        this.setupEventListeners();
+        this.observeWorld();
+        this.requestRender();
+    }
+    
+    createMinimap() {
+        this.container = document.createElement('div');
+        this.container.className = 'minimap';
+        this.container.title = 'Click or drag to navigate';
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap-canvas';
+        this.container.appendChild(this.canvas);
+        document.body.appendChild(this.container);
+        
+        // Render at device resolution so the rectangles stay crisp
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.WIDTH * ratio;
+        this.canvas.height = this.HEIGHT * ratio;
+        this.canvas.style.width = `${this.WIDTH}px`;
+        this.canvas.style.height = `${this.HEIGHT}px`;
+        
+        this.ctx = this.canvas.getContext('2d');
+        if (this.ctx) {
+            this.ctx.scale(ratio, ratio);
+        }
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Keep the mapping fixed while dragging, otherwise the map would shift under the cursor
+            this.isDragging = true;
+            this.container.classList.add('dragging');
+            this.navigateTo(e);
+        });
+        
+        document.addEventListener('pointermove', (e) => {
+            if (!this.isDragging) return;
+            this.navigateTo(e);
+        });
+        
+        document.addEventListener('pointerup', () => {
+            if (!this.isDragging) return;
+            this.isDragging = false;
+            this.container.classList.remove('dragging');
+            this.requestRender();
+        });
+        
+        // Keep wheel events from zooming the page underneath
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+        }, { passive: false });
+    }
+    
+    // Redraw whenever cards, frames or the world transform change
+    observeWorld() {
+        const observer = new MutationObserver(() => this.requestRender());
+        observer.observe(this.world.world, {
+            attributes: true,
+            attributeFilter: ['style', 'class'],
+            childList: true,
+            subtree: true
+        });
+        
+        window.addEventListener('resize', () => this.requestRender());
+    }
+    
+    // Batch redraws to at most one per frame
+    requestRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+    
+    // Bounding box of all cards and the visible area, in world coordinates
+    getContentBounds(cardBounds, visible) {
+        let left = visible.left;
+        let top = visible.top;
+        let right = visible.right;
+        let bottom = visible.bottom;
+        
+        cardBounds.forEach(bounds => {
+            left = Math.min(left, bounds.x - this.PADDING);
+            top = Math.min(top, bounds.y - this.PADDING);
+            right = Math.max(right, bounds.x + bounds.width + this.PADDING);
+            bottom = Math.max(bottom, bounds.y + bounds.height + this.PADDING);
+        });
+        
+        return { left, top, width: right - left, height: bottom - top };
+    }
+    
+    // Fit the content into the minimap, centred
+    computeMapping(content) {
+        const scale = Math.min(this.WIDTH / content.width, this.HEIGHT / content.height);
+        
+        return {
+            scale: scale,
+            offsetX: (this.WIDTH - content.width * scale) / 2 - content.left * scale,
+            offsetY: (this.HEIGHT - content.height * scale) / 2 - content.top * scale
+        };
+    }
+    
+    render() {
+        if (!this.ctx) return;
+        
+        const visible = this.world.getVisibleBounds();
+        const cardBounds = [];
+        const filter = window.cardFilter;
+        this.cardManager.cards.forEach((cardData, id) => {
+            const bounds = this.cardManager.getCardBounds(id);
+            if (bounds && !this.cardManager.isCardHidden(id)) {
+                cardBounds.push({
+                    ...bounds,
+                    selected: this.cardManager.selectedCards.has(id),
+                    color: cardData.color,
+                    dimmed: !!filter && filter.isExcluded(id)
+                });
+            }
+        });
+        
+        if (!this.isDragging || !this.mapping) {
+            this.mapping = this.computeMapping(this.getContentBounds(cardBounds, visible));
+        }
+        const { scale, offsetX, offsetY } = this.mapping;
+        
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.WIDTH, this.HEIGHT);
+        
+        // Frames as faint outlines behind the cards
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        this.cardManager.frames.forEach(frame => {
+            ctx.strokeRect(
+                frame.x * scale + offsetX,
+                frame.y * scale + offsetY,
+                frame.width * scale,
+                frame.height * scale
+            );
+        });
+        
+        // Cards in their own colours (at least a pixel so tiny cards don't vanish)
+        cardBounds.forEach(bounds => {
+            ctx.globalAlpha = bounds.dimmed ? 0.25 : 1;
+            ctx.fillStyle = bounds.selected ? '#3b82f6' : bounds.color || 'rgba(255, 255, 255, 0.55)';
+            ctx.fillRect(
+                bounds.x * scale + offsetX,
+                bounds.y * scale + offsetY,
+                Math.max(1, bounds.width * scale),
+                Math.max(1, bounds.height * scale)
+            );
+        });
+        ctx.globalAlpha = 1;
+        
+        // Visible area
+        ctx.fillStyle = 'rgba(59, 130, 246, 0.12)';
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 1.5;
+        const viewX = visible.left * scale + offsetX;
+        const viewY = visible.top * scale + offsetY;
+        ctx.fillRect(viewX, viewY, visible.width * scale, visible.height * scale);
+        ctx.strokeRect(viewX, viewY, visible.width * scale, visible.height * scale);
+    }
+    
+    // Convert a mouse position over the minimap to world coordinates
+    minimapToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { scale, offsetX, offsetY } = this.mapping;
+        
+        return {
+            x: (clientX - rect.left - offsetX) / scale,
+            y: (clientY - rect.top - offsetY) / scale
+        };
+    }
+    
+    // Smoothly pan the world so the point under the cursor is centred
+    navigateTo(event) {
+        if (!this.mapping) return;
+        
+        const point = this.minimapToWorld(event.clientX, event.clientY);
+        this.world.animateTo(point.x, point.y);
+    }
+}
@@ -0,0 +1,257 @@
+// Command palette - fuzzy finder over every registered command and every card, run against the current selection
+class CommandPalette {
+    constructor(commands, cardManager, searchPalette) {
+        this.commands = commands;
+        this.cardManager = cardManager;
+        this.searchPalette = searchPalette;
+        this.isOpen = false;
+        this.results = [];
+        this.activeIndex = 0;
+        
+        // Element focused before opening, given focus back on close
+        this.returnFocus = null;
+        
+        // Palette settings
+        this.MAX_RESULTS = 50;
+        this.TITLE_LENGTH = 60;
+        
+        // DOM elements
+        this.palette = null;
+        this.input = null;
+        this.summary = null;
+        this.resultsList = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createPalette();
+        this.setupEventListeners();
+    }
+    
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'command-palette';
+        this.palette.innerHTML = `
+            <input type="text" class="search-input" placeholder="Type a command or a card..." spellcheck="false">
+            <div class="search-summary"></div>
+            <ul class="search-results"></ul>
+        `;
+        document.body.appendChild(this.palette);
+        
+        this.input = this.palette.querySelector('.search-input');
+        this.summary = this.palette.querySelector('.search-summary');
+        this.resultsList = this.palette.querySelector('.search-results');
+    }
+    
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.filter(this.input.value));
+        
+        this.input.addEventListener('keydown', (e) => {
+            // Keep palette keys away from the global canvas shortcuts
+            e.stopPropagation();
+            
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.setActiveIndex(this.activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActiveIndex(this.activeIndex - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runResult(this.activeIndex);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else {
+                // The palette's own shortcut closes it again
+                const command = this.commands.findCommand(this.commands.getCombo(e));
+                if (command && command.id === 'command-palette') {
+                    e.preventDefault();
+                    this.close();
+                }
+            }
+        });
+        
+        this.resultsList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                e.preventDefault();
+                this.runResult(parseInt(item.dataset.index));
+            }
+        });
+        
+        // Clicking outside the palette closes it
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !e.target.closest('.command-palette')) {
+                this.close();
+            }
+        });
+    }
+    
+    open() {
+        if (this.searchPalette.isOpen) {
+            this.searchPalette.close();
+        }
+        
+        this.returnFocus = document.activeElement;
+        this.isOpen = true;
+        this.palette.classList.add('open');
+        this.input.value = '';
+        this.input.focus();
+        this.filter('');
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.palette.classList.remove('open');
+        this.input.blur();
+        
+        if (this.returnFocus && this.returnFocus !== document.body && document.contains(this.returnFocus)) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    // Commands (all of them for an empty query) and, once something is typed, cards whose text matches
+    filter(query) {
+        const needle = query.trim();
+        this.results = [];
+        this.activeIndex = 0;
+        
+        this.commands.commands.forEach(command => {
+            if (command.id === 'command-palette' || (command.when && !command.when())) return;
+            
+            const match = needle ? this.fuzzyMatch(needle, command.label) : { score: 0, indices: [] };
+            if (match) {
+                this.results.push({ type: 'command', command: command, title: command.label, score: match.score, indices: match.indices });
+            }
+        });
+        
+        if (needle) {
+            this.cardManager.cards.forEach(cardData => {
+                const title = this.searchPalette.getCardText(cardData).slice(0, this.TITLE_LENGTH) || 'Empty card';
+                const match = this.fuzzyMatch(needle, title);
+                if (match) {
+                    this.results.push({ type: 'card', cardId: cardData.id, title: title, score: match.score, indices: match.indices });
+                }
+            });
+            
+            // Best match first; commands before cards on a tie (the sort is stable)
+            this.results.sort((a, b) => b.score - a.score);
+        }
+        
+        this.renderResults();
+    }
+    
+    // Match the query's characters in order anywhere in the text (null if they aren't all there);
+    // whole substrings, word starts and runs of adjacent characters score higher
+    fuzzyMatch(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = text.toLowerCase();
+        const isWordStart = (index) => index === 0 || !/[a-z0-9]/.test(haystack[index - 1]);
+        
+        const substringIndex = haystack.indexOf(needle);
+        if (substringIndex !== -1) {
+            return {
+                score: 100 + (isWordStart(substringIndex) ? 20 : 0) - substringIndex * 0.5,
+                indices: Array.from({ length: needle.length }, (unused, offset) => substringIndex + offset)
+            };
+        }
+        
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const char of needle) {
+            if (char === ' ') continue;
+            
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+            
+            score += 1;
+            if (isWordStart(index)) score += 5;
+            if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += 3;
+            score -= (index - from) * 0.1;
+            
+            indices.push(index);
+            from = index + 1;
+        }
+        
+        return { score: score, indices: indices };
+    }
+    
+    renderResults() {
+        const selectedCount = this.cardManager.selectedCards.size;
+        this.summary.textContent = this.results.length === 0 ? 'No matches' :
+            selectedCount > 0 ? `${selectedCount} card${selectedCount === 1 ? '' : 's'} selected` : '';
+        
+        this.resultsList.innerHTML = this.results.slice(0, this.MAX_RESULTS).map((result, index) => {
+            const keys = result.type === 'command' && result.command.keys.length > 0 ?
+                `<kbd>${this.escapeHtml(this.commands.formatCombo(result.command.keys[0]))}</kbd>` : '';
+            const kind = result.type === 'command' ? result.command.group : 'Card';
+            
+            return `
+                <li class="search-result command-result${index === this.activeIndex ? ' active' : ''}" data-index="${index}">
+                    <span class="command-result-kind">${this.escapeHtml(kind)}</span>
+                    <span class="search-result-title">${this.highlight(result.title, result.indices)}</span>
+                    <span class="command-result-keys">${keys}</span>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    // Escape text, wrapping runs of matched characters in <mark>
+    highlight(text, indices) {
+        const matched = new Set(indices);
+        let html = '';
+        let start = 0;
+        for (let i = 1; i <= text.length; i++) {
+            if (i === text.length || matched.has(i) !== matched.has(start)) {
+                const escaped = this.escapeHtml(text.slice(start, i));
+                html += matched.has(start) ? `<mark>${escaped}</mark>` : escaped;
+                start = i;
+            }
+        }
+        return html;
+    }
+    
+    setActiveIndex(index) {
+        const count = Math.min(this.results.length, this.MAX_RESULTS);
+        if (count === 0) return;
+        
+        this.activeIndex = (index + count) % count;
+        this.resultsList.querySelectorAll('.search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === this.activeIndex);
+            if (i === this.activeIndex) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+    
+    // Run a command on the current selection, or show a card
+    runResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+        
+        this.close();
+        if (result.type === 'command') {
+            result.command.run();
+        } else {
+            this.searchPalette.showCard(result.cardId);
+        }
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
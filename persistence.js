@@ -0,0 +1,322 @@
+// Persistence backends - where board data is kept (IndexedDB with separate image blobs, or localStorage)
+class LocalStorageBackend {
+    constructor(keyPrefix) {
+        this.name = 'localStorage';
+        this.keyPrefix = keyPrefix;
+    }
+    
+    async open() {
+        return true;
+    }
+    
+    async readBoard(boardId) {
+        const savedData = localStorage.getItem(this.keyPrefix + boardId);
+        return savedData ? JSON.parse(savedData) : null;
+    }
+    
+    async writeBoard(boardId, data) {
+        localStorage.setItem(this.keyPrefix + boardId, JSON.stringify(data));
+    }
+    
+    async deleteBoard(boardId) {
+        localStorage.removeItem(this.keyPrefix + boardId);
+    }
+    
+    // Images are stored inline in the card HTML, so exports need no extra work
+    async inlineImages(data) {
+        return data;
+    }
+    
+    async getImageDataUrls(cards) {
+        return new Map();
+    }
+}
+
+class IndexedDBBackend {
+    constructor(dbName) {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.DB_VERSION = 1;
+        this.BOARDS_STORE = 'boards';
+        this.IMAGES_STORE = 'images';
+        this.IMAGE_REF_PREFIX = 'idb-image:'; // replaces image URLs in stored card HTML
+        this.db = null;
+        
+        // Images already in the database, and the object URLs handed out for them (both directions)
+        this.storedImageIds = new Set();
+        this.imageUrls = new Map(); // image ID -> object URL
+        this.imageIds = new Map();  // object URL -> image ID
+    }
+    
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.BOARDS_STORE)) {
+                    db.createObjectStore(this.BOARDS_STORE);
+                }
+                if (!db.objectStoreNames.contains(this.IMAGES_STORE)) {
+                    db.createObjectStore(this.IMAGES_STORE);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+    }
+    
+    requestDone(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    async readBoard(boardId) {
+        const transaction = this.db.transaction(this.BOARDS_STORE, 'readonly');
+        const data = await this.requestDone(transaction.objectStore(this.BOARDS_STORE).get(boardId));
+        if (!data) return null;
+        
+        await this.resolveImages(data);
+        return data;
+    }
+    
+    writeBoard(boardId, data) {
+        // Every request is issued synchronously so saves started while the page unloads still reach the database
+        const transaction = this.db.transaction([this.BOARDS_STORE, this.IMAGES_STORE], 'readwrite');
+        const imageStore = transaction.objectStore(this.IMAGES_STORE);
+        const newImageIds = [];
+        
+        const storedData = {
+            ...data,
+            cards: (data.cards || []).map(card => ({
+                ...card,
+                content: this.extractImages(card.content, imageStore, newImageIds)
+            })),
+            history: this.extractJsonImages(data.history, imageStore, newImageIds),
+            revisions: this.extractJsonImages(data.revisions, imageStore, newImageIds)
+        };
+        transaction.objectStore(this.BOARDS_STORE).put(storedData, boardId);
+        
+        return this.transactionDone(transaction).then(() => {
+            newImageIds.forEach(id => this.storedImageIds.add(id));
+        });
+    }
+    
+    async deleteBoard(boardId) {
+        const transaction = this.db.transaction(this.BOARDS_STORE, 'readwrite');
+        transaction.objectStore(this.BOARDS_STORE).delete(boardId);
+        await this.transactionDone(transaction);
+        
+        await this.collectUnusedImages();
+    }
+    
+    // Move embedded images out of card HTML into the image store, leaving references behind
+    extractImages(html, imageStore, newImageIds) {
+        if (typeof html !== 'string') return html;
+        
+        return html.replace(/(<img[^>]*?\ssrc=")([^"]+)(")/gi, (match, before, src, after) => {
+            let imageId = null;
+            
+            if (src.startsWith('data:')) {
+                imageId = this.hashString(src);
+                if (!this.storedImageIds.has(imageId) && !newImageIds.includes(imageId)) {
+                    imageStore.put(this.dataUrlToBlob(src), imageId);
+                    newImageIds.push(imageId);
+                }
+            } else if (this.imageIds.has(src)) {
+                imageId = this.imageIds.get(src);
+            }
+            
+            return imageId ? `${before}${this.IMAGE_REF_PREFIX}${imageId}${after}` : match;
+        });
+    }
+    
+    // Same as extractImages, for data saved as a whole (undo history and revisions)
+    extractJsonImages(value, imageStore, newImageIds) {
+        if (!value) return null;
+        return JSON.parse(this.extractImageUrls(JSON.stringify(value), imageStore, newImageIds));
+    }
+    
+    // Same as extractImages, for image URLs anywhere in a piece of text
+    extractImageUrls(text, imageStore, newImageIds) {
+        return text.replace(/data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=]+|blob:[^"\\\s)]+/gi, (src) => {
+            if (src.startsWith('blob:')) {
+                return this.imageIds.has(src) ? this.IMAGE_REF_PREFIX + this.imageIds.get(src) : src;
+            }
+            
+            const imageId = this.hashString(src);
+            if (!this.storedImageIds.has(imageId) && !newImageIds.includes(imageId)) {
+                imageStore.put(this.dataUrlToBlob(src), imageId);
+                newImageIds.push(imageId);
+            }
+            return this.IMAGE_REF_PREFIX + imageId;
+        });
+    }
+    
+    // Replace image references in loaded card HTML (and history and revisions) with object URLs for the stored blobs
+    async resolveImages(data) {
+        const pattern = new RegExp(`${this.IMAGE_REF_PREFIX}([a-z0-9]+)`, 'g');
+        const imageIds = new Set();
+        const jsonFields = ['history', 'revisions'].filter(field => data[field]);
+        const jsonTexts = jsonFields.map(field => JSON.stringify(data[field]));
+        
+        (data.cards || []).forEach(card => {
+            if (typeof card.content !== 'string') return;
+            for (const match of card.content.matchAll(pattern)) {
+                imageIds.add(match[1]);
+            }
+        });
+        jsonTexts.forEach(text => {
+            for (const match of text.matchAll(pattern)) {
+                imageIds.add(match[1]);
+            }
+        });
+        
+        const missing = Array.from(imageIds).filter(id => !this.imageUrls.has(id));
+        if (missing.length > 0) {
+            const transaction = this.db.transaction(this.IMAGES_STORE, 'readonly');
+            const imageStore = transaction.objectStore(this.IMAGES_STORE);
+            const blobs = await Promise.all(missing.map(id => this.requestDone(imageStore.get(id))));
+            
+            missing.forEach((id, index) => {
+                if (blobs[index]) {
+                    const url = URL.createObjectURL(blobs[index]);
+                    this.imageUrls.set(id, url);
+                    this.imageIds.set(url, id);
+                    this.storedImageIds.add(id);
+                }
+            });
+        }
+        
+        (data.cards || []).forEach(card => {
+            if (typeof card.content !== 'string') return;
+            card.content = card.content.replace(pattern, (match, id) => this.imageUrls.get(id) || match);
+        });
+        jsonFields.forEach((field, index) => {
+            data[field] = JSON.parse(jsonTexts[index].replace(pattern, (match, id) => this.imageUrls.get(id) || match));
+        });
+    }
+    
+    // Turn object URLs back into data URLs so exported files are self-contained
+    async inlineImages(data) {
+        const dataUrls = await this.getImageDataUrls(data.cards || []);
+        if (dataUrls.size === 0) return data;
+        
+        return {
+            ...data,
+            cards: data.cards.map(card => ({
+                ...card,
+                content: typeof card.content === 'string' ?
+                    card.content.replace(/src="(blob:[^"]+)"/g, (match, url) => dataUrls.has(url) ? `src="${dataUrls.get(url)}"` : match) :
+                    card.content
+            }))
+        };
+    }
+    
+    // Data URLs of the stored images the cards show (object URL -> data URL)
+    async getImageDataUrls(cards) {
+        const urls = new Set();
+        cards.forEach(card => {
+            if (typeof card.content !== 'string') return;
+            for (const match of card.content.matchAll(/src="(blob:[^"]+)"/g)) {
+                if (this.imageIds.has(match[1])) {
+                    urls.add(match[1]);
+                }
+            }
+        });
+        
+        const dataUrls = new Map();
+        if (urls.size === 0) return dataUrls;
+        
+        const transaction = this.db.transaction(this.IMAGES_STORE, 'readonly');
+        const imageStore = transaction.objectStore(this.IMAGES_STORE);
+        
+        const blobs = await Promise.all(Array.from(urls).map(url =>
+            this.requestDone(imageStore.get(this.imageIds.get(url))).then(blob => [url, blob])
+        ));
+        for (const [url, blob] of blobs) {
+            if (blob) {
+                dataUrls.set(url, await this.blobToDataUrl(blob));
+            }
+        }
+        
+        return dataUrls;
+    }
+    
+    // Delete image blobs no board refers to any more
+    async collectUnusedImages() {
+        const transaction = this.db.transaction([this.BOARDS_STORE, this.IMAGES_STORE], 'readwrite');
+        const imageStore = transaction.objectStore(this.IMAGES_STORE);
+        const [boards, imageIds] = await Promise.all([
+            this.requestDone(transaction.objectStore(this.BOARDS_STORE).getAll()),
+            this.requestDone(imageStore.getAllKeys())
+        ]);
+        
+        const used = JSON.stringify(boards);
+        imageIds.forEach(id => {
+            if (!used.includes(this.IMAGE_REF_PREFIX + id)) {
+                imageStore.delete(id);
+                this.storedImageIds.delete(id);
+            }
+        });
+        
+        await this.transactionDone(transaction);
+    }
+    
+    dataUrlToBlob(dataUrl) {
+        const commaIndex = dataUrl.indexOf(',');
+        const header = dataUrl.slice(5, commaIndex);
+        const payload = dataUrl.slice(commaIndex + 1);
+        const mimeType = header.split(';')[0] || 'application/octet-stream';
+        
+        if (!header.endsWith(';base64')) {
+            return new Blob([decodeURIComponent(payload)], { type: mimeType });
+        }
+        
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+    
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read image'));
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    // Content-addressed image IDs so the same image is only stored once
+    hashString(text) {
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 0x01000193);
+            h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+        }
+        return (h1 >>> 0).toString(36) + (h2 >>> 0).toString(36) + text.length.toString(36);
+    }
+}
@@ -0,0 +1,112 @@
+// Remote presence - draws other collaborators' cursors and selected cards over the world
+class RemotePresence {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        this.peers = new Map(); // client ID -> { name, color, cursor, selection }
+        this.renderScheduled = false;
+        
+        // One color per site, so a collaborator keeps theirs across reconnects
+        this.COLORS = ['#ef4444', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#06b6d4', '#84cc16', '#f97316'];
+        
+        this.layer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.layer = document.createElement('div');
+        this.layer.className = 'presence-layer';
+        this.world.viewport.appendChild(this.layer);
+        
+        // Follow panning and zooming; cursors keep their screen size
+        const observer = new MutationObserver(() => this.syncTransform());
+        observer.observe(this.world.world, { attributes: true, attributeFilter: ['style'] });
+        this.syncTransform();
+    }
+    
+    syncTransform() {
+        this.layer.style.transform = this.world.world.style.transform;
+        this.layer.style.setProperty('--inverse-scale', 1 / this.world.scale);
+    }
+    
+    getColor(site) {
+        return this.COLORS[(site - 1) % this.COLORS.length];
+    }
+    
+    addPeer(peer) {
+        this.peers.set(peer.clientId, {
+            name: peer.name,
+            color: this.getColor(peer.site),
+            cursor: null,
+            selection: []
+        });
+        this.requestRender();
+    }
+    
+    removePeer(clientId) {
+        this.peers.delete(clientId);
+        this.requestRender();
+    }
+    
+    // Apply a presence message ({ cursor, selection } - either may be missing)
+    update(clientId, presence) {
+        const peer = this.peers.get(clientId);
+        if (!peer) return;
+        
+        if (presence.cursor !== undefined) peer.cursor = presence.cursor;
+        if (presence.selection !== undefined) peer.selection = presence.selection;
+        this.requestRender();
+    }
+    
+    clear() {
+        this.peers.clear();
+        this.layer.innerHTML = '';
+    }
+    
+    // Batch renders to one per frame (cursors can move many times a frame)
+    requestRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+    
+    render() {
+        this.layer.innerHTML = '';
+        
+        this.peers.forEach(peer => {
+            peer.selection.forEach(cardId => {
+                const bounds = this.cardManager.getCardBounds(cardId);
+                if (!bounds) return;
+                
+                const outline = document.createElement('div');
+                outline.className = 'remote-selection';
+                outline.style.left = `${bounds.x}px`;
+                outline.style.top = `${bounds.y}px`;
+                outline.style.width = `${bounds.width}px`;
+                outline.style.height = `${bounds.height}px`;
+                outline.style.borderColor = peer.color;
+                this.layer.appendChild(outline);
+            });
+            
+            if (peer.cursor) {
+                const cursor = document.createElement('div');
+                cursor.className = 'remote-cursor';
+                cursor.style.left = `${peer.cursor.x}px`;
+                cursor.style.top = `${peer.cursor.y}px`;
+                cursor.innerHTML = `
+                    <svg width="16" height="20" viewBox="0 0 16 20"><path d="M0 0 L0 16 L4.5 12 L7.5 19 L10 18 L7 11 L13 11 Z"></path></svg>
+                    <span class="remote-cursor-name"></span>
+                `;
+                cursor.querySelector('path').setAttribute('fill', peer.color);
+                const label = cursor.querySelector('.remote-cursor-name');
+                label.textContent = peer.name;
+                label.style.background = peer.color;
+                this.layer.appendChild(cursor);
+            }
+        });
+    }
+}
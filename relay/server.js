@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+// Collaboration relay - a dependency-free WebSocket server that orders and forwards board changes between clients.
+// Each URL path is a room: ws://localhost:8787/my-board. Run with `node relay/server.js [port]`.
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024; // snapshots of large boards arrive in one message
+const MAX_SITES = 999; // site numbers keep card IDs of different clients apart (see SyncManager.claimId)
+
+class RelayServer {
+    constructor(port) {
+        this.port = port;
+        this.rooms = new Map(); // name -> { seq, clients: Map(clientId -> client) }
+        this.nextClientId = 1;
+        
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('This is a WebSocket relay for the card canvas.\n');
+        });
+        this.server.on('upgrade', (request, socket) => this.accept(request, socket));
+    }
+    
+    listen() {
+        this.server.listen(this.port, () => {
+            console.log(`Relay listening on ws://localhost:${this.port}`);
+        });
+    }
+    
+    // Complete the WebSocket handshake and join the room named by the URL path
+    accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        
+        // The room is the raw path; parsed as a URL, a path like '//x' would read as a host
+        const queryStart = request.url.indexOf('?');
+        const path = queryStart === -1 ? request.url : request.url.slice(0, queryStart);
+        const query = new URLSearchParams(queryStart === -1 ? '' : request.url.slice(queryStart + 1));
+        let roomName = null;
+        try {
+            if (path.startsWith('/')) {
+                roomName = decodeURIComponent(path.slice(1)) || 'default';
+            }
+        } catch (error) {
+            // A bad escape in the room name
+        }
+        if (roomName === null) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const room = this.getRoom(roomName);
+        const site = this.claimSite(room);
+        if (site === null) {
+            socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        
+        const client = {
+            id: this.nextClientId++,
+            site: site,
+            name: query.get('name') || `Guest ${site}`,
+            socket: socket,
+            room: room,
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            closed: false
+        };
+        
+        // Tell the newcomer who is here before anyone else hears of it
+        this.send(client, {
+            type: 'welcome',
+            clientId: client.id,
+            site: client.site,
+            seq: room.seq,
+            peers: Array.from(room.clients.values()).map(peer => this.describe(peer))
+        });
+        this.broadcast(room, { type: 'peer-joined', peer: this.describe(client) });
+        room.clients.set(client.id, client);
+        console.log(`Client ${client.id} joined "${roomName}" (${room.clients.size} connected)`);
+        
+        socket.on('data', data => this.receive(client, data));
+        socket.on('close', () => this.leave(client));
+        socket.on('error', () => {
+            socket.destroy();
+            this.leave(client);
+        });
+    }
+    
+    getRoom(name) {
+        if (!this.rooms.has(name)) {
+            this.rooms.set(name, { name: name, seq: 0, clients: new Map() });
+        }
+        return this.rooms.get(name);
+    }
+    
+    // Smallest site number nobody in the room is using
+    claimSite(room) {
+        const used = new Set(Array.from(room.clients.values()).map(client => client.site));
+        for (let site = 1; site <= MAX_SITES; site++) {
+            if (!used.has(site)) return site;
+        }
+        return null;
+    }
+    
+    describe(client) {
+        return { clientId: client.id, site: client.site, name: client.name };
+    }
+    
+    leave(client) {
+        if (client.closed) return;
+        client.closed = true;
+        client.socket.end();
+        
+        const room = client.room;
+        room.clients.delete(client.id);
+        this.broadcast(room, { type: 'peer-left', clientId: client.id });
+        console.log(`Client ${client.id} left "${room.name}" (${room.clients.size} connected)`);
+        
+        // Forget empty rooms; the board itself lives with the clients
+        if (room.clients.size === 0) {
+            this.rooms.delete(room.name);
+        }
+    }
+    
+    // Route one message from a client
+    handleMessage(client, message) {
+        const room = client.room;
+        
+        switch (message.type) {
+            case 'op':
+                // Every client (the sender too) sees operations in the same order, which is what keeps them converged
+                room.seq++;
+                this.broadcast(room, { ...message, seq: room.seq, clientId: client.id });
+                break;
+            
+            case 'presence':
+                this.broadcast(room, { ...message, clientId: client.id }, client);
+                break;
+            
+            case 'snapshot-request': {
+                // The longest-connected peer is the one most certainly caught up
+                const source = Array.from(room.clients.values()).find(peer => peer !== client);
+                if (source) {
+                    this.send(source, { type: 'snapshot-request', from: client.id });
+                } else {
+                    this.send(client, { type: 'snapshot-unavailable', seq: room.seq });
+                }
+                break;
+            }
+            
+            case 'snapshot': {
+                const target = room.clients.get(message.to);
+                if (target) {
+                    this.send(target, { ...message, from: client.id });
+                }
+                break;
+            }
+        }
+    }
+    
+    broadcast(room, message, except = null) {
+        const data = JSON.stringify(message);
+        room.clients.forEach(client => {
+            if (client !== except) {
+                this.sendFrame(client, 0x1, Buffer.from(data));
+            }
+        });
+    }
+    
+    send(client, message) {
+        this.sendFrame(client, 0x1, Buffer.from(JSON.stringify(message)));
+    }
+    
+    // Write one unmasked frame (servers never mask)
+    sendFrame(client, opcode, payload) {
+        if (client.closed) return;
+        
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        client.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    // Parse as many complete frames as have arrived
+    receive(client, data) {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        
+        while (client.buffer.length >= 2 && !client.closed) {
+            const buffer = client.buffer;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_BYTES) {
+                this.close(client, masked ? 1009 : 1002);
+                return;
+            }
+            if (buffer.length < offset + 4 + length) return;
+            
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            client.buffer = buffer.subarray(offset + 4 + length);
+            
+            this.handleFrame(client, fin, opcode, payload);
+        }
+    }
+    
+    handleFrame(client, fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                client.fragments.push(payload);
+                if (client.fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    this.close(client, 1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(client.fragments).toString('utf8');
+                    client.fragments = [];
+                    let message;
+                    try {
+                        message = JSON.parse(text);
+                    } catch (error) {
+                        console.warn(`Ignoring malformed message from client ${client.id}:`, error.message);
+                        return;
+                    }
+                    if (!message || typeof message !== 'object') {
+                        console.warn(`Ignoring malformed message from client ${client.id}: not an object`);
+                        return;
+                    }
+                    this.handleMessage(client, message);
+                }
+                break;
+            
+            case 0x8: // close
+                this.close(client, 1000);
+                break;
+            
+            case 0x9: // ping
+                this.sendFrame(client, 0xA, payload);
+                break;
+        }
+    }
+    
+    close(client, code) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(client, 0x8, payload);
+        client.socket.end();
+        this.leave(client);
+    }
+}
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+new RelayServer(port).listen();
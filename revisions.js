@@ -0,0 +1,196 @@
+// Revision log - keeps each card's content edits (independent of undo history) and diffs their text
+class RevisionLog {
+    constructor() {
+        // Card ID -> revisions, oldest first ({ content, startedAt, timestamp, original?, operation? })
+        this.revisions = new Map();
+        
+        // Revision settings
+        this.MAX_REVISIONS_PER_CARD = 50;
+        this.MAX_PERSISTED_BYTES = 1024 * 1024; // oldest revisions across all cards are dropped first
+        this.MERGE_INTERVAL = 2 * 60 * 1000;    // edits within this long of a revision's first edit update it
+        this.MAX_DIFF_CELLS = 1000000;          // word-by-word comparison limit before falling back to one changed span
+        
+        this.parser = new DOMParser();
+    }
+    
+    // Replace the log with one saved with the board
+    load(saved) {
+        this.revisions.clear();
+        if (!saved) return;
+        
+        Object.keys(saved).forEach(cardId => {
+            if (Array.isArray(saved[cardId]) && saved[cardId].length > 0) {
+                this.revisions.set(parseInt(cardId), saved[cardId]);
+            }
+        });
+    }
+    
+    // The log of the given cards to save with the board, trimmed to its size budget
+    export(cardIds) {
+        const all = [];
+        cardIds.forEach(cardId => {
+            (this.revisions.get(cardId) || []).forEach(revision => all.push({ cardId, revision }));
+        });
+        
+        // Keep the newest revisions that fit
+        all.sort((a, b) => b.revision.timestamp - a.revision.timestamp);
+        const saved = {};
+        let bytes = 0;
+        for (const { cardId, revision } of all) {
+            bytes += revision.content.length;
+            if (bytes > this.MAX_PERSISTED_BYTES) break;
+            (saved[cardId] = saved[cardId] || []).unshift(revision);
+        }
+        
+        return saved;
+    }
+    
+    getRevisions(cardId) {
+        return this.revisions.get(cardId) || [];
+    }
+    
+    // Log a content edit; the first edit also keeps the content the card started with.
+    // Edits made by other operations than typing (like restoring a revision) always get their own revision.
+    record(cardId, oldContent, newContent, operation = 'content_change') {
+        if (oldContent === newContent) return;
+        
+        const now = Date.now();
+        let revisions = this.revisions.get(cardId);
+        if (!revisions) {
+            revisions = [{ content: oldContent, startedAt: now, timestamp: now, original: true }];
+            this.revisions.set(cardId, revisions);
+        }
+        
+        // Bursts of typing become one revision
+        const last = revisions[revisions.length - 1];
+        if (operation === 'content_change' && !last.original && !last.operation &&
+            now - last.startedAt < this.MERGE_INTERVAL) {
+            last.content = newContent;
+            last.timestamp = now;
+        } else {
+            const revision = { content: newContent, startedAt: now, timestamp: now };
+            if (operation !== 'content_change') {
+                revision.operation = operation;
+            }
+            revisions.push(revision);
+        }
+        
+        if (revisions.length > this.MAX_REVISIONS_PER_CARD) {
+            revisions.splice(0, revisions.length - this.MAX_REVISIONS_PER_CARD);
+        }
+        
+        // Refresh the sidebar if it is showing this card
+        if (window.sidebar && window.sidebar.isOpen && window.sidebar.currentCard &&
+            window.sidebar.currentCard.id === cardId) {
+            window.sidebar.renderRevisions();
+        }
+    }
+    
+    // Plain text of card HTML, one line per block
+    getText(content) {
+        const html = (content || '').replace(/<\/(p|h[1-6]|li|blockquote|pre|div)>|<br\s*\/?>/gi, '$&\n');
+        const doc = this.parser.parseFromString(html, 'text/html');
+        return (doc.body.textContent || '').replace(/\n+$/, '');
+    }
+    
+    // Word-level diff of two texts as a list of { type: 'equal' | 'insert' | 'delete', text } parts
+    diffText(oldText, newText) {
+        const oldWords = oldText.match(/\s+|\w+|[^\s\w]/g) || [];
+        const newWords = newText.match(/\s+|\w+|[^\s\w]/g) || [];
+        
+        // Common start and end need no comparison
+        let start = 0;
+        while (start < oldWords.length && start < newWords.length && oldWords[start] === newWords[start]) {
+            start++;
+        }
+        let oldEnd = oldWords.length;
+        let newEnd = newWords.length;
+        while (oldEnd > start && newEnd > start && oldWords[oldEnd - 1] === newWords[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+        
+        const oldMiddle = oldWords.slice(start, oldEnd);
+        const newMiddle = newWords.slice(start, newEnd);
+        const words = [
+            ...oldWords.slice(0, start).map(word => ({ type: 'equal', word })),
+            ...(oldMiddle.length * newMiddle.length > this.MAX_DIFF_CELLS ? [
+                ...oldMiddle.map(word => ({ type: 'delete', word })),
+                ...newMiddle.map(word => ({ type: 'insert', word }))
+            ] : this.diffWords(oldMiddle, newMiddle)),
+            ...oldWords.slice(oldEnd).map(word => ({ type: 'equal', word }))
+        ];
+        
+        // Group each run of changes into one deletion and one insertion, so a rewritten phrase reads as a whole.
+        // Whitespace between two changed words is part of the run.
+        const parts = [];
+        const push = (type, text) => {
+            if (!text) return;
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+        let deleted = '';
+        let inserted = '';
+        words.forEach((part, index) => {
+            if (part.type !== 'equal') {
+                if (part.type === 'delete') deleted += part.word; else inserted += part.word;
+                return;
+            }
+            
+            const next = words[index + 1];
+            if ((deleted || inserted) && /^\s+$/.test(part.word) && next && next.type !== 'equal') {
+                deleted += part.word;
+                inserted += part.word;
+                return;
+            }
+            
+            push('delete', deleted);
+            push('insert', inserted);
+            deleted = '';
+            inserted = '';
+            push('equal', part.word);
+        });
+        push('delete', deleted);
+        push('insert', inserted);
+        
+        return parts;
+    }
+    
+    // Longest-common-subsequence diff of two word lists
+    diffWords(oldWords, newWords) {
+        const rows = oldWords.length + 1;
+        const cols = newWords.length + 1;
+        const lengths = new Uint32Array(rows * cols);
+        
+        for (let i = oldWords.length - 1; i >= 0; i--) {
+            for (let j = newWords.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = oldWords[i] === newWords[j] ?
+                    lengths[(i + 1) * cols + j + 1] + 1 :
+                    Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+        
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < oldWords.length || j < newWords.length) {
+            if (i < oldWords.length && j < newWords.length && oldWords[i] === newWords[j]) {
+                parts.push({ type: 'equal', word: oldWords[i] });
+                i++;
+                j++;
+            } else if (i < oldWords.length && (j === newWords.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+                parts.push({ type: 'delete', word: oldWords[i] });
+                i++;
+            } else {
+                parts.push({ type: 'insert', word: newWords[j] });
+                j++;
+            }
+        }
+        
+        return parts;
+    }
+}
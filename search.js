@@ -0,0 +1,309 @@
+// Search palette - full-text search across all cards with jump-to-result
+class SearchPalette {
+    constructor(world, cardManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        this.isOpen = false;
+        this.query = '';
+        this.results = [];
+        this.activeIndex = 0;
+        
+        // Plain text of each card, cached by content so re-searching is cheap
+        this.textCache = new Map();
+        this.parser = new DOMParser();
+        
+        // Search settings
+        this.MAX_RESULTS = 50;
+        this.SNIPPET_CONTEXT = 40; // characters shown either side of the first hit
+        this.FOCUS_SCALE = 1;      // zoom level used when jumping to a card
+        this.SEARCH_DELAY = 120;   // ms
+        this.searchTimeout = null;
+        
+        // DOM elements
+        this.palette = null;
+        this.input = null;
+        this.summary = null;
+        this.resultsList = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createPalette();
+        this.setupEventListeners();
+    }
+    
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'search-palette';
+        this.palette.innerHTML = `
+            <input type="text" class="search-input" placeholder="Search cards..." spellcheck="false">
+            <div class="search-summary"></div>
+            <ul class="search-results"></ul>
+        `;
+        document.body.appendChild(this.palette);
+        
+        this.input = this.palette.querySelector('.search-input');
+        this.summary = this.palette.querySelector('.search-summary');
+        this.resultsList = this.palette.querySelector('.search-results');
+    }
+    
+    setupEventListeners() {
+        this.input.addEventListener('input', () => {
+            if (this.searchTimeout) clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.search(this.input.value), this.SEARCH_DELAY);
+        });
+        
+        this.input.addEventListener('keydown', (e) => {
+            // Keep palette keys away from the global canvas shortcuts
+            e.stopPropagation();
+            
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.setActiveIndex(this.activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActiveIndex(this.activeIndex - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                // Run any pending search so Enter always acts on the typed query
+                if (this.searchTimeout) {
+                    clearTimeout(this.searchTimeout);
+                    this.search(this.input.value);
+                }
+                this.jumpToResult(this.activeIndex);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        
+        this.resultsList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                e.preventDefault();
+                this.jumpToResult(parseInt(item.dataset.index));
+            }
+        });
+        
+        // Clicking outside the palette closes it
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !e.target.closest('.search-palette')) {
+                this.close();
+            }
+        });
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.palette.classList.add('open');
+        this.input.focus();
+        this.input.select();
+        
+        if (this.input.value) {
+            this.search(this.input.value);
+        }
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.palette.classList.remove('open');
+        this.clearHighlights();
+        this.input.blur();
+    }
+    
+    // Plain text of a card's HTML content (parsed without running scripts or loading images)
+    getCardText(cardData) {
+        const cached = this.textCache.get(cardData.id);
+        if (cached && cached.content === cardData.content) {
+            return cached.text;
+        }
+        
+        const doc = this.parser.parseFromString(cardData.content || '', 'text/html');
+        const text = (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+        this.textCache.set(cardData.id, { content: cardData.content, text: text });
+        
+        return text;
+    }
+    
+    search(query) {
+        this.query = query.trim();
+        this.results = [];
+        this.activeIndex = 0;
+        this.searchTimeout = null;
+        
+        if (this.query) {
+            const needle = this.query.toLowerCase();
+            
+            this.cardManager.cards.forEach(cardData => {
+                const text = this.getCardText(cardData);
+                const haystack = text.toLowerCase();
+                
+                let count = 0;
+                let firstIndex = -1;
+                let index = haystack.indexOf(needle);
+                while (index !== -1) {
+                    if (firstIndex === -1) firstIndex = index;
+                    count++;
+                    index = haystack.indexOf(needle, index + needle.length);
+                }
+                
+                if (count > 0) {
+                    this.results.push({
+                        cardId: cardData.id,
+                        count: count,
+                        snippet: this.buildSnippet(text, firstIndex, this.query.length),
+                        title: text.slice(0, 60)
+                    });
+                }
+            });
+            
+            // Most hits first, then reading order on the canvas
+            this.results.sort((a, b) => {
+                if (b.count !== a.count) return b.count - a.count;
+                const cardA = this.cardManager.cards.get(a.cardId);
+                const cardB = this.cardManager.cards.get(b.cardId);
+                return (cardA.y - cardB.y) || (cardA.x - cardB.x);
+            });
+        }
+        
+        this.renderResults();
+        this.highlightResults();
+    }
+    
+    buildSnippet(text, index, length) {
+        const start = Math.max(0, index - this.SNIPPET_CONTEXT);
+        const end = Math.min(text.length, index + length + this.SNIPPET_CONTEXT);
+        
+        return {
+            before: (start > 0 ? '…' : '') + text.slice(start, index),
+            match: text.slice(index, index + length),
+            after: text.slice(index + length, end) + (end < text.length ? '…' : '')
+        };
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    renderResults() {
+        if (!this.query) {
+            this.summary.textContent = '';
+            this.resultsList.innerHTML = '';
+            return;
+        }
+        
+        const total = this.results.reduce((sum, result) => sum + result.count, 0);
+        this.summary.textContent = this.results.length === 0 ?
+            'No matches' :
+            `${total} match${total === 1 ? '' : 'es'} in ${this.results.length} card${this.results.length === 1 ? '' : 's'}`;
+        
+        this.resultsList.innerHTML = this.results.slice(0, this.MAX_RESULTS).map((result, index) => `
+            <li class="search-result${index === this.activeIndex ? ' active' : ''}" data-index="${index}">
+                <div class="search-result-title">${this.escapeHtml(result.title)}</div>
+                <div class="search-result-snippet">${this.escapeHtml(result.snippet.before)}<mark>${this.escapeHtml(result.snippet.match)}</mark>${this.escapeHtml(result.snippet.after)}</div>
+                <span class="search-result-count">${result.count}</span>
+            </li>
+        `).join('');
+    }
+    
+    setActiveIndex(index) {
+        const count = Math.min(this.results.length, this.MAX_RESULTS);
+        if (count === 0) return;
+        
+        this.activeIndex = (index + count) % count;
+        this.resultsList.querySelectorAll('.search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === this.activeIndex);
+            if (i === this.activeIndex) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+    
+    // Wrap every hit inside matching cards' DOM in a <mark> (the card data itself is untouched)
+    highlightResults() {
+        this.clearHighlights();
+        if (!this.query) return;
+        
+        this.results.forEach(result => this.highlightCard(result.cardId));
+    }
+    
+    // Mark the query in one card (also used when CardManager mounts a card scrolled into view)
+    highlightCard(cardId) {
+        if (!this.query) return;
+        
+        const element = this.world.world.querySelector(`[data-card-id="${cardId}"] .card-content`);
+        if (!element) return;
+        
+        const needle = this.query.toLowerCase();
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        
+        let matched = false;
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            let index = lower.indexOf(needle);
+            if (index === -1) return;
+            
+            matched = true;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(text.slice(last, index)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = text.slice(index, index + needle.length);
+                fragment.appendChild(mark);
+                last = index + needle.length;
+                index = lower.indexOf(needle, last);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+        
+        if (matched) {
+            element.closest('.card').classList.add('search-match');
+        }
+    }
+    
+    clearHighlights() {
+        this.world.world.querySelectorAll('.card.search-match').forEach(card => {
+            card.classList.remove('search-match');
+            const cardData = this.cardManager.cards.get(parseInt(card.dataset.cardId));
+            if (cardData) {
+                this.cardManager.renderCardContent(card, cardData);
+            }
+        });
+    }
+    
+    // Centre and zoom the world on a result's card
+    jumpToResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+        
+        if (this.showCard(result.cardId)) {
+            this.setActiveIndex(index);
+        }
+    }
+    
+    // Centre and zoom the world on a card and select it
+    showCard(cardId) {
+        const bounds = this.cardManager.getCardBounds(cardId);
+        if (!bounds) return false;
+        
+        // Zoom in to a readable level, or out far enough for large cards to fit
+        const rect = this.world.viewport.getBoundingClientRect();
+        const fitScale = Math.min(rect.width / (bounds.width * 1.5), rect.height / (bounds.height * 1.5));
+        const scale = Math.min(this.FOCUS_SCALE, fitScale || this.FOCUS_SCALE);
+        
+        this.world.animateTo(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, scale);
+        this.cardManager.setSelection([cardId]);
+        return true;
+    }
+}
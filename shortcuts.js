@@ -0,0 +1,196 @@
+// Shortcut overlay - cheat sheet of the current key bindings, where each one can be changed
+class ShortcutOverlay {
+    constructor(commands) {
+        this.commands = commands;
+        this.isOpen = false;
+        
+        // Command waiting for the user to press its new keys
+        this.recordingId = null;
+        
+        // DOM elements
+        this.overlay = null;
+        this.summary = null;
+        this.groups = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createOverlay();
+        this.setupEventListeners();
+    }
+    
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'shortcut-overlay';
+        this.overlay.innerHTML = `
+            <div class="shortcut-sheet" role="dialog" aria-label="Keyboard shortcuts">
+                <div class="shortcut-header">
+                    <h3>Keyboard shortcuts</h3>
+                    <button class="close-btn shortcut-close" title="Close">&times;</button>
+                </div>
+                <div class="shortcut-summary"></div>
+                <div class="shortcut-groups"></div>
+                <div class="shortcut-footer">
+                    <span>Click Change and press the new keys (Escape cancels)</span>
+                    <button class="board-btn" data-action="reset-all">Reset all</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+        
+        this.summary = this.overlay.querySelector('.shortcut-summary');
+        this.groups = this.overlay.querySelector('.shortcut-groups');
+    }
+    
+    setupEventListeners() {
+        this.overlay.querySelector('.shortcut-close').addEventListener('click', () => this.close());
+        
+        // Clicking the backdrop closes the sheet
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+        
+        this.overlay.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'reset-all') {
+                this.recordingId = null;
+                this.commands.resetKeys();
+            } else if (button.dataset.action === 'change') {
+                const id = button.closest('.shortcut-row').dataset.id;
+                this.recordingId = this.recordingId === id ? null : id;
+            } else if (button.dataset.action === 'reset') {
+                this.recordingId = null;
+                this.commands.resetKeys(button.closest('.shortcut-row').dataset.id);
+            }
+            this.render();
+        });
+        
+        // While open, keys belong to the sheet rather than the canvas shortcuts
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            
+            if (this.recordingId !== null) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.recordKey(e);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        }, true);
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.recordingId = null;
+        this.overlay.classList.add('open');
+        this.render();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.recordingId = null;
+        this.overlay.classList.remove('open');
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    // Bind the command being recorded to the pressed combo, taking it from another command if the user agrees
+    recordKey(e) {
+        if (e.key === 'Escape') {
+            this.recordingId = null;
+            this.render();
+            return;
+        }
+        
+        const combo = this.commands.getCombo(e);
+        if (!combo) return; // wait for the key that goes with the modifiers
+        
+        if (this.commands.isReserved(combo)) {
+            if (window.app) {
+                window.app.showNotification(`${this.commands.formatCombo(combo)} is kept by the browser - try another combination`, 'warning');
+            }
+            return;
+        }
+        
+        const command = this.commands.commands.get(this.recordingId);
+        const others = this.commands.getConflicts(combo, command.id);
+        if (others.length > 0) {
+            const names = others.map(other => `"${other.label}"`).join(' and ');
+            if (!confirm(`${this.commands.formatCombo(combo)} is already used for ${names}. Use it for "${command.label}" instead?`)) {
+                this.recordingId = null;
+                this.render();
+                return;
+            }
+            others.forEach(other => this.commands.removeKey(other.id, combo));
+        }
+        
+        this.commands.setKeys(command.id, [combo]);
+        this.recordingId = null;
+        this.render();
+    }
+    
+    render() {
+        const conflicts = this.commands.getAllConflicts();
+        this.summary.innerHTML = Array.from(conflicts.entries()).map(([combo, bound]) =>
+            `<div class="shortcut-conflict">${this.escapeHtml(this.commands.formatCombo(combo))} is bound to ${bound.map(command => this.escapeHtml(command.label)).join(' and ')} - only the first one runs</div>`
+        ).join('');
+        
+        // Commands grouped in registration order
+        const groups = new Map();
+        this.commands.commands.forEach(command => {
+            if (!groups.has(command.group)) {
+                groups.set(command.group, []);
+            }
+            groups.get(command.group).push(command);
+        });
+        
+        this.groups.innerHTML = Array.from(groups.entries()).map(([group, commands]) => `
+            <div class="shortcut-group">
+                <h4>${this.escapeHtml(group)}</h4>
+                <ul>${commands.map(command => this.renderRow(command, conflicts)).join('')}</ul>
+            </div>
+        `).join('');
+    }
+    
+    renderRow(command, conflicts) {
+        const isRecording = this.recordingId === command.id;
+        const isConflicting = command.keys.some(combo => conflicts.has(combo));
+        const isChanged = !this.commands.sameKeys(command.keys, command.defaultKeys);
+        
+        const keys = isRecording ?
+            '<span class="shortcut-recording">Press keys…</span>' :
+            command.keys.length === 0 ?
+                '<span class="shortcut-unbound">None</span>' :
+                command.keys.map(combo => `<kbd>${this.escapeHtml(this.commands.formatCombo(combo))}</kbd>`).join(' ');
+        
+        return `
+            <li class="shortcut-row${isRecording ? ' recording' : ''}${isConflicting ? ' conflict' : ''}" data-id="${command.id}">
+                <span class="shortcut-label">${this.escapeHtml(command.label)}</span>
+                <span class="shortcut-keys">${keys}</span>
+                <span class="shortcut-actions">
+                    <button class="history-btn" data-action="change">${isRecording ? 'Cancel' : 'Change'}</button>
+                    ${isChanged ? '<button class="history-btn" data-action="reset">Reset</button>' : ''}
+                </span>
+            </li>
+        `;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
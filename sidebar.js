@@ -18,24 +18,48 @@ class Sidebar {
         this.lastSavedContent = '';
         this.contentChangeTimeout = null;
         
+        // Revision shown in the diff view (index into the card's revision log)
+        this.selectedRevision = null;
+        
+        // Preset card colours: soft backgrounds and strong borders (any other colour can be picked too)
+        this.CARD_COLORS = {
+            color: ['#fee2e2', '#ffedd5', '#fef9c3', '#dcfce7', '#dbeafe', '#ede9fe', '#f3f4f6', '#1f2937'],
+            borderColor: ['#ef4444', '#f97316', '#eab308', '#22c55e', '#3b82f6', '#8b5cf6', '#6b7280', '#111827']
+        };
+        
         // DOM elements
         this.sidebar = document.getElementById('sidebar');
         this.resizeHandle = document.getElementById('sidebarResizeHandle');
         this.viewport = document.getElementById('viewport');
         this.status = document.getElementById('status');
         this.closeBtn = document.getElementById('closeSidebar');
+        this.typeSelect = document.getElementById('cardType');
+        this.textEditorGroup = document.getElementById('textEditorGroup');
+        this.typeEditorGroup = document.getElementById('typeEditorGroup');
+        this.typeEditor = document.getElementById('typeEditor');
+        this.colorSwatches = [document.getElementById('cardColor'), document.getElementById('cardBorderColor')];
+        this.iconInput = document.getElementById('cardIcon');
+        this.tagsInput = document.getElementById('cardTags');
         this.widthInput = document.getElementById('cardWidth');
         this.heightInput = document.getElementById('cardHeight');
         this.saveBtn = document.getElementById('saveCard');
         this.duplicateBtn = document.getElementById('duplicateCard');
         this.deleteBtn = document.getElementById('deleteCard');
         this.addBtn = document.getElementById('addCard');
+        this.revisionCount = document.getElementById('revisionCount');
+        this.revisionList = document.getElementById('revisionList');
+        this.revisionView = document.getElementById('revisionView');
+        this.revisionCompare = document.getElementById('revisionCompare');
+        this.revisionDiff = document.getElementById('revisionDiff');
+        this.restoreRevisionBtn = document.getElementById('restoreRevision');
         
         this.init();
     }
     
     init() {
         this.loadSidebarWidth();
+        this.setupTypeSelect();
+        this.setupStyleFields();
         this.setupEditor();
         this.setupEventListeners();
         this.setupResizeHandle();
@@ -57,6 +81,25 @@ class Sidebar {
         localStorage.setItem('sidebar_width', this.width.toString());
     }
     
+    setupTypeSelect() {
+        this.typeSelect.innerHTML = Object.entries(window.cardManager.types.TYPES)
+            .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+            .join('');
+    }
+    
+    setupStyleFields() {
+        this.colorSwatches.forEach(container => {
+            const presets = this.CARD_COLORS[container.dataset.field]
+                .map(color => `<button class="color-swatch" data-value="${color}" title="${color}" style="background: ${color}"></button>`)
+                .join('');
+            container.innerHTML = `
+                <button class="color-swatch none" data-value="" title="None"></button>
+                ${presets}
+                <input type="color" class="color-custom" title="Custom colour">
+            `;
+        });
+    }
+    
     setupEditor() {
         // Initialize Quill editor with enhanced toolbar including colors and custom color support
         const quillOptions = {
@@ -127,7 +170,7 @@ class Sidebar {
                     this.lastSavedContent = this.currentCard.content;
                 }
             });
-            
+        
         }, 100);
     }
     
@@ -263,6 +306,77 @@ class Sidebar {
             }
         });
         
+        // Card type: the content is converted to the new type
+        this.typeSelect.addEventListener('change', () => {
+            this.changeType(this.typeSelect.value);
+        });
+        
+        // Type editor fields: text is applied as it is typed, checkboxes, selects and files once changed
+        this.typeEditor.addEventListener('input', (e) => {
+            if (e.target.matches('input[type="text"], textarea')) {
+                this.applyTypeEditor();
+            }
+        });
+        
+        this.typeEditor.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) {
+                this.applyTypeEditor();
+            } else if (e.target.dataset.field === 'language') {
+                this.changeLanguage(e.target.value);
+            } else if (e.target.matches('input[type="file"]') && e.target.files.length > 0) {
+                this.loadImageFile(e.target.files[0]);
+            }
+        });
+        
+        this.typeEditor.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const item = button.closest('.type-editor-item');
+            if (button.dataset.action === 'add-item') {
+                this.addChecklistItem(this.typeEditor.querySelectorAll('.type-editor-item').length);
+            } else if (button.dataset.action === 'remove-item' && item) {
+                this.removeChecklistItem(parseInt(item.dataset.index));
+            }
+        });
+        
+        // Enter in a checklist item starts the next one
+        this.typeEditor.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.type-editor-item');
+            if (e.key === 'Enter' && item && e.target.dataset.field === 'text') {
+                e.preventDefault();
+                this.addChecklistItem(parseInt(item.dataset.index) + 1);
+            }
+        });
+        
+        // Card style: presets apply at once; a custom colour and the icon show as they change and are
+        // recorded for undo once picked; tags apply when the field is committed
+        this.colorSwatches.forEach(container => {
+            const field = container.dataset.field;
+            const custom = container.querySelector('.color-custom');
+            
+            container.addEventListener('click', (e) => {
+                const swatch = e.target.closest('.color-swatch');
+                if (swatch) {
+                    this.setCardStyle({ [field]: swatch.dataset.value || null }, true);
+                }
+            });
+            custom.addEventListener('input', () => this.setCardStyle({ [field]: custom.value }, false));
+            custom.addEventListener('change', () => this.setCardStyle({ [field]: custom.value }, true));
+        });
+        
+        this.iconInput.addEventListener('input', () => {
+            this.setCardStyle({ icon: this.iconInput.value.trim() || null }, false);
+        });
+        this.iconInput.addEventListener('change', () => {
+            this.setCardStyle({ icon: this.iconInput.value.trim() || null }, true);
+        });
+        
+        this.tagsInput.addEventListener('change', () => {
+            this.setCardStyle({ tags: this.parseTags(this.tagsInput.value) }, true);
+            this.tagsInput.value = (this.currentCard ? this.currentCard.tags || [] : []).join(', ');
+        });
+        
         // Save button (for manual save/close)
         this.saveBtn.addEventListener('click', () => {
             this.close();
@@ -271,14 +385,13 @@ class Sidebar {
         // Duplicate button
         this.duplicateBtn.addEventListener('click', () => {
             if (this.currentCard && window.cardManager) {
-                // Save state before duplicating
+                const cardId = this.currentCard.id;
+                window.cardManager.duplicateCard(cardId);
+                
+                // Save state after duplicating
                 if (window.undoRedoManager) {
-                    window.undoRedoManager.saveState('duplicate_card', {
-                        cardId: this.currentCard.id
-                    });
+                    window.undoRedoManager.saveState('duplicate_card', { cardId: cardId });
                 }
-                
-                window.cardManager.duplicateCard(this.currentCard.id);
             }
         });
         
@@ -287,15 +400,14 @@ class Sidebar {
             if (this.currentCard && window.cardManager && 
                 confirm('Are you sure you want to delete this card?')) {
                 
-                // Save state before deleting
+                const cardId = this.currentCard.id;
+                window.cardManager.deleteCard(cardId);
+                this.close();
+                
+                // Save state after deleting
                 if (window.undoRedoManager) {
-                    window.undoRedoManager.saveState('delete_cards', {
-                        cardIds: [this.currentCard.id]
-                    });
+                    window.undoRedoManager.saveState('delete_cards', { cardIds: [cardId] });
                 }
-                
-                window.cardManager.deleteCard(this.currentCard.id);
-                this.close();
             }
         });
         
@@ -306,6 +418,24 @@ class Sidebar {
             }
         });
         
+        // Revisions: pick one to see its diff, then optionally restore it
+        this.revisionList.addEventListener('click', (e) => {
+            const item = e.target.closest('.revision-item');
+            if (item) {
+                const index = parseInt(item.dataset.index);
+                this.selectedRevision = this.selectedRevision === index ? null : index;
+                this.renderRevisions();
+            }
+        });
+        
+        this.revisionCompare.addEventListener('change', () => {
+            this.renderRevisionDiff();
+        });
+        
+        this.restoreRevisionBtn.addEventListener('click', () => {
+            this.restoreRevision(this.selectedRevision);
+        });
+        
         // Escape key to close
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
@@ -315,7 +445,7 @@ class Sidebar {
     }
     
     setupResizeHandle() {
-        this.resizeHandle.addEventListener('mousedown', (e) => {
+        this.resizeHandle.addEventListener('pointerdown', (e) => {
             if (e.button === 0) {
                 e.preventDefault();
                 e.stopPropagation();
@@ -328,7 +458,7 @@ class Sidebar {
             }
         });
         
-        document.addEventListener('mousemove', (e) => {
+        document.addEventListener('pointermove', (e) => {
             if (this.isResizing) {
                 // Calculate new width based on mouse movement
                 // Moving left (negative delta) increases width, moving right decreases width
@@ -340,7 +470,7 @@ class Sidebar {
             }
         });
         
-        document.addEventListener('mouseup', () => {
+        document.addEventListener('pointerup', () => {
             if (this.isResizing) {
                 this.isResizing = false;
                 this.resizeHandle.classList.remove('dragging');
@@ -351,7 +481,7 @@ class Sidebar {
         });
     }
     
-    open(cardData) {
+    open(cardData, focusEditor = true) {
         this.isOpen = true;
         this.currentCard = cardData;
         
@@ -364,16 +494,23 @@ class Sidebar {
         // Populate form with card data
         this.populateForm(cardData);
         
-        // Focus the editor with safety check
+        // Focus the editor with safety check (keyboard selection keeps focus on the card instead);
+        // typed cards focus the first field of their own editor
+        if (!focusEditor) return;
         setTimeout(() => {
-            if (this.editor && this.editor.focus) {
+            if (this.currentCard !== cardData) return;
+            
+            const field = this.typeEditor.querySelector('input[type="text"], textarea');
+            if (field) {
+                field.focus();
+            } else if (this.editor && this.editor.focus) {
                 this.editor.focus();
             }
         }, 350);
     }
     
-    close() {
-        // Save any pending content changes before closing
+    // Hand any content edits still waiting on the debounce to undo/redo
+    flushContentChanges() {
         if (this.contentChangeTimeout) {
             clearTimeout(this.contentChangeTimeout);
             this.contentChangeTimeout = null;
@@ -387,6 +524,15 @@ class Sidebar {
                 );
             }
         }
+    }
+    
+    close() {
+        // Save any pending content changes before closing
+        this.flushContentChanges();
+        
+        // Keyboard focus goes back to the card that was being edited
+        const returnFocus = this.sidebar.contains(document.activeElement) && this.currentCard;
+        const cardId = returnFocus ? this.currentCard.id : null;
         
         this.isOpen = false;
         this.currentCard = null;
@@ -403,6 +549,10 @@ class Sidebar {
             }
             window.cardManager.activeCard = null;
         }
+        
+        if (cardId !== null && window.keyboardNavigation) {
+            window.keyboardNavigation.focusCard(cardId);
+        }
     }
     
     populateForm(cardData) {
@@ -430,6 +580,372 @@ class Sidebar {
                 }
             }, 150);
         }
+        
+        this.showTypeEditor(cardData);
+        this.renderStyleFields(cardData);
+        
+        this.selectedRevision = null;
+        this.renderRevisions();
+    }
+    
+    // ---- Card style ----
+    
+    // Show a card's colours, icon and tags (fields being typed in are left alone)
+    renderStyleFields(cardData) {
+        this.colorSwatches.forEach(container => {
+            const value = cardData[container.dataset.field] || '';
+            const isPreset = container.querySelector(`.color-swatch[data-value="${value}"]`);
+            
+            container.querySelectorAll('.color-swatch').forEach(swatch => {
+                swatch.classList.toggle('selected', swatch.dataset.value === value);
+            });
+            const custom = container.querySelector('.color-custom');
+            custom.classList.toggle('selected', !isPreset);
+            if (!isPreset) {
+                custom.value = value;
+            }
+        });
+        
+        if (document.activeElement !== this.iconInput) {
+            this.iconInput.value = cardData.icon || '';
+        }
+        if (document.activeElement !== this.tagsInput) {
+            this.tagsInput.value = (cardData.tags || []).join(', ');
+        }
+    }
+    
+    // Comma-separated tags, trimmed and without repeats
+    parseTags(text) {
+        const tags = [];
+        text.split(',').map(tag => tag.trim()).forEach(tag => {
+            if (tag && !tags.some(other => other.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        return tags;
+    }
+    
+    // Change the card's style fields; record makes the change an undo step
+    setCardStyle(updates, record) {
+        if (!this.currentCard || !window.cardManager) return;
+        
+        window.cardManager.updateCard(this.currentCard.id, updates);
+        this.renderStyleFields(this.currentCard);
+        
+        if (record && window.undoRedoManager) {
+            window.undoRedoManager.saveState('style_card', { cardId: this.currentCard.id });
+        }
+    }
+    
+    // ---- Card types ----
+    
+    // Text cards and sticky notes are edited in the rich-text editor, the other types in a form of their own
+    // (the rich-text editor then stays hidden, holding the content the form writes)
+    showTypeEditor(cardData) {
+        const type = window.cardManager.types.getType(cardData);
+        const usesForm = type !== 'text' && type !== 'sticky';
+        
+        this.typeSelect.value = type;
+        this.textEditorGroup.style.display = usesForm ? 'none' : '';
+        this.typeEditorGroup.style.display = usesForm ? '' : 'none';
+        this.typeEditor.dataset.type = type;
+        this.typeEditor.innerHTML = usesForm ? this.renderTypeEditor(type, cardData) : '';
+    }
+    
+    renderTypeEditor(type, cardData) {
+        const types = window.cardManager.types;
+        const fields = types.parse(cardData);
+        const escape = (text) => this.escapeHtml(text).replace(/"/g, '&quot;');
+        
+        if (type === 'checklist') {
+            const items = fields.items.map((item, index) => `
+                <li class="type-editor-item" data-index="${index}">
+                    <input type="checkbox" data-field="done" title="Done"${item.done ? ' checked' : ''}>
+                    <input type="text" data-field="text" value="${escape(item.text)}" placeholder="Item">
+                    <button class="type-editor-remove" data-action="remove-item" title="Remove item">&times;</button>
+                </li>
+            `).join('');
+            return `
+                <input type="text" data-field="title" value="${escape(fields.title)}" placeholder="Title">
+                <ul class="type-editor-items">${items}</ul>
+                <button class="btn btn-secondary" data-action="add-item">Add Item</button>
+            `;
+        }
+        if (type === 'image') {
+            // Uploaded images are kept in the content, not shown as a (very long) URL
+            return `
+                <label>Image URL:</label>
+                <input type="text" data-field="src" value="${fields.src.startsWith('data:') ? '' : escape(fields.src)}" placeholder="https://...">
+                <label>Or upload:</label>
+                <input type="file" accept="image/*">
+                <label>Caption:</label>
+                <textarea data-field="caption" rows="2">${this.escapeHtml(fields.caption)}</textarea>
+            `;
+        }
+        if (type === 'link') {
+            return `
+                <label>URL:</label>
+                <input type="text" data-field="url" value="${escape(fields.url)}" placeholder="https://...">
+                <label>Title:</label>
+                <input type="text" data-field="title" value="${escape(fields.title)}">
+                <label>Description:</label>
+                <textarea data-field="description" rows="3">${this.escapeHtml(fields.description)}</textarea>
+            `;
+        }
+        if (type === 'code') {
+            const languages = Object.entries(types.LANGUAGES)
+                .map(([language, name]) => `<option value="${language}"${language === cardData.language ? ' selected' : ''}>${name}</option>`)
+                .join('');
+            return `
+                <label>Language:</label>
+                <select data-field="language">${languages}</select>
+                <textarea data-field="code" rows="12" spellcheck="false">${this.escapeHtml(fields.code)}</textarea>
+            `;
+        }
+        return '';
+    }
+    
+    // The fields of the current card's type, as the form shows them
+    readTypeEditor() {
+        const types = window.cardManager.types;
+        const type = types.getType(this.currentCard);
+        const value = (field) => {
+            const input = this.typeEditor.querySelector(`[data-field="${field}"]`);
+            return input ? input.value : '';
+        };
+        
+        if (type === 'checklist') {
+            return {
+                title: value('title'),
+                items: Array.from(this.typeEditor.querySelectorAll('.type-editor-item')).map(item => ({
+                    text: item.querySelector('[data-field="text"]').value,
+                    done: item.querySelector('[data-field="done"]').checked
+                }))
+            };
+        }
+        if (type === 'image') {
+            // An empty URL field keeps an uploaded image
+            const current = types.parse(this.currentCard).src;
+            const src = value('src').trim() || (current.startsWith('data:') ? current : '');
+            return { src: src, caption: value('caption') };
+        }
+        if (type === 'link') {
+            return { url: value('url').trim(), title: value('title'), description: value('description') };
+        }
+        if (type === 'code') {
+            return { code: value('code') };
+        }
+        return {};
+    }
+    
+    // Write the form into the card through the hidden rich-text editor, so it reaches the card,
+    // undo/redo and live sync the same way typing does
+    applyTypeEditor(fields = this.readTypeEditor()) {
+        if (!this.currentCard || !this.editor) return;
+        
+        const types = window.cardManager.types;
+        this.editor.root.innerHTML = types.toContent(types.getType(this.currentCard), fields);
+        this.editor.update('user');
+    }
+    
+    // Show changes made elsewhere (on the card, by undo, another tab or a collaborator) in the open editor
+    refreshTypeEditor() {
+        if (!this.currentCard) return;
+        
+        const content = this.currentCard.content;
+        if (this.editor && this.editor.root.innerHTML !== content) {
+            this.editor.root.innerHTML = content;
+            this.editor.update('silent');
+            this.lastSavedContent = content;
+        }
+        
+        // Re-rendering the form would lose the caret, so put it back where it was
+        const focused = this.typeEditor.contains(document.activeElement) ? document.activeElement : null;
+        const item = focused && focused.closest('.type-editor-item');
+        const position = focused && focused.dataset.field ? {
+            field: focused.dataset.field,
+            index: item ? item.dataset.index : null,
+            start: focused.selectionStart,
+            end: focused.selectionEnd
+        } : null;
+        
+        this.showTypeEditor(this.currentCard);
+        
+        if (position) {
+            const scope = position.index !== null ?
+                this.typeEditor.querySelector(`.type-editor-item[data-index="${position.index}"]`) : this.typeEditor;
+            const field = scope && scope.querySelector(`[data-field="${position.field}"]`);
+            if (field) {
+                field.focus();
+                if (position.start !== null && position.start !== undefined && field.setSelectionRange) {
+                    field.setSelectionRange(position.start, position.end);
+                }
+            }
+        }
+    }
+    
+    addChecklistItem(index) {
+        const fields = this.readTypeEditor();
+        fields.items.splice(index, 0, { text: '', done: false });
+        this.applyTypeEditor(fields);
+        this.showTypeEditor(this.currentCard);
+        
+        const input = this.typeEditor.querySelector(`.type-editor-item[data-index="${index}"] [data-field="text"]`);
+        if (input) input.focus();
+    }
+    
+    removeChecklistItem(index) {
+        const fields = this.readTypeEditor();
+        fields.items.splice(index, 1);
+        this.applyTypeEditor(fields);
+        this.showTypeEditor(this.currentCard);
+    }
+    
+    // Embed a picked image file (persistence moves it out of the content into image storage)
+    loadImageFile(file) {
+        const cardData = this.currentCard;
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (this.currentCard !== cardData) return;
+            
+            const fields = this.readTypeEditor();
+            fields.src = reader.result;
+            this.applyTypeEditor(fields);
+            this.showTypeEditor(this.currentCard);
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    changeType(type) {
+        if (!this.currentCard || !window.cardManager) return;
+        
+        const cardManager = window.cardManager;
+        const updates = { type: type, content: cardManager.types.convert(this.currentCard, type) };
+        if (type === 'code' && !this.currentCard.language) {
+            updates.language = cardManager.types.getDefaults('code').language;
+        }
+        
+        // Typing so far is its own undo step
+        this.flushContentChanges();
+        cardManager.updateCard(this.currentCard.id, updates);
+        this.populateForm(this.currentCard);
+        this.lastSavedContent = this.currentCard.content;
+        
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('change_card_type', { cardId: this.currentCard.id });
+        }
+    }
+    
+    changeLanguage(language) {
+        if (!this.currentCard || !window.cardManager) return;
+        
+        window.cardManager.updateCard(this.currentCard.id, { language: language });
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('change_code_language', { cardId: this.currentCard.id });
+        }
+    }
+    
+    // List the card's revisions, newest first
+    renderRevisions() {
+        const revisions = this.currentCard && window.revisionLog ?
+            window.revisionLog.getRevisions(this.currentCard.id) : [];
+        if (this.selectedRevision !== null && this.selectedRevision >= revisions.length) {
+            this.selectedRevision = null;
+        }
+        
+        this.revisionCount.textContent = revisions.length > 0 ? revisions.length : 'no edits yet';
+        
+        const items = [];
+        for (let index = revisions.length - 1; index >= 0; index--) {
+            const revision = revisions[index];
+            const classes = ['revision-item'];
+            if (index === this.selectedRevision) classes.push('selected');
+            
+            let label = new Date(revision.timestamp).toLocaleString();
+            if (revision.original) {
+                label += ' (original)';
+            } else if (revision.operation === 'restore_revision') {
+                label += ' (restored)';
+            } else if (revision.content === this.currentCard.content) {
+                label += ' (current)';
+            }
+            
+            items.push(`<li class="${classes.join(' ')}" data-index="${index}">${this.escapeHtml(label)}</li>`);
+        }
+        this.revisionList.innerHTML = items.join('');
+        
+        this.renderRevisionDiff();
+    }
+    
+    // Inline word diff of the selected revision against the one before it, or against the current text
+    renderRevisionDiff() {
+        const revisions = this.currentCard && window.revisionLog ?
+            window.revisionLog.getRevisions(this.currentCard.id) : [];
+        const revision = revisions[this.selectedRevision];
+        
+        this.revisionView.classList.toggle('open', !!revision);
+        if (!revision) {
+            this.revisionDiff.innerHTML = '';
+            return;
+        }
+        
+        const log = window.revisionLog;
+        let oldText;
+        let newText;
+        if (this.revisionCompare.value === 'current') {
+            oldText = log.getText(revision.content);
+            newText = log.getText(this.currentCard.content);
+        } else {
+            // The oldest revision has nothing before it, so it is shown as is
+            const previous = revisions[this.selectedRevision - 1];
+            oldText = previous ? log.getText(previous.content) : null;
+            newText = log.getText(revision.content);
+        }
+        
+        if (oldText === null) {
+            this.revisionDiff.textContent = newText;
+        } else {
+            const parts = log.diffText(oldText, newText);
+            const changed = parts.some(part => part.type !== 'equal');
+            this.revisionDiff.innerHTML = changed ? parts.map(part => {
+                const text = this.escapeHtml(part.text);
+                if (part.type === 'insert') return `<ins>${text}</ins>`;
+                if (part.type === 'delete') return `<del>${text}</del>`;
+                return text;
+            }).join('') : '<span class="revision-diff-empty">No text changes</span>';
+        }
+        
+        this.restoreRevisionBtn.disabled = revision.content === this.currentCard.content;
+    }
+    
+    // Put an earlier revision's content back as a new, undoable edit
+    restoreRevision(index) {
+        if (!this.currentCard || !window.revisionLog) return;
+        const revision = window.revisionLog.getRevisions(this.currentCard.id)[index];
+        if (!revision || revision.content === this.currentCard.content) return;
+        
+        // Record any typing first so it stays a separate undo step
+        this.flushContentChanges();
+        if (window.undoRedoManager) {
+            window.undoRedoManager.flushPendingChanges();
+        }
+        
+        const cardId = this.currentCard.id;
+        window.cardManager.updateCard(cardId, { content: revision.content });
+        this.updateCard({ content: revision.content });
+        
+        if (window.undoRedoManager) {
+            window.undoRedoManager.saveState('restore_revision', { cardId: cardId, timestamp: revision.timestamp });
+        }
+        
+        this.selectedRevision = null;
+        this.renderRevisions();
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
     
     // Update current card data (called from external sources)
@@ -458,6 +974,7 @@ class Sidebar {
                 
                 // Update the baseline content for undo/redo tracking
                 this.lastSavedContent = updates.content;
+                this.showTypeEditor(this.currentCard);
             }
         }
     }
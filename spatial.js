@@ -0,0 +1,93 @@
+// Spatial index - buckets rectangles into a uniform grid so area queries only look at nearby items
+class SpatialGrid {
+    constructor(cellSize = 512) {
+        this.cellSize = cellSize; // world units per cell side
+        this.cells = new Map();   // "column,row" -> Set of item IDs
+        this.items = new Map();   // item ID -> { bounds, keys } (keys of the cells it is in)
+    }
+    
+    // Add an item, or move it to new bounds ({ x, y, width, height })
+    update(id, bounds) {
+        const keys = this.getCellKeys(bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height);
+        const item = this.items.get(id);
+        
+        if (item) {
+            // Most moves stay in the same cells
+            if (item.keys.length === keys.length && item.keys.every((key, index) => key === keys[index])) {
+                item.bounds = { ...bounds };
+                return;
+            }
+            this.removeFromCells(id, item.keys);
+        }
+        
+        keys.forEach(key => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, new Set());
+            }
+            this.cells.get(key).add(id);
+        });
+        this.items.set(id, { bounds: { ...bounds }, keys: keys });
+    }
+    
+    remove(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+        
+        this.removeFromCells(id, item.keys);
+        this.items.delete(id);
+    }
+    
+    clear() {
+        this.cells.clear();
+        this.items.clear();
+    }
+    
+    // IDs of the items whose bounds intersect a rectangle ({ left, top, right, bottom })
+    query(rect) {
+        const hits = new Set();
+        
+        this.getCellKeys(rect.left, rect.top, rect.right, rect.bottom).forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            
+            cell.forEach(id => {
+                if (hits.has(id)) return;
+                
+                const bounds = this.items.get(id).bounds;
+                if (bounds.x <= rect.right && bounds.x + bounds.width >= rect.left &&
+                    bounds.y <= rect.bottom && bounds.y + bounds.height >= rect.top) {
+                    hits.add(id);
+                }
+            });
+        });
+        
+        return hits;
+    }
+    
+    getCellKeys(left, top, right, bottom) {
+        const firstColumn = Math.floor(left / this.cellSize);
+        const lastColumn = Math.floor(right / this.cellSize);
+        const firstRow = Math.floor(top / this.cellSize);
+        const lastRow = Math.floor(bottom / this.cellSize);
+        
+        const keys = [];
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            for (let row = firstRow; row <= lastRow; row++) {
+                keys.push(`${column},${row}`);
+            }
+        }
+        return keys;
+    }
+    
+    removeFromCells(id, keys) {
+        keys.forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            
+            cell.delete(id);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+    }
+}
@@ -1,45 +1,335 @@
-// Storage management - handles saving and loading from localStorage
+// Storage management - handles saving and loading named boards (IndexedDB, falling back to localStorage), import and export
 class Storage {
     constructor() {
-        this.STORAGE_KEY = 'infinite_canvas_data';
+        this.LEGACY_STORAGE_KEY = 'infinite_canvas_data'; // single-board key used before boards existed
+        this.BOARDS_KEY = 'infinite_canvas_boards';
+        this.BOARD_KEY_PREFIX = 'infinite_canvas_board_';
+        this.DB_NAME = 'infinite_canvas';
+        this.STORAGE_KEY = null; // key of the active board
         this.AUTO_SAVE_DELAY = 1000; // ms
         this.autoSaveTimeout = null;
+        this.markdown = new MarkdownConverter();
+        
+        // Board payloads live in the backend; the small board list stays in localStorage
+        this.backend = new LocalStorageBackend(this.BOARD_KEY_PREFIX);
+        
+        // Save failures are shown to the user, but not more often than this
+        this.ERROR_NOTIFICATION_INTERVAL = 10000; // ms
+        this.lastErrorNotification = 0;
+        
+        // Board list: [{ id, name, createdAt, updatedAt, filter }] plus the last-opened board
+        this.boards = [];
+        this.activeBoardId = null;
+        
+        this.loadBoardIndex();
     }
     
-    // Save all data to localStorage
-    saveData(data) {
+    // Open IndexedDB and move any boards still in localStorage into it
+    async init() {
+        if (!IndexedDBBackend.isSupported()) {
+            console.log('IndexedDB not available, using localStorage');
+            return;
+        }
+        
         try {
-            const dataToSave = {
-                cards: data.cards || [],
-                worldState: data.worldState || {},
-                version: '1.0',
-                timestamp: Date.now()
-            };
+            const backend = new IndexedDBBackend(this.DB_NAME);
+            await backend.open();
+            
+            const localBackend = this.backend;
+            this.backend = backend;
+            await this.migrateBoards(localBackend);
+            console.log('Using IndexedDB storage');
+        } catch (error) {
+            console.error('Failed to open IndexedDB, using localStorage:', error);
+            this.backend = new LocalStorageBackend(this.BOARD_KEY_PREFIX);
+        }
+    }
+    
+    // Copy boards from localStorage into the current backend, keeping whichever copy is newer
+    async migrateBoards(localBackend) {
+        for (const board of this.boards) {
+            const localData = await localBackend.readBoard(board.id);
+            if (!localData) continue;
+            
+            const existing = await this.backend.readBoard(board.id);
+            if (!existing || (localData.timestamp || 0) > (existing.timestamp || 0)) {
+                await this.backend.writeBoard(board.id, localData);
+            }
+            
+            // Free the localStorage quota once the board is safely stored
+            await localBackend.deleteBoard(board.id);
+            console.log(`Migrated board "${board.name}" to ${this.backend.name}`);
+        }
+    }
+    
+    // Tell the user a save failed (quota errors get an actionable message)
+    reportSaveError(error) {
+        console.error('Failed to save data:', error);
+        
+        const now = Date.now();
+        if (now - this.lastErrorNotification < this.ERROR_NOTIFICATION_INTERVAL || !window.app) return;
+        this.lastErrorNotification = now;
+        
+        const isQuotaError = error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+        const message = isQuotaError ?
+            'Storage is full - your latest changes were NOT saved. Export this board or remove large images.' :
+            `Saving failed - your latest changes were NOT saved (${error && error.message ? error.message : error}).`;
+        window.app.showNotification(message, 'error');
+    }
+    
+    // Load the board list, migrating the legacy single-board key on first run
+    loadBoardIndex() {
+        try {
+            const savedIndex = localStorage.getItem(this.BOARDS_KEY);
+            if (savedIndex) {
+                const index = JSON.parse(savedIndex);
+                this.boards = index.boards || [];
+                this.activeBoardId = index.activeBoardId || null;
+            }
+        } catch (error) {
+            console.error('Failed to load board list from localStorage:', error);
+        }
+        
+        if (this.boards.length === 0) {
+            const board = this.addBoardEntry('My Board');
             
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(dataToSave));
-            console.log('Data saved to localStorage');
+            // Move the pre-boards canvas into the first board
+            try {
+                const legacyData = localStorage.getItem(this.LEGACY_STORAGE_KEY);
+                if (legacyData) {
+                    localStorage.setItem(this.getBoardKey(board.id), legacyData);
+                    localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+                    console.log('Migrated saved canvas into the first board');
+                }
+            } catch (error) {
+                console.error('Failed to migrate legacy canvas data:', error);
+            }
+        }
+        
+        if (!this.getBoard(this.activeBoardId)) {
+            this.activeBoardId = this.boards[0].id;
+        }
+        
+        this.STORAGE_KEY = this.getBoardKey(this.activeBoardId);
+        this.saveBoardIndex();
+    }
+    
+    saveBoardIndex() {
+        try {
+            localStorage.setItem(this.BOARDS_KEY, JSON.stringify({
+                boards: this.boards,
+                activeBoardId: this.activeBoardId
+            }));
         } catch (error) {
-            console.error('Failed to save data to localStorage:', error);
+            console.error('Failed to save board list to localStorage:', error);
+        }
+    }
+    
+    // Take the board list saved by another tab, keeping the board open here even if it was deleted there
+    mergeBoardList(boards) {
+        const activeBoard = this.getActiveBoard();
+        this.boards = boards;
+        if (activeBoard && !this.getBoard(activeBoard.id)) {
+            this.boards.push(activeBoard);
+        }
+    }
+    
+    getBoardKey(boardId) {
+        return this.BOARD_KEY_PREFIX + boardId;
+    }
+    
+    getBoard(boardId) {
+        return this.boards.find(board => board.id === boardId) || null;
+    }
+    
+    getActiveBoard() {
+        return this.getBoard(this.activeBoardId);
+    }
+    
+    // Boards in display order
+    listBoards() {
+        return [...this.boards];
+    }
+    
+    addBoardEntry(name) {
+        const now = Date.now();
+        const board = {
+            id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        this.boards.push(board);
+        return board;
+    }
+    
+    // Create a new board, optionally seeded with data
+    async createBoard(name, data = null) {
+        const board = this.addBoardEntry(name);
+        
+        if (data) {
+            try {
+                await this.writeBoardData(board.id, data);
+            } catch (error) {
+                this.boards.splice(this.boards.indexOf(board), 1);
+                throw error;
+            }
         }
+        
+        this.saveBoardIndex();
+        return board;
+    }
+    
+    renameBoard(boardId, name) {
+        const board = this.getBoard(boardId);
+        if (!board) return false;
+        
+        board.name = name;
+        board.updatedAt = Date.now();
+        this.saveBoardIndex();
+        return true;
+    }
+    
+    // Keep a board's card filter (see FilterBar) in the board list; null removes it
+    setBoardFilter(boardId, filter) {
+        const board = this.getBoard(boardId);
+        if (!board) return false;
+        
+        if (filter) {
+            board.filter = filter;
+        } else {
+            delete board.filter;
+        }
+        this.saveBoardIndex();
+        return true;
     }
     
-    // Load all data from localStorage
-    loadData() {
+    async duplicateBoard(boardId) {
+        const board = this.getBoard(boardId);
+        if (!board) return null;
+        
+        const data = await this.readBoardData(boardId);
+        return this.createBoard(`${board.name} (copy)`, data || { cards: [] });
+    }
+    
+    async deleteBoard(boardId) {
+        const index = this.boards.findIndex(board => board.id === boardId);
+        if (index === -1) return false;
+        
+        this.boards.splice(index, 1);
+        this.saveBoardIndex();
+        
         try {
-            const savedData = localStorage.getItem(this.STORAGE_KEY);
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                console.log('Data loaded from localStorage');
+            await this.backend.deleteBoard(boardId);
+        } catch (error) {
+            console.error('Failed to delete board data:', error);
+        }
+        return true;
+    }
+    
+    // Make a board the target of saveData/loadData and remember it as last opened
+    setActiveBoard(boardId) {
+        if (!this.getBoard(boardId)) return false;
+        
+        // Drop pending auto-saves so they can't write the previous board's cards into this one
+        this.cancelPendingSave();
+        
+        this.activeBoardId = boardId;
+        this.STORAGE_KEY = this.getBoardKey(boardId);
+        this.saveBoardIndex();
+        return true;
+    }
+    
+    cancelPendingSave() {
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+            this.autoSaveTimeout = null;
+        }
+    }
+    
+    async readBoardData(boardId) {
+        try {
+            return await this.backend.readBoard(boardId);
+        } catch (error) {
+            console.error('Failed to read board data:', error);
+            return null;
+        }
+    }
+    
+    writeBoardData(boardId, data) {
+        const dataToSave = {
+            cards: data.cards || [],
+            connections: data.connections || [],
+            frames: data.frames || [],
+            worldState: data.worldState || {},
+            history: data.history || null,
+            revisions: data.revisions || null,
+            version: '1.0',
+            timestamp: Date.now(),
+            // Version this one was made from and when it was last edited, for merging in other tabs
+            baseTimestamp: data.baseTimestamp || 0,
+            editedAt: data.editedAt || 0
+        };
+        
+        const board = this.getBoard(boardId);
+        if (board) {
+            board.updatedAt = dataToSave.timestamp;
+        }
+        
+        // The backend starts writing synchronously, so saves made while the page unloads are not lost
+        return this.backend.writeBoard(boardId, dataToSave).then(() => dataToSave);
+    }
+    
+    // Save all data of the active board, with its undo history and revision log (resolves false and notifies the user if it failed)
+    saveData(data) {
+        const boardId = this.activeBoardId;
+        let write;
+        try {
+            write = this.writeBoardData(boardId, {
+                ...data,
+                history: data.history !== undefined ? data.history : this.getHistory(),
+                revisions: data.revisions !== undefined ? data.revisions : this.getRevisions(data.cards),
+                baseTimestamp: window.tabSync ? window.tabSync.baseTimestamp : 0,
+                editedAt: window.tabSync ? window.tabSync.lastEditAt : 0
+            });
+        } catch (error) {
+            write = Promise.reject(error);
+        }
+        
+        return write.then(savedData => {
+            if (window.tabSync) {
+                window.tabSync.recordSave(boardId, savedData);
+            }
+            this.saveBoardIndex();
+            console.log(`Data saved to ${this.backend.name}`);
+            return true;
+        }).catch(error => {
+            this.reportSaveError(error);
+            return false;
+        });
+    }
+    
+    // Load all data of the active board
+    async loadData() {
+        try {
+            const data = await this.backend.readBoard(this.activeBoardId);
+            if (data) {
+                console.log(`Data loaded from ${this.backend.name}`);
                 return data;
             }
         } catch (error) {
-            console.error('Failed to load data from localStorage:', error);
+            console.error('Failed to load data:', error);
         }
         return null;
     }
     
     // Save cards with auto-save debouncing
     saveCards(cards) {
+        if (window.tabSync) {
+            window.tabSync.noteLocalChange();
+        }
+        
         // Clear existing timeout
         if (this.autoSaveTimeout) {
             clearTimeout(this.autoSaveTimeout);
@@ -49,6 +339,8 @@ class Storage {
         this.autoSaveTimeout = setTimeout(() => {
             this.saveData({
                 cards: cards,
+                connections: this.getConnections(),
+                frames: this.getFrames(),
                 worldState: this.getWorldState()
             });
         }, this.AUTO_SAVE_DELAY);
@@ -58,10 +350,44 @@ class Storage {
     saveWorldState(worldState) {
         this.saveData({
             cards: window.cardManager ? window.cardManager.getAllCards() : [],
+            connections: this.getConnections(),
+            frames: this.getFrames(),
             worldState: worldState
         });
     }
     
+    // Get current connections between cards
+    getConnections() {
+        if (window.connectionManager) {
+            return window.connectionManager.getAllConnections();
+        }
+        return [];
+    }
+    
+    // Get current frames
+    getFrames() {
+        if (window.cardManager) {
+            return window.cardManager.getAllFrames();
+        }
+        return [];
+    }
+    
+    // Get the undo history to keep with the board
+    getHistory() {
+        if (window.undoRedoManager) {
+            return window.undoRedoManager.exportHistory();
+        }
+        return null;
+    }
+    
+    // Get the revision log of the given cards to keep with the board
+    getRevisions(cards) {
+        if (window.revisionLog && cards) {
+            return window.revisionLog.export(cards.map(card => card.id));
+        }
+        return null;
+    }
+    
     // Get current world state
     getWorldState() {
         if (window.world) {
@@ -97,10 +423,11 @@ class Storage {
         }
     }
     
-    // Clear all saved data
-    clearData() {
+    // Clear all saved data of the active board
+    async clearData() {
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            this.cancelPendingSave();
+            await this.backend.deleteBoard(this.activeBoardId);
             console.log('Saved data cleared');
             return true;
         } catch (error) {
@@ -126,15 +453,15 @@ class Storage {
                     <li><strong>Pan</strong> by clicking and dragging on empty space</li>
                     <li><strong>Zoom</strong> with your mouse wheel</li>
                 </ul>
-                <p>Cards automatically snap to align with each other, and all changes are saved automatically to your browser's local storage.</p>
+                <p>Cards automatically snap to align with each other, and all changes are saved automatically in your browser.</p>
                 <p><em>Double-click this card to start editing!</em></p>
             `
         }];
     }
     
     // Initialize storage - load data or create default
-    initialize() {
-        const savedData = this.loadData();
+    async initialize() {
+        const savedData = await this.loadData();
         
         if (savedData && savedData.cards && savedData.cards.length > 0) {
             // Load saved data
@@ -143,6 +470,12 @@ class Storage {
             // Load cards
             if (window.cardManager) {
                 window.cardManager.loadCards(savedData.cards);
+                window.cardManager.loadFrames(savedData.frames || []);
+            }
+            
+            // Load connections
+            if (window.connectionManager) {
+                window.connectionManager.loadConnections(savedData.connections || []);
             }
             
             // Load world state
@@ -172,51 +505,89 @@ class Storage {
         }
     }
     
-    // Export data as JSON
-    exportData() {
-        const data = this.loadData();
-        if (data) {
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `infinite_canvas_export_${Date.now()}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+    // Export the active board as JSON (with images embedded again)
+    async exportData() {
+        const savedData = await this.loadData();
+        if (savedData) {
+            // Undo history and revisions stay with the board in the browser
+            delete savedData.history;
+            delete savedData.revisions;
+            
+            const data = await this.backend.inlineImages(savedData);
+            const board = this.getActiveBoard();
+            data.name = board ? board.name : undefined;
+            
+            this.downloadFile(JSON.stringify(data, null, 2), 'application/json', `${this.getExportFileName()}_${Date.now()}.json`);
         }
     }
     
-    // Import data from JSON file
-    importData(file) {
+    // Export the active board as a Markdown document (one section per card)
+    async exportMarkdown() {
+        const savedData = await this.loadData();
+        if (savedData) {
+            const data = await this.backend.inlineImages(savedData);
+            const board = this.getActiveBoard();
+            const markdown = this.markdown.boardToMarkdown(board ? board.name : 'Board', data.cards || []);
+            
+            this.downloadFile(markdown, 'text/markdown', `${this.getExportFileName()}.md`);
+        }
+    }
+    
+    downloadFile(content, type, fileName) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    // File name for exports of the active board
+    getExportFileName() {
+        const board = this.getActiveBoard();
+        const name = board ? board.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') : '';
+        return name || 'infinite_canvas_export';
+    }
+    
+    // Import a JSON export into a new board (resolves with the created board)
+    async importData(file) {
+        const data = JSON.parse(await this.readFile(file));
+        
+        // Validate data structure
+        if (!data.cards || !Array.isArray(data.cards)) {
+            throw new Error('Invalid data format');
+        }
+        
+        const name = data.name || file.name.replace(/\.json$/i, '');
+        return this.createBoard(name, data);
+    }
+    
+    // Import a Markdown file into a new board, one card per section (resolves with the created board)
+    async importMarkdown(file) {
+        const { title, cards } = this.markdown.markdownToCards(await this.readFile(file));
+        if (cards.length === 0) {
+            throw new Error('The file is empty');
+        }
+        
+        cards.forEach((card, index) => {
+            card.id = index + 1;
+        });
+        
+        const name = title || file.name.replace(/\.(md|markdown)$/i, '');
+        return this.createBoard(name, { cards: cards });
+    }
+    
+    isMarkdownFile(file) {
+        return file.type === 'text/markdown' || /\.(md|markdown)$/i.test(file.name);
+    }
+    
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    // Validate data structure
-                    if (data.cards && Array.isArray(data.cards)) {
-                        this.saveData(data);
-                        
-                        // Reload the app with new data
-                        if (window.cardManager) {
-                            window.cardManager.loadCards(data.cards);
-                        }
-                        
-                        if (data.worldState) {
-                            this.applyWorldState(data.worldState);
-                        }
-                        
-                        resolve(data);
-                    } else {
-                        reject(new Error('Invalid data format'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            };
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsText(file);
         });
@@ -0,0 +1,990 @@
+// Sync management - shares the open board live with other clients in a relay room (see relay/server.js).
+// The relay puts every change into one order that all clients apply, which makes merging deterministic:
+// cards, frames and connections merge field by field (the later write wins), while card text merges as
+// Quill deltas transformed against the edits ordered before them, so people typing in one card keep each other's text.
+class SyncManager {
+    constructor(world, cardManager, connectionManager) {
+        this.world = world;
+        this.cardManager = cardManager;
+        this.connectionManager = connectionManager;
+        this.presence = new RemotePresence(world, cardManager);
+        
+        // Connection state: 'offline', 'connecting', 'joining' (waiting for the shared board) or 'live'
+        this.status = 'offline';
+        this.transport = null;
+        this.room = null;
+        this.clientId = null;
+        this.site = null;
+        this.peers = new Map(); // client ID -> { clientId, site, name }
+        
+        // Sequence number of the last relay operation applied
+        this.seq = 0;
+        this.queue = []; // operations that arrived while waiting for the shared board
+        this.snapshotTimer = null;
+        
+        // Records as last shared with the room ({ cards, frames, connections } maps); local edits are diffed against it
+        this.synced = null;
+        this.pendingFields = new Map(); // 'kind:id:field' -> our writes the relay hasn't echoed yet
+        this.flushScheduled = false;
+        
+        // Card ID -> shared text state (see getTextState)
+        this.texts = new Map();
+        this.Delta = null;
+        this.scratch = null; // hidden editor for turning card HTML into deltas and back
+        this.parser = new DOMParser(); // its documents run no scripts and load nothing, for cleaning HTML from the room
+        this.editorAttached = false;
+        
+        // Object URLs of images kept in IndexedDB mean nothing to other clients, so they are sent as data URLs
+        this.imageDataUrls = new Map();
+        
+        // Presence sent to the room
+        this.lastSelection = '[]';
+        this.cursor = null;
+        this.cursorTimer = null;
+        
+        // Settings
+        this.ID_STRIDE = 1000;        // each client creates IDs ending in its own site number (see claimId)
+        this.TEXT_LOG_WINDOW = 5000;  // text edits based on a state this many operations old are dropped
+        this.PRESENCE_INTERVAL = 50;  // ms between cursor updates
+        
+        // What card HTML from the room may contain: the editor's own markup. Elements in DROPPED_TAGS go
+        // with their content, other unknown elements are replaced by their content.
+        this.ALLOWED_TAGS = new Set(['P', 'BR', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'STRIKE', 'A', 'IMG', 'IFRAME',
+            'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'OL', 'UL', 'LI', 'BLOCKQUOTE', 'PRE', 'CODE', 'SPAN', 'SUB', 'SUP']);
+        this.DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'OBJECT', 'EMBED', 'SVG', 'MATH',
+            'FORM', 'INPUT', 'TEXTAREA', 'SELECT', 'BUTTON', 'LINK', 'META', 'BASE', 'FRAME', 'FRAMESET']);
+        this.ALLOWED_ATTRIBUTES = new Set(['class', 'style', 'href', 'target', 'rel', 'src', 'alt', 'width', 'height',
+            'spellcheck', 'data-checked', 'frameborder', 'allowfullscreen']);
+        this.SNAPSHOT_TIMEOUT = 5000; // ms to wait for the shared board before asking again
+        
+        // DOM elements
+        this.shareBtn = document.getElementById('shareBoard');
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.renderStatus();
+    }
+    
+    setupEventListeners() {
+        if (this.shareBtn) {
+            this.shareBtn.addEventListener('click', () => window.app.toggleCollaboration());
+        }
+        
+        // Local edits are shared when the card and connection managers change their data (see scheduleFlush).
+        // Other collaborators' selections are outlined over the cards, so redraw them when the cards' elements change;
+        // panning and zooming only touch the world's own style.
+        const observer = new MutationObserver((mutations) => {
+            if (this.status !== 'live') return;
+            if (mutations.every(mutation => mutation.target === this.world.world && mutation.type === 'attributes')) return;
+            
+            this.presence.requestRender();
+        });
+        observer.observe(this.world.world, { attributes: true, childList: true, subtree: true, characterData: true });
+        
+        this.world.viewport.addEventListener('pointermove', (e) => {
+            if (this.status !== 'live') return;
+            this.cursor = this.world.screenToWorld(e.clientX, e.clientY);
+            this.scheduleCursor();
+        });
+        
+        this.world.viewport.addEventListener('pointerleave', () => {
+            if (this.status !== 'live') return;
+            this.cursor = null;
+            this.scheduleCursor();
+        });
+    }
+    
+    // Join a room through a transport (anything with connect/send/close and onOpen/onMessage/onClose)
+    async connect(transport, room, name) {
+        if (this.status !== 'offline') return false;
+        
+        this.Delta = Quill.import('delta');
+        this.attachEditor();
+        this.status = 'connecting';
+        this.room = room;
+        this.renderStatus();
+        
+        if (window.storage) {
+            this.imageDataUrls = await window.storage.backend.getImageDataUrls(this.cardManager.getAllCards());
+        }
+        if (this.status !== 'connecting') return false; // cancelled meanwhile
+        
+        this.transport = transport;
+        this.transport.onMessage = (message) => this.handleMessage(message);
+        this.transport.onClose = () => this.handleClose();
+        this.transport.connect(room, name);
+        return true;
+    }
+    
+    // Leave the room, keeping the board as it is
+    disconnect() {
+        if (this.status === 'offline') return;
+        
+        const transport = this.transport;
+        this.reset();
+        if (transport) {
+            transport.onClose = null;
+            transport.close();
+        }
+    }
+    
+    handleClose() {
+        const wasConnecting = this.status === 'connecting';
+        this.reset();
+        this.notify(wasConnecting ? 'Could not reach the collaboration relay' : 'Disconnected from the collaboration relay', 'warning');
+    }
+    
+    reset() {
+        this.status = 'offline';
+        this.transport = null;
+        this.clientId = null;
+        this.site = null;
+        this.peers.clear();
+        this.queue = [];
+        this.synced = null;
+        this.pendingFields.clear();
+        this.texts.clear();
+        this.imageDataUrls = new Map();
+        this.lastSelection = '[]';
+        if (this.snapshotTimer) {
+            clearTimeout(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+        this.presence.clear();
+        this.renderStatus();
+    }
+    
+    // The ID a new card, frame or connection should get, starting from the creator's next free one.
+    // While connected, clients only create IDs that end in their site number (mod ID_STRIDE), so they never clash.
+    claimId(candidate) {
+        if (this.status === 'offline' || !this.site) return candidate;
+        return candidate + ((this.site - candidate % this.ID_STRIDE) + this.ID_STRIDE) % this.ID_STRIDE;
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.handleWelcome(message);
+                break;
+            
+            case 'peer-joined':
+                this.peers.set(message.peer.clientId, message.peer);
+                this.presence.addPeer(message.peer);
+                this.sendPresence();
+                this.renderStatus();
+                this.notify(`${message.peer.name} joined`, 'info');
+                break;
+            
+            case 'peer-left': {
+                const peer = this.peers.get(message.clientId);
+                this.peers.delete(message.clientId);
+                this.presence.removePeer(message.clientId);
+                this.renderStatus();
+                if (peer) {
+                    this.notify(`${peer.name} left`, 'info');
+                }
+                break;
+            }
+            
+            case 'presence':
+                this.presence.update(message.clientId, message);
+                break;
+            
+            case 'snapshot-request':
+                if (this.status === 'live') {
+                    this.sendSnapshot(message.from);
+                }
+                break;
+            
+            case 'snapshot':
+                if (this.status === 'joining') {
+                    this.loadSnapshot(message);
+                }
+                break;
+            
+            case 'snapshot-unavailable':
+                // Everyone else left before sending the board, so ours becomes the shared one
+                if (this.status === 'joining') {
+                    this.seq = message.seq;
+                    this.goLive();
+                }
+                break;
+            
+            case 'op':
+                if (this.status === 'joining') {
+                    this.queue.push(message);
+                } else if (this.status === 'live') {
+                    this.applyOperation(message);
+                }
+                break;
+        }
+    }
+    
+    handleWelcome(message) {
+        this.clientId = message.clientId;
+        this.site = message.site;
+        this.seq = message.seq;
+        message.peers.forEach(peer => {
+            this.peers.set(peer.clientId, peer);
+            this.presence.addPeer(peer);
+        });
+        
+        // First one here: this board becomes the shared one
+        if (message.peers.length === 0) {
+            this.goLive();
+            this.notify(`Sharing this board in room "${this.room}"`);
+            return;
+        }
+        
+        // Otherwise the room's board replaces this one
+        if (this.cardManager.cards.size > 0 &&
+            !confirm(`Joining "${this.room}" replaces the cards on this board with the shared ones. Continue?`)) {
+            this.disconnect();
+            return;
+        }
+        
+        this.status = 'joining';
+        this.renderStatus();
+        this.requestSnapshot();
+    }
+    
+    requestSnapshot() {
+        this.transport.send({ type: 'snapshot-request' });
+        
+        // Ask again if the peer asked went away before answering
+        this.snapshotTimer = setTimeout(() => {
+            this.snapshotTimer = null;
+            if (this.status === 'joining') {
+                this.requestSnapshot();
+            }
+        }, this.SNAPSHOT_TIMEOUT);
+    }
+    
+    // Start sharing edits, catching up on operations that arrived in the meantime
+    goLive() {
+        if (this.snapshotTimer) {
+            clearTimeout(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+        
+        this.status = 'live';
+        if (!this.synced) {
+            this.synced = this.captureRecords();
+        }
+        
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(message => this.applyOperation(message));
+        
+        this.sendPresence();
+        this.renderStatus();
+    }
+    
+    // The board as of the last applied operation, for a client that is joining
+    sendSnapshot(clientId) {
+        this.flush();
+        
+        // Text is sent as everyone agrees on it; our own edits still on their way follow as operations
+        const cards = this.cardManager.getAllCards().map(cardData => {
+            const state = this.texts.get(cardData.id);
+            return {
+                ...this.copyRecord(cardData),
+                content: this.shareableHtml(state ? this.deltaToHtml(state.doc) : cardData.content)
+            };
+        });
+        
+        const texts = {};
+        this.texts.forEach((state, cardId) => {
+            texts[cardId] = state.log.map(entry => entry.reset ?
+                { seq: entry.seq, reset: true } :
+                { seq: entry.seq, delta: this.shareableOps(entry.delta.ops) });
+        });
+        
+        this.transport.send({
+            type: 'snapshot',
+            to: clientId,
+            seq: this.seq,
+            cards: cards,
+            frames: this.cardManager.getAllFrames().map(frame => this.copyRecord(frame)),
+            connections: this.connectionManager.getAllConnections().map(connection => this.copyRecord(connection)),
+            texts: texts
+        });
+    }
+    
+    // Replace the board with the room's
+    loadSnapshot(snapshot) {
+        if (window.sidebar) {
+            window.sidebar.close();
+        }
+        if (window.historyPanel) {
+            window.historyPanel.exitPreview();
+        }
+        this.cardManager.clearSelection();
+        this.connectionManager.clearConnectionSelection();
+        
+        this.cardManager.loadCards(snapshot.cards.map(card => ({ ...card, content: this.cleanRemoteHtml(card.content) })));
+        this.cardManager.loadFrames(snapshot.frames);
+        this.connectionManager.loadConnections(snapshot.connections);
+        this.connectionManager.updateAllConnections();
+        
+        // The old board's undo history doesn't apply to the shared one
+        if (window.undoRedoManager) {
+            window.undoRedoManager.clearHistory();
+            window.undoRedoManager.initialize();
+        }
+        this.save();
+        
+        this.seq = snapshot.seq;
+        this.synced = this.captureRecords();
+        this.texts.clear();
+        Object.keys(snapshot.texts).forEach(key => {
+            const cardId = parseInt(key);
+            if (!this.synced.cards.has(cardId)) return;
+            
+            const state = this.getTextState(cardId);
+            state.log = snapshot.texts[key].map(entry => entry.reset ?
+                { seq: entry.seq, reset: true } :
+                { seq: entry.seq, delta: new this.Delta(entry.delta) });
+        });
+        
+        this.goLive();
+        this.notify(`Joined room "${this.room}"`);
+    }
+    
+    applyOperation(message) {
+        if (message.seq <= this.seq) return;
+        
+        // Our own unshared edits go first, so the shadow we diff against stays accurate
+        this.flush();
+        this.seq = message.seq;
+        
+        if (message.op === 'records') {
+            this.applyRecords(message);
+        } else if (message.op === 'text') {
+            this.applyText(message);
+        }
+    }
+    
+    // For CardManager and ConnectionManager, whenever they change a record or the selection
+    // (before the app has made its SyncManager there is nobody to share with)
+    static requestFlush() {
+        if (window.syncManager) {
+            window.syncManager.scheduleFlush();
+        }
+    }
+    
+    scheduleFlush() {
+        if (this.status !== 'live' || this.flushScheduled) return;
+        this.flushScheduled = true;
+        requestAnimationFrame(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+    
+    // Send everything that changed locally since the last flush. Content of the card open in the editor
+    // (skipContentOf) is left to handleEditorChange, which sends it as a delta rather than a replacement.
+    flush(skipContentOf = null) {
+        if (this.status !== 'live') return;
+        
+        const changes = [];
+        const replacedTexts = [];
+        
+        ['cards', 'frames', 'connections'].forEach(kind => {
+            const live = this.getRecords(kind);
+            const synced = this.synced[kind];
+            
+            live.forEach((record, id) => {
+                const previous = synced.get(id);
+                if (!previous) {
+                    const copy = this.copyRecord(record);
+                    synced.set(id, copy);
+                    changes.push({
+                        kind: kind,
+                        id: id,
+                        action: 'create',
+                        record: kind === 'cards' ? { ...copy, content: this.shareableHtml(copy.content) } : copy
+                    });
+                    
+                    // Text edits to a new card wait until everyone has the card
+                    if (kind === 'cards') {
+                        const doc = this.htmlToDelta(copy.content);
+                        this.texts.set(id, { doc: doc, local: doc, log: [], inflight: { create: true }, buffer: null });
+                    }
+                    return;
+                }
+                
+                const fields = {};
+                new Set([...Object.keys(previous), ...Object.keys(record)]).forEach(key => {
+                    if (kind === 'cards' && key === 'content') return;
+                    if (this.valuesEqual(previous[key], record[key])) return;
+                    
+                    // Removed fields are shared as null
+                    if (record[key] === undefined) {
+                        fields[key] = null;
+                        delete previous[key];
+                    } else {
+                        fields[key] = this.copyValue(record[key]);
+                        previous[key] = this.copyValue(record[key]);
+                    }
+                    this.pendingFields.set(`${kind}:${id}:${key}`, (this.pendingFields.get(`${kind}:${id}:${key}`) || 0) + 1);
+                });
+                if (Object.keys(fields).length > 0) {
+                    changes.push({ kind: kind, id: id, action: 'update', fields: fields });
+                }
+                
+                if (kind === 'cards' && id !== skipContentOf && previous.content !== record.content) {
+                    replacedTexts.push(id);
+                }
+            });
+            
+            synced.forEach((record, id) => {
+                if (live.has(id)) return;
+                synced.delete(id);
+                changes.push({ kind: kind, id: id, action: 'delete' });
+                if (kind === 'cards') {
+                    this.texts.delete(id);
+                }
+            });
+        });
+        
+        if (changes.length > 0) {
+            this.transport.send({ type: 'op', op: 'records', changes: changes });
+        }
+        
+        // Content changed outside the editor (undo, restoring a revision...) replaces the card's text
+        replacedTexts.forEach(cardId => {
+            const state = this.getTextState(cardId);
+            const content = this.cardManager.cards.get(cardId).content;
+            this.synced.cards.get(cardId).content = content;
+            state.local = this.htmlToDelta(content);
+            this.submitText(cardId, state, { reset: content });
+        });
+        
+        // Selection is shared with the rest of the presence
+        const selection = JSON.stringify(Array.from(this.cardManager.selectedCards));
+        if (selection !== this.lastSelection) {
+            this.lastSelection = selection;
+            this.transport.send({ type: 'presence', selection: JSON.parse(selection) });
+        }
+    }
+    
+    // Apply a records operation; our own only confirm what we already did
+    applyRecords(message) {
+        const mine = message.clientId === this.clientId;
+        const changedCardIds = [];
+        let framesChanged = false;
+        
+        message.changes.forEach(change => {
+            const { kind, id } = change;
+            
+            if (mine) {
+                if (change.action === 'update') {
+                    Object.keys(change.fields).forEach(key => {
+                        const pendingKey = `${kind}:${id}:${key}`;
+                        const count = (this.pendingFields.get(pendingKey) || 0) - 1;
+                        if (count > 0) {
+                            this.pendingFields.set(pendingKey, count);
+                        } else {
+                            this.pendingFields.delete(pendingKey);
+                        }
+                    });
+                } else if (change.action === 'create' && kind === 'cards') {
+                    this.acknowledgeCreate(id, message.seq);
+                }
+                return;
+            }
+            
+            const live = this.getRecords(kind).get(id);
+            const synced = this.synced[kind];
+            
+            if (change.action === 'create') {
+                const record = this.copyRecord(change.record);
+                if (kind === 'cards') {
+                    record.content = this.cleanRemoteHtml(record.content);
+                }
+                if (kind === 'connections' &&
+                    (!this.cardManager.cards.has(record.from) || !this.cardManager.cards.has(record.to))) {
+                    return;
+                }
+                
+                this.setRecord(kind, id, record);
+                synced.set(id, this.copyRecord(record));
+                this.updateUndoShadow(kind, id, record);
+                if (kind === 'cards') {
+                    this.texts.delete(id);
+                }
+            } else if (change.action === 'update') {
+                if (!live) return;
+                
+                // Fields we wrote since are ordered after this write, so ours win.
+                // Card text only changes through text operations (see applyText).
+                const fields = {};
+                Object.keys(change.fields).forEach(key => {
+                    if (kind === 'cards' && key === 'content') return;
+                    if (!this.pendingFields.has(`${kind}:${id}:${key}`)) {
+                        fields[key] = change.fields[key];
+                    }
+                });
+                if (Object.keys(fields).length === 0) return;
+                
+                this.setRecord(kind, id, { ...this.copyRecord(live), ...this.copyRecord(fields) });
+                Object.assign(synced.get(id), this.copyRecord(fields));
+                this.updateUndoShadow(kind, id, fields);
+            } else if (change.action === 'delete') {
+                synced.delete(id);
+                if (!live) return;
+                
+                if (kind === 'cards') {
+                    this.removeCard(id);
+                } else {
+                    this.setRecord(kind, id, null);
+                    this.updateUndoShadow(kind, id, null);
+                }
+            }
+            
+            if (kind === 'cards') changedCardIds.push(id);
+            if (kind === 'frames') framesChanged = true;
+        });
+        
+        if (framesChanged) {
+            this.cardManager.frames.forEach(frame => this.cardManager.renderFrame(frame));
+        }
+        if (changedCardIds.length > 0) {
+            this.connectionManager.updateCardConnections(changedCardIds);
+        }
+        if (!mine) {
+            this.save();
+        }
+    }
+    
+    // Remove a card someone else deleted, along with the connections attached to it
+    removeCard(id) {
+        if (window.sidebar && window.sidebar.isOpen && window.sidebar.currentCard && window.sidebar.currentCard.id === id) {
+            window.sidebar.close();
+        }
+        
+        this.cardManager.setCardRecord(id, null);
+        this.updateUndoShadow('cards', id, null);
+        this.texts.delete(id);
+        
+        this.connectionManager.getConnectionsForCard(id).forEach(connection => {
+            this.connectionManager.setConnectionRecord(connection.id, null);
+            this.synced.connections.delete(connection.id);
+            this.updateUndoShadow('connections', connection.id, null);
+        });
+    }
+    
+    setRecord(kind, id, record) {
+        if (kind === 'cards') {
+            this.cardManager.setCardRecord(id, record);
+            
+            // A collaborator may have changed the type or style of the card being edited
+            const sidebar = window.sidebar;
+            if (record && sidebar && sidebar.isOpen && sidebar.currentCard && sidebar.currentCard.id === id) {
+                sidebar.refreshTypeEditor();
+                sidebar.renderStyleFields(sidebar.currentCard);
+            }
+        } else if (kind === 'frames') {
+            this.cardManager.setFrameRecord(id, record);
+        } else {
+            this.connectionManager.setConnectionRecord(id, record);
+        }
+    }
+    
+    getRecords(kind) {
+        return kind === 'connections' ? this.connectionManager.connections : this.cardManager[kind];
+    }
+    
+    // Keep undo's copy of the board in step with remote changes, so undo only reverts our own edits.
+    // fields is the changed part of the record (the whole record for new ones, null for deleted ones).
+    updateUndoShadow(kind, id, fields) {
+        const undoRedoManager = window.undoRedoManager;
+        if (!undoRedoManager || !undoRedoManager.shadow) return;
+        
+        if (!fields) {
+            undoRedoManager.syncShadow(kind, id, null);
+            return;
+        }
+        const previous = undoRedoManager.shadow[kind].get(id);
+        undoRedoManager.syncShadow(kind, id, previous ? { ...previous, ...fields } : this.getRecords(kind).get(id));
+    }
+    
+    // ---- Text ----
+    
+    // Shared text of a card: doc is the text everyone agrees on as of the last applied operation, local is
+    // what this client shows (doc plus our edits in flight). At most one edit per card is in flight; edits made
+    // meanwhile wait in buffer. log keeps recent edits, to bring edits based on older text up to date.
+    getTextState(cardId) {
+        let state = this.texts.get(cardId);
+        if (!state) {
+            const doc = this.htmlToDelta(this.synced.cards.get(cardId).content);
+            state = { doc: doc, local: doc, log: [], inflight: null, buffer: null };
+            this.texts.set(cardId, state);
+        }
+        return state;
+    }
+    
+    attachEditor() {
+        const sidebar = window.sidebar;
+        if (this.editorAttached || !sidebar || !sidebar.editor) return;
+        this.editorAttached = true;
+        
+        sidebar.editor.on('text-change', (delta, oldDelta, source) => {
+            if (source === 'user' && this.status === 'live' && sidebar.currentCard) {
+                this.handleEditorChange(sidebar.currentCard.id);
+            }
+        });
+    }
+    
+    // Share typing in the editor as a delta (the sidebar has already updated the card)
+    handleEditorChange(cardId) {
+        this.flush(cardId);
+        if (!this.synced.cards.has(cardId)) return;
+        
+        const state = this.getTextState(cardId);
+        const contents = window.sidebar.editor.getContents();
+        const delta = state.local.diff(contents);
+        state.local = contents;
+        this.synced.cards.get(cardId).content = this.cardManager.cards.get(cardId).content;
+        
+        if (delta.ops.length > 0) {
+            this.submitText(cardId, state, { delta: delta });
+        }
+    }
+    
+    // Send a text edit ({ delta } or { reset: html }), or buffer it behind the one in flight
+    submitText(cardId, state, change) {
+        if (!state.inflight) {
+            this.sendText(cardId, state, change);
+            return;
+        }
+        
+        if (change.reset !== undefined) {
+            state.buffer = change;
+        } else if (state.buffer && state.buffer.reset !== undefined) {
+            state.buffer = { reset: this.deltaToHtml(state.local) };
+        } else {
+            state.buffer = { delta: state.buffer ? state.buffer.delta.compose(change.delta) : change.delta };
+        }
+    }
+    
+    sendText(cardId, state, change) {
+        state.inflight = change;
+        
+        const message = { type: 'op', op: 'text', cardId: cardId, base: this.seq };
+        if (change.reset !== undefined) {
+            message.reset = this.shareableHtml(change.reset);
+        } else {
+            message.delta = this.shareableOps(change.delta.ops);
+        }
+        this.transport.send(message);
+    }
+    
+    // Everyone has our new card, so its text can be edited
+    acknowledgeCreate(cardId, seq) {
+        const state = this.texts.get(cardId);
+        if (!state || !state.inflight || !state.inflight.create) return;
+        
+        state.inflight = null;
+        state.log = [{ seq: seq, reset: true }];
+        this.sendBuffered(cardId, state);
+    }
+    
+    sendBuffered(cardId, state) {
+        if (state.buffer) {
+            const change = state.buffer;
+            state.buffer = null;
+            this.sendText(cardId, state, change);
+        }
+    }
+    
+    applyText(message) {
+        const cardId = message.cardId;
+        if (!this.synced.cards.has(cardId)) return;
+        
+        const state = this.getTextState(cardId);
+        const mine = message.clientId === this.clientId;
+        const isReset = message.reset !== undefined;
+        
+        // Bring the edit up to date with the text edits ordered between its base and itself. Every client
+        // does the same here, so all agree. A replacement in between, or a base too old to know, drops it.
+        let delta = null;
+        if (!isReset && message.seq - message.base <= this.TEXT_LOG_WINDOW) {
+            delta = new this.Delta(message.delta);
+            for (const entry of state.log) {
+                if (entry.seq <= message.base) continue;
+                if (entry.reset) {
+                    delta = null;
+                    break;
+                }
+                delta = entry.delta.transform(delta, true);
+            }
+        }
+        
+        if (isReset) {
+            state.doc = this.htmlToDelta(message.reset);
+            state.log.push({ seq: message.seq, reset: true });
+        } else if (delta) {
+            state.doc = state.doc.compose(delta);
+            state.log.push({ seq: message.seq, delta: delta });
+        }
+        while (state.log.length > 0 && state.log[0].seq <= message.seq - this.TEXT_LOG_WINDOW) {
+            state.log.shift();
+        }
+        
+        if (mine) {
+            // Our edit was dropped without anyone replacing the text, so share what we see instead
+            if (!isReset && !delta && state.inflight && !state.inflight.superseded) {
+                state.buffer = { reset: this.deltaToHtml(state.local) };
+            }
+            state.inflight = null;
+            this.sendBuffered(cardId, state);
+            return;
+        }
+        
+        const inflight = state.inflight && !state.inflight.superseded ? state.inflight : null;
+        const replacing = (inflight && inflight.reset !== undefined) || (state.buffer && state.buffer.reset !== undefined);
+        
+        if (isReset) {
+            // A replacement of ours comes later and wins; otherwise our pending edits are lost with the old text
+            if (replacing) {
+                if (inflight && inflight.reset === undefined) inflight.superseded = true;
+                return;
+            }
+            if (inflight) inflight.superseded = true;
+            state.buffer = null;
+            state.local = state.doc;
+            this.showText(cardId, state, null);
+            return;
+        }
+        if (!delta || replacing) return;
+        
+        // Fit the edit around ours: it goes after the edit in flight, then after the buffered one
+        let change = delta;
+        if (inflight && inflight.delta) {
+            const transformed = inflight.delta.transform(change, false);
+            inflight.delta = change.transform(inflight.delta, true);
+            change = transformed;
+        }
+        if (state.buffer && state.buffer.delta) {
+            const transformed = state.buffer.delta.transform(change, false);
+            state.buffer.delta = change.transform(state.buffer.delta, true);
+            change = transformed;
+        }
+        
+        state.local = state.local.compose(change);
+        this.showText(cardId, state, change);
+    }
+    
+    // Show a card's new local text; change is the delta from what was shown before (null to replace it all)
+    showText(cardId, state, change) {
+        const sidebar = window.sidebar;
+        const editing = sidebar && sidebar.isOpen && sidebar.editor && sidebar.currentCard && sidebar.currentCard.id === cardId;
+        let content;
+        
+        if (editing) {
+            // Our typing so far becomes its own undo step, before the remote edit
+            sidebar.flushContentChanges();
+            
+            const editor = sidebar.editor;
+            const range = editor.getSelection();
+            if (change) {
+                editor.updateContents(change, 'silent');
+            } else {
+                editor.setContents(state.local, 'silent');
+            }
+            if (range && change) {
+                const start = change.transformPosition(range.index);
+                const end = change.transformPosition(range.index + range.length);
+                editor.setSelection(start, end - start, 'silent');
+            }
+            content = editor.root.innerHTML;
+            sidebar.lastSavedContent = content;
+        } else {
+            content = this.deltaToHtml(state.local);
+        }
+        
+        const cardData = this.cardManager.cards.get(cardId);
+        this.cardManager.setCardRecord(cardId, { ...cardData, content: content });
+        this.synced.cards.get(cardId).content = content;
+        this.updateUndoShadow('cards', cardId, { content: content });
+        if (editing) {
+            sidebar.refreshTypeEditor();
+        }
+        this.connectionManager.updateCardConnections([cardId]);
+        this.save();
+    }
+    
+    getScratch() {
+        if (!this.scratch) {
+            const container = document.createElement('div');
+            container.style.display = 'none';
+            document.body.appendChild(container);
+            this.scratch = new Quill(container);
+        }
+        return this.scratch;
+    }
+    
+    // Card HTML as a delta, normalized the way the editor would load it.
+    // The scratch editor is in the page, so the HTML is cleaned before it goes in.
+    htmlToDelta(html) {
+        const scratch = this.getScratch();
+        scratch.root.innerHTML = this.sanitizeHtml(html);
+        scratch.update('silent');
+        return scratch.getContents();
+    }
+    
+    deltaToHtml(delta) {
+        const scratch = this.getScratch();
+        scratch.setContents(delta, 'silent');
+        return scratch.root.innerHTML;
+    }
+    
+    // Card HTML from the room, where anyone who knows its name can write: cleaned, then rewritten by the
+    // editor (whose links and images also drop URLs other than http, https, mailto, tel and data)
+    cleanRemoteHtml(html) {
+        return this.deltaToHtml(this.htmlToDelta(html));
+    }
+    
+    // Strip HTML down to the tags and attributes in ALLOWED_TAGS and ALLOWED_ATTRIBUTES, with safe URLs
+    sanitizeHtml(html) {
+        const body = this.parser.parseFromString(typeof html === 'string' ? html : '', 'text/html').body;
+        
+        const clean = (parent) => {
+            Array.from(parent.children).forEach(element => {
+                const tag = element.tagName.toUpperCase();
+                if (this.DROPPED_TAGS.has(tag)) {
+                    element.remove();
+                    return;
+                }
+                
+                clean(element);
+                if (!this.ALLOWED_TAGS.has(tag)) {
+                    element.replaceWith(...element.childNodes);
+                    return;
+                }
+                
+                Array.from(element.attributes).forEach(attribute => {
+                    const name = attribute.name.toLowerCase();
+                    const keep = this.ALLOWED_ATTRIBUTES.has(name) &&
+                        (name !== 'href' && name !== 'src' || this.isSafeUrl(attribute.value, tag)) &&
+                        (name !== 'style' || /^\s*((background-)?color\s*:\s*[#\w\s(),.%-]+;?\s*)*$/i.test(attribute.value));
+                    if (!keep) {
+                        element.removeAttribute(attribute.name);
+                    }
+                });
+                
+                // A video without a (safe) address is nothing
+                if (tag === 'IFRAME' && !element.hasAttribute('src')) {
+                    element.remove();
+                }
+            });
+        };
+        clean(body);
+        
+        return body.innerHTML;
+    }
+    
+    // Relative URLs and http, https, mailto and tel ones; images may also be data:image and object (blob:) URLs
+    isSafeUrl(url, tag) {
+        // Browsers ignore control characters and spaces in a scheme ('java\tscript:')
+        const compact = url.replace(/[\u0000-\u0020]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+        if (!scheme) return true;
+        
+        const name = scheme[1].toLowerCase();
+        return ['http', 'https', 'mailto', 'tel'].includes(name) || (tag === 'IMG' && (/^data:image\//i.test(compact) || name === 'blob'));
+    }
+    
+    shareableHtml(html) {
+        if (this.imageDataUrls.size === 0 || typeof html !== 'string') return html;
+        return html.replace(/blob:[^"'\s)]+/g, url => this.imageDataUrls.get(url) || url);
+    }
+    
+    shareableOps(ops) {
+        if (this.imageDataUrls.size === 0) return ops;
+        return ops.map(op => op.insert && op.insert.image && this.imageDataUrls.has(op.insert.image) ?
+            { ...op, insert: { ...op.insert, image: this.imageDataUrls.get(op.insert.image) } } : op);
+    }
+    
+    // ---- Presence ----
+    
+    scheduleCursor() {
+        if (this.cursorTimer) return;
+        this.cursorTimer = setTimeout(() => {
+            this.cursorTimer = null;
+            if (this.status === 'live') {
+                this.transport.send({ type: 'presence', cursor: this.cursor });
+            }
+        }, this.PRESENCE_INTERVAL);
+    }
+    
+    // Everything others see of us (sent in full when joining and when someone new arrives)
+    sendPresence() {
+        if (this.status !== 'live') return;
+        this.transport.send({
+            type: 'presence',
+            cursor: this.cursor,
+            selection: Array.from(this.cardManager.selectedCards)
+        });
+    }
+    
+    // ---- Helpers ----
+    
+    captureRecords() {
+        const capture = (records) => new Map(Array.from(records, ([id, record]) => [id, this.copyRecord(record)]));
+        return {
+            cards: capture(this.cardManager.cards),
+            frames: capture(this.cardManager.frames),
+            connections: capture(this.connectionManager.connections)
+        };
+    }
+    
+    copyRecord(record) {
+        return JSON.parse(JSON.stringify(record));
+    }
+    
+    copyValue(value) {
+        return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+    
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+    
+    save() {
+        if (window.storage) {
+            window.storage.saveCards(this.cardManager.getAllCards());
+        }
+    }
+    
+    notify(message, type) {
+        if (window.app) {
+            window.app.showNotification(message, type);
+        }
+    }
+    
+    renderStatus() {
+        if (!this.shareBtn) return;
+        
+        const labels = {
+            offline: 'Share',
+            connecting: 'Connecting…',
+            joining: 'Joining…',
+            live: `Live · ${this.peers.size + 1}`
+        };
+        this.shareBtn.textContent = labels[this.status];
+        this.shareBtn.classList.toggle('board-btn-live', this.status === 'live');
+        this.shareBtn.title = this.status === 'offline' ?
+            'Collaborate live through a relay' :
+            `Room "${this.room}" - click to leave`;
+    }
+}
@@ -0,0 +1,326 @@
+// Cross-tab sync - keeps tabs that show the same board in step. Each save is announced to the other tabs,
+// which merge it with their own unsaved edits against the saved version both started from (matched by its
+// timestamp), so neither tab's work is overwritten. Edits to the same field in both go to the most recent one.
+class TabSync {
+    constructor(storage, cardManager, connectionManager) {
+        this.storage = storage;
+        this.cardManager = cardManager;
+        this.connectionManager = connectionManager;
+        this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        
+        // Saved versions of the open board this tab has seen (timestamp -> records), oldest first
+        this.versions = new Map();
+        this.MAX_VERSIONS = 5;
+        
+        // Version the open board was loaded from or last saved as, and when this tab last edited it
+        this.baseTimestamp = 0;
+        this.lastEditAt = 0;
+        
+        this.isApplying = false;
+        this.mergeQueue = Promise.resolve();
+        
+        // BroadcastChannel where available; otherwise messages go through a localStorage key's storage events
+        this.CHANNEL_NAME = 'infinite_canvas';
+        this.SIGNAL_KEY = 'infinite_canvas_signal';
+        this.channel = null;
+        
+        this.init();
+    }
+    
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+        
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.SIGNAL_KEY && !this.channel && event.newValue) {
+                this.handleMessage(JSON.parse(event.newValue));
+            } else if (event.key === this.storage.BOARDS_KEY && event.newValue) {
+                this.handleBoardListChange(JSON.parse(event.newValue));
+            }
+        });
+    }
+    
+    // Start from a freshly loaded board (null if it had never been saved)
+    setBase(savedData) {
+        this.versions.clear();
+        this.baseTimestamp = savedData ? savedData.timestamp || 0 : 0;
+        this.addVersion(this.baseTimestamp, this.getSavedRecords(savedData));
+    }
+    
+    // Remember that this tab changed the board (called for every auto-save)
+    noteLocalChange() {
+        if (!this.isApplying) {
+            this.lastEditAt = Date.now();
+        }
+    }
+    
+    // This tab saved the open board: it becomes the new base, and the other tabs hear of it
+    recordSave(boardId, savedData) {
+        if (boardId !== this.storage.activeBoardId) return;
+        
+        const records = this.getSavedRecords(savedData);
+        const previous = this.versions.get(savedData.baseTimestamp);
+        this.addVersion(savedData.timestamp, records);
+        if (savedData.timestamp > this.baseTimestamp) {
+            this.baseTimestamp = savedData.timestamp;
+        }
+        
+        this.post({
+            type: 'saved',
+            tabId: this.tabId,
+            boardId: boardId,
+            timestamp: savedData.timestamp,
+            baseTimestamp: savedData.baseTimestamp,
+            changed: !previous || !this.sameRecords(previous, records)
+        });
+    }
+    
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        
+        try {
+            localStorage.setItem(this.SIGNAL_KEY, JSON.stringify(message));
+        } catch (error) {
+            console.error('Failed to notify other tabs:', error);
+        }
+    }
+    
+    handleMessage(message) {
+        if (!message || message.type !== 'saved' || message.tabId === this.tabId) return;
+        if (message.boardId !== this.storage.activeBoardId || message.timestamp <= this.baseTimestamp) return;
+        
+        // Only the view was saved: same cards under a new version
+        if (!message.changed && message.baseTimestamp === this.baseTimestamp) {
+            this.addVersion(message.timestamp, this.versions.get(message.baseTimestamp));
+            this.baseTimestamp = message.timestamp;
+            return;
+        }
+        
+        // Reads are async, so merges run one at a time
+        this.mergeQueue = this.mergeQueue
+            .then(() => this.mergeSavedBoard())
+            .catch(error => console.error('Failed to merge changes from another tab:', error));
+    }
+    
+    // Merge the board as saved by another tab into this one
+    async mergeSavedBoard() {
+        const boardId = this.storage.activeBoardId;
+        const savedData = await this.storage.readBoardData(boardId);
+        if (!savedData || boardId !== this.storage.activeBoardId || (savedData.timestamp || 0) <= this.baseTimestamp) return;
+        
+        // Compare against the version the other tab started from; if we never saw it, our own base is the best guess
+        const theirs = this.getSavedRecords(savedData);
+        const base = this.versions.get(savedData.baseTimestamp) || this.versions.get(this.baseTimestamp) ||
+            this.getSavedRecords(null);
+        
+        const result = this.merge(base, theirs, savedData.editedAt || savedData.timestamp);
+        this.addVersion(savedData.timestamp, theirs);
+        this.baseTimestamp = savedData.timestamp;
+        
+        // Save what we kept of our own edits on top of theirs
+        if (result.unsaved) {
+            this.storage.saveCards(this.cardManager.getAllCards());
+        }
+        if (result.conflicts > 0 && window.app) {
+            window.app.showNotification(
+                `${result.conflicts} ${result.conflicts === 1 ? 'item was' : 'items were'} also changed in another tab - kept the most recent edits`,
+                'warning'
+            );
+        }
+    }
+    
+    // Three-way merge of another tab's records into the board: whatever only they changed is applied,
+    // whatever only we changed is kept, and fields both changed go to the most recent edit
+    merge(base, theirs, theirEditTime) {
+        const ourEditIsNewer = this.lastEditAt > theirEditTime;
+        let conflicts = 0;
+        let unsaved = false;
+        const changedCardIds = [];
+        
+        // Typing still waiting in the editor becomes its own undo step, before the other tab's edits
+        if (window.sidebar) {
+            window.sidebar.flushContentChanges();
+        }
+        
+        this.isApplying = true;
+        try {
+            ['cards', 'frames', 'connections'].forEach(kind => {
+                const live = this.getLiveRecords(kind);
+                const ids = new Set([...base[kind].keys(), ...theirs[kind].keys(), ...live.keys()]);
+                
+                ids.forEach(id => {
+                    const baseRecord = base[kind].get(id);
+                    const theirRecord = theirs[kind].get(id);
+                    const ourRecord = live.get(id);
+                    
+                    if (this.recordsEqual(ourRecord, theirRecord)) return;
+                    if (this.recordsEqual(theirRecord, baseRecord)) {
+                        unsaved = true;
+                        return;
+                    }
+                    
+                    let target = theirRecord;
+                    if (!this.recordsEqual(ourRecord, baseRecord)) {
+                        if (ourRecord && theirRecord) {
+                            const merged = this.mergeFields(baseRecord || {}, ourRecord, theirRecord, ourEditIsNewer);
+                            target = merged.record;
+                            if (merged.conflicting) conflicts++;
+                        } else {
+                            // Edited in one tab, deleted in the other
+                            target = ourEditIsNewer ? ourRecord : theirRecord;
+                            conflicts++;
+                        }
+                        if (!this.recordsEqual(target, theirRecord)) {
+                            unsaved = true;
+                        }
+                    }
+                    
+                    if (!this.recordsEqual(target, ourRecord)) {
+                        this.applyRecord(kind, id, target);
+                        if (kind === 'cards') changedCardIds.push(id);
+                    }
+                });
+            });
+        } finally {
+            this.isApplying = false;
+        }
+        
+        this.cardManager.frames.forEach(frame => this.cardManager.renderFrame(frame));
+        this.connectionManager.updateAllConnections();
+        this.refreshSidebar(changedCardIds);
+        
+        return { conflicts, unsaved };
+    }
+    
+    // Merge a record changed in both tabs field by field (returns it and whether any field was changed in both)
+    mergeFields(baseRecord, ourRecord, theirRecord, ourEditIsNewer) {
+        const record = {};
+        let conflicting = false;
+        new Set([...Object.keys(ourRecord), ...Object.keys(theirRecord)]).forEach(key => {
+            const theirsChanged = !this.valuesEqual(theirRecord[key], baseRecord[key]);
+            const oursChanged = !this.valuesEqual(ourRecord[key], baseRecord[key]);
+            if (theirsChanged && oursChanged && !this.valuesEqual(ourRecord[key], theirRecord[key])) {
+                conflicting = true;
+            }
+            
+            const value = theirsChanged && (!oursChanged || !ourEditIsNewer) ? theirRecord[key] : ourRecord[key];
+            if (value !== undefined) {
+                record[key] = value;
+            }
+        });
+        return { record, conflicting };
+    }
+    
+    // Change one record on the board, keeping undo from reverting the other tab's edit
+    applyRecord(kind, id, record) {
+        const copy = record ? JSON.parse(JSON.stringify(record)) : null;
+        
+        if (kind === 'cards') {
+            if (!copy && window.sidebar && window.sidebar.isOpen && window.sidebar.currentCard &&
+                window.sidebar.currentCard.id === id) {
+                window.sidebar.close();
+            }
+            this.cardManager.setCardRecord(id, copy);
+        } else if (kind === 'frames') {
+            this.cardManager.setFrameRecord(id, copy);
+        } else {
+            // Connections need both of their cards
+            if (copy && (!this.cardManager.cards.has(copy.from) || !this.cardManager.cards.has(copy.to))) return;
+            this.connectionManager.setConnectionRecord(id, copy);
+        }
+        
+        const undoRedoManager = window.undoRedoManager;
+        if (undoRedoManager && undoRedoManager.shadow) {
+            undoRedoManager.syncShadow(kind, id, this.getLiveRecords(kind).get(id) || null);
+        }
+    }
+    
+    // Show the other tab's edit in the editor if it changed the card being edited
+    refreshSidebar(changedCardIds) {
+        const sidebar = window.sidebar;
+        if (!sidebar || !sidebar.isOpen || !sidebar.currentCard || !changedCardIds.includes(sidebar.currentCard.id)) return;
+        
+        const content = sidebar.currentCard.content;
+        if (sidebar.editor && sidebar.editor.root.innerHTML !== content) {
+            const range = sidebar.editor.getSelection();
+            sidebar.editor.root.innerHTML = content;
+            sidebar.editor.update('silent');
+            if (range) {
+                sidebar.editor.setSelection(Math.min(range.index, sidebar.editor.getLength() - 1), 0, 'silent');
+            }
+            sidebar.lastSavedContent = content;
+            sidebar.refreshTypeEditor();
+        }
+    }
+    
+    // Another tab changed the board list (created, renamed or deleted boards)
+    handleBoardListChange(index) {
+        if (!Array.isArray(index.boards)) return;
+        
+        const removedActive = !index.boards.some(board => board.id === this.storage.activeBoardId);
+        this.storage.mergeBoardList(index.boards);
+        
+        if (window.boardBar) {
+            window.boardBar.render();
+        }
+        if (removedActive && window.app) {
+            window.app.showNotification('This board was deleted in another tab - it stays here until you delete it too', 'warning');
+        }
+    }
+    
+    addVersion(timestamp, records) {
+        if (!records) return;
+        
+        this.versions.delete(timestamp);
+        this.versions.set(timestamp, records);
+        while (this.versions.size > this.MAX_VERSIONS) {
+            this.versions.delete(this.versions.keys().next().value);
+        }
+    }
+    
+    // Cards, frames and connections of saved board data, keyed by ID (copied, as saved records can be the live ones)
+    getSavedRecords(savedData) {
+        const toMap = (records) => new Map(JSON.parse(JSON.stringify(records || [])).map(record => [record.id, record]));
+        return {
+            cards: toMap(savedData && savedData.cards),
+            frames: toMap(savedData && savedData.frames),
+            connections: toMap(savedData && savedData.connections)
+        };
+    }
+    
+    getLiveRecords(kind) {
+        return kind === 'connections' ? this.connectionManager.connections : this.cardManager[kind];
+    }
+    
+    sameRecords(a, b) {
+        return ['cards', 'frames', 'connections'].every(kind =>
+            a[kind].size === b[kind].size &&
+            Array.from(a[kind]).every(([id, record]) => this.recordsEqual(record, b[kind].get(id)))
+        );
+    }
+    
+    recordsEqual(a, b) {
+        if (!a || !b) return a === b;
+        
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return Array.from(keys).every(key => this.valuesEqual(a[key], b[key]));
+    }
+    
+    // Image URLs differ between tabs for the same stored image, so they are left out of comparisons
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'string' && typeof b === 'string') {
+            const withoutImages = (text) => text.replace(/src="(data:image\/[^"]+|blob:[^"]+)"/g, 'src=""');
+            return withoutImages(a) === withoutImages(b);
+        }
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+}
@@ -0,0 +1,53 @@
+// WebSocket transport - carries collaboration messages to and from the relay (relay/server.js).
+// SyncManager only needs connect/send/close and the three callbacks, so other transports can stand in.
+class WebSocketTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        
+        // Callbacks set by the user of the transport
+        this.onOpen = null;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+    
+    // Open the connection to a room (the relay treats the URL path as the room name)
+    connect(room, name) {
+        const url = new URL(this.url);
+        url.pathname = `/${encodeURIComponent(room)}`;
+        if (name) {
+            url.searchParams.set('name', name);
+        }
+        
+        this.socket = new WebSocket(url.toString());
+        this.socket.addEventListener('open', () => {
+            if (this.onOpen) this.onOpen();
+        });
+        this.socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed relay message:', error);
+                return;
+            }
+            if (this.onMessage) this.onMessage(message);
+        });
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            if (this.onClose) this.onClose();
+        });
+    }
+    
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
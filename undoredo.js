@@ -1,11 +1,22 @@
-// Undo/Redo management - handles state history for cards and content changes
+// Undo/Redo management - records each operation as the changes it made to cards, frames and connections
 class UndoRedoManager {
     constructor() {
         this.history = [];
         this.currentIndex = -1;
-        this.maxHistorySize = 50;
+        this.maxHistorySize = 5000;
+        this.maxHistoryBytes = 8 * 1024 * 1024; // rough size of all recorded changes, oldest steps are dropped first
+        this.historyBytes = 0;
         this.isPerformingUndoRedo = false;
         
+        // Limits for the part of the history saved with the board
+        this.maxPersistedEntries = 200;
+        this.maxPersistedBytes = 512 * 1024;
+        this.version = 0; // bumped on every history change, so exports and the history panel can tell it changed
+        this.exportCache = null;
+        
+        // Copy of the board as of the last recorded operation; new operations are diffed against it
+        this.shadow = null;
+        
         // Debouncing for content changes
         this.contentChangeTimeout = null;
         this.contentChangeDelay = 1000; // ms
@@ -14,40 +25,179 @@ class UndoRedoManager {
         this.pendingDragOperation = null;
     }
     
-    // Save the current state to history
+    // Record everything that changed since the last recorded operation
     saveState(operation, data = {}) {
         // Don't save states during undo/redo operations
         if (this.isPerformingUndoRedo) {
             return;
         }
         
-        // Get current application state
         const currentState = this.captureCurrentState();
+        if (!this.shadow) {
+            this.shadow = currentState;
+        }
+        
+        const changes = this.diffStates(this.shadow, currentState);
+        const isInitial = this.history.length === 0;
+        if (!isInitial && changes.cards.length === 0 && changes.connections.length === 0 && changes.frames.length === 0) {
+            return;
+        }
         
         // Create history entry
         const historyEntry = {
             operation: operation,
             timestamp: Date.now(),
-            state: currentState,
-            data: data
+            data: data,
+            changes: changes,
+            selection: {
+                before: this.shadow.selectedCards,
+                after: currentState.selectedCards,
+                activeBefore: this.shadow.activeCard,
+                activeAfter: currentState.activeCard
+            }
         };
+        historyEntry.size = this.estimateSize(historyEntry);
+        this.recordRevisions(operation, changes, this.shadow, currentState);
+        this.shadow = currentState;
         
         // Remove any future history if we're not at the end
         if (this.currentIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.currentIndex + 1);
+            this.history.splice(this.currentIndex + 1).forEach(entry => {
+                this.historyBytes -= entry.size;
+            });
         }
         
-        // Add new state
+        // Add new entry
         this.history.push(historyEntry);
+        this.historyBytes += historyEntry.size;
         this.currentIndex++;
         
-        // Limit history size
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
+        this.trimHistory();
+        
+        this.markChanged();
+        console.log(`Saved ${operation} (${this.history.length} total)`);
+    }
+    
+    // Add content edits to the cards' revision logs, which outlive trimmed history
+    recordRevisions(operation, changes, before, after) {
+        if (!window.revisionLog) return;
+        
+        changes.cards.forEach(change => {
+            if (change.type === 'update' && change.fields.content) {
+                window.revisionLog.record(
+                    change.id,
+                    before.cards.get(change.id).content,
+                    after.cards.get(change.id).content,
+                    operation
+                );
+            }
+        });
+    }
+    
+    // Limit history length and memory. Normally the oldest remaining entry becomes the new starting point;
+    // once that is a pinned checkpoint, the oldest unpinned steps are folded into the step after them instead.
+    trimHistory() {
+        while (this.history.length > 1 &&
+            (this.history.length > this.maxHistorySize || this.historyBytes > this.maxHistoryBytes)) {
+            if (!this.history[0].checkpoint) {
+                this.historyBytes -= this.history.shift().size;
+                this.currentIndex--;
+                continue;
+            }
+            
+            // A step can be folded away unless it is pinned or is the current state
+            let index = 1;
+            while (index < this.history.length - 1 && (this.history[index].checkpoint || index === this.currentIndex)) {
+                index++;
+            }
+            if (index >= this.history.length - 1) break;
+            
+            this.mergeEntries(index);
+        }
+    }
+    
+    // Replace two neighbouring entries with one that makes both of their changes
+    mergeEntries(index) {
+        const first = this.history[index];
+        const second = this.history[index + 1];
+        
+        const after = this.getStateAt(index + 1);
+        const before = {
+            cards: new Map(after.cards),
+            connections: new Map(after.connections),
+            frames: new Map(after.frames)
+        };
+        this.stepState(before, second, true);
+        this.stepState(before, first, true);
+        
+        const merged = {
+            operation: second.operation,
+            timestamp: second.timestamp,
+            data: second.data,
+            changes: this.diffStates(before, after),
+            selection: {
+                before: first.selection.before,
+                after: second.selection.after,
+                activeBefore: first.selection.activeBefore,
+                activeAfter: second.selection.activeAfter
+            },
+            steps: (first.steps || 1) + (second.steps || 1)
+        };
+        if (second.checkpoint) {
+            merged.checkpoint = second.checkpoint;
+        }
+        merged.size = this.estimateSize(merged);
+        
+        this.historyBytes += merged.size - first.size - second.size;
+        this.history.splice(index, 2, merged);
+        if (this.currentIndex > index) {
             this.currentIndex--;
         }
+    }
+    
+    // Apply (or revert) one entry's changes to a state's record maps, without touching the board
+    stepState(state, entry, reverse) {
+        entry.changes.cards.forEach(change => {
+            if (change.type === 'update') {
+                const record = state.cards.get(change.id);
+                if (record) {
+                    state.cards.set(change.id, this.applyFieldChanges(record, change.fields, reverse));
+                }
+            } else if ((change.type === 'create') === reverse) {
+                state.cards.delete(change.id);
+            } else {
+                state.cards.set(change.id, change.card);
+            }
+        });
         
-        console.log(`Saved ${operation} state (${this.history.length} total)`);
+        ['connections', 'frames'].forEach(kind => {
+            entry.changes[kind].forEach(change => {
+                const target = reverse ? change.before : change.after;
+                if (target) {
+                    state[kind].set(change.id, target);
+                } else {
+                    state[kind].delete(change.id);
+                }
+            });
+        });
+    }
+    
+    // The cards, frames and connections as they were right after a history entry (records are shared, don't edit them)
+    getStateAt(index) {
+        const state = {
+            cards: new Map(this.shadow.cards),
+            connections: new Map(this.shadow.connections),
+            frames: new Map(this.shadow.frames)
+        };
+        
+        for (let i = this.currentIndex; i > index; i--) {
+            this.stepState(state, this.history[i], true);
+        }
+        for (let i = this.currentIndex + 1; i <= index; i++) {
+            this.stepState(state, this.history[i], false);
+        }
+        
+        return state;
     }
     
     // Save state specifically for drag operations (with batching)
@@ -106,104 +256,293 @@ class UndoRedoManager {
             clearTimeout(this.contentChangeTimeout);
         }
         
-        // Debounce content changes
+        // Debounce content changes; the content itself is recorded as a delta by saveState
         this.contentChangeTimeout = setTimeout(() => {
-            // Only save if content actually changed
             if (oldContent !== newContent) {
-                this.saveState('content_change', {
-                    cardId: cardId,
-                    oldContent: oldContent,
-                    newContent: newContent
-                });
+                this.saveState('content_change', { cardId: cardId });
             }
             this.contentChangeTimeout = null;
         }, this.contentChangeDelay);
     }
     
-    // Capture the current state of all cards
+    // Copy a record so later edits to the live object don't leak into history
+    copyRecord(record) {
+        const copy = {};
+        Object.keys(record).forEach(key => {
+            const value = record[key];
+            copy[key] = Array.isArray(value) ? [...value] :
+                (value && typeof value === 'object') ? { ...value } : value;
+        });
+        return copy;
+    }
+    
+    // Capture the current state of all cards, frames and connections (keyed by ID)
     captureCurrentState() {
-        const cards = {};
+        const cards = new Map();
+        const connections = new Map();
+        const frames = new Map();
+        
         if (window.cardManager) {
             window.cardManager.cards.forEach((cardData, cardId) => {
-                cards[cardId] = {
-                    id: cardData.id,
-                    x: cardData.x,
-                    y: cardData.y,
-                    width: cardData.width,
-                    height: cardData.height,
-                    content: cardData.content
-                };
+                cards.set(cardId, this.copyRecord(cardData));
+            });
+            window.cardManager.frames.forEach((frameData, frameId) => {
+                frames.set(frameId, this.copyRecord(frameData));
+            });
+        }
+        
+        if (window.connectionManager) {
+            window.connectionManager.connections.forEach((connection, connectionId) => {
+                connections.set(connectionId, this.copyRecord(connection));
             });
         }
         
         return {
             cards: cards,
+            connections: connections,
+            frames: frames,
             selectedCards: window.cardManager ? Array.from(window.cardManager.selectedCards) : [],
             activeCard: window.cardManager ? window.cardManager.activeCard : null
         };
     }
     
-    // Apply a state to the application
-    applyState(state) {
-        this.isPerformingUndoRedo = true;
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+    
+    // Changes between two captured states: created and deleted records in full, edited cards field by field
+    diffStates(before, after) {
+        const changes = { cards: [], connections: [], frames: [] };
         
-        try {
-            if (!window.cardManager || !state) {
+        after.cards.forEach((card, id) => {
+            const previous = before.cards.get(id);
+            if (!previous) {
+                changes.cards.push({ id: id, type: 'create', card: card });
                 return;
             }
             
-            // Clear current cards
-            window.cardManager.cards.clear();
-            window.cardManager.selectedCards.clear();
-            window.cardManager.world.world.querySelectorAll('.card').forEach(card => card.remove());
-            
-            // Recreate cards from state
-            Object.values(state.cards).forEach(cardData => {
-                window.cardManager.createCard(cardData);
+            const fields = {};
+            new Set([...Object.keys(previous), ...Object.keys(card)]).forEach(key => {
+                if (this.valuesEqual(previous[key], card[key])) return;
+                
+                // Content is usually edited a little at a time, so only the changed span is kept
+                fields[key] = key === 'content' && typeof previous[key] === 'string' && typeof card[key] === 'string' ?
+                    { delta: this.textDelta(previous[key], card[key]) } :
+                    { from: previous[key], to: card[key] };
             });
             
-            // Restore selection state
-            window.cardManager.selectedCards.clear();
-            if (state.selectedCards) {
-                state.selectedCards.forEach(cardId => {
-                    window.cardManager.selectedCards.add(cardId);
-                    const element = window.cardManager.world.world.querySelector(`[data-card-id="${cardId}"]`);
-                    if (element) {
-                        element.classList.add('selected');
-                    }
-                });
+            if (Object.keys(fields).length > 0) {
+                changes.cards.push({ id: id, type: 'update', fields: fields });
             }
-            
-            // Restore active card
-            if (state.activeCard && window.cardManager.cards.has(state.activeCard)) {
-                window.cardManager.activeCard = state.activeCard;
-                const element = window.cardManager.world.world.querySelector(`[data-card-id="${state.activeCard}"]`);
-                if (element) {
-                    element.classList.add('active', 'selected');
+        });
+        before.cards.forEach((card, id) => {
+            if (!after.cards.has(id)) {
+                changes.cards.push({ id: id, type: 'delete', card: card });
+            }
+        });
+        
+        // Frames and connections are small, so changed ones are kept whole
+        ['connections', 'frames'].forEach(kind => {
+            after[kind].forEach((record, id) => {
+                const previous = before[kind].get(id);
+                if (!previous || !this.valuesEqual(previous, record)) {
+                    changes[kind].push({ id: id, before: previous || null, after: record });
                 }
-                
-                // Update sidebar if open
-                if (window.sidebar && window.sidebar.isOpen) {
-                    const cardData = window.cardManager.cards.get(state.activeCard);
-                    window.sidebar.populateForm(cardData);
+            });
+            before[kind].forEach((record, id) => {
+                if (!after[kind].has(id)) {
+                    changes[kind].push({ id: id, before: record, after: null });
                 }
-            } else {
-                window.cardManager.activeCard = null;
-                if (window.sidebar) {
-                    window.sidebar.close();
+            });
+        });
+        
+        return changes;
+    }
+    
+    // The single changed span between two strings
+    textDelta(oldText, newText) {
+        let start = 0;
+        const maxStart = Math.min(oldText.length, newText.length);
+        while (start < maxStart && oldText[start] === newText[start]) {
+            start++;
+        }
+        
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+        
+        return {
+            start: start,
+            removed: oldText.slice(start, oldEnd),
+            inserted: newText.slice(start, newEnd)
+        };
+    }
+    
+    // Apply (or revert) a changed span. If someone else has since edited the text (while collaborating),
+    // the span is looked up at its nearest position, and left alone if it is gone.
+    applyTextDelta(text, delta, reverse) {
+        const removed = reverse ? delta.inserted : delta.removed;
+        const inserted = reverse ? delta.removed : delta.inserted;
+        
+        let start = Math.min(delta.start, text.length);
+        if (text.substr(start, removed.length) !== removed) {
+            const before = text.lastIndexOf(removed, start);
+            const after = text.indexOf(removed, start);
+            if (before === -1 && after === -1) return text;
+            start = before === -1 ? after : after === -1 ? before :
+                (start - before <= after - start ? before : after);
+        }
+        
+        return text.slice(0, start) + inserted + text.slice(start + removed.length);
+    }
+    
+    // Approximate memory held by a history entry (characters of its recorded changes)
+    estimateSize(entry) {
+        try {
+            return JSON.stringify(entry.changes).length + JSON.stringify(entry.data || {}).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    // Apply (or revert) one history entry, touching only the cards, frames and connections it changed
+    applyEntry(entry, reverse) {
+        this.isPerformingUndoRedo = true;
+        
+        try {
+            const cardManager = window.cardManager;
+            const connectionManager = window.connectionManager;
+            if (!cardManager) return;
+            
+            const changedCardIds = [];
+            
+            entry.changes.cards.forEach(change => {
+                let target;
+                if (change.type === 'update') {
+                    const cardData = cardManager.cards.get(change.id);
+                    if (!cardData) return;
+                    target = this.applyFieldChanges(cardData, change.fields, reverse);
+                } else {
+                    const removes = (change.type === 'create') === reverse;
+                    target = removes ? null : this.copyRecord(change.card);
                 }
+                
+                cardManager.setCardRecord(change.id, target);
+                changedCardIds.push(change.id);
+                this.syncShadow('cards', change.id, cardManager.cards.get(change.id));
+            });
+            
+            entry.changes.frames.forEach(change => {
+                const target = reverse ? change.before : change.after;
+                cardManager.setFrameRecord(change.id, target ? this.copyRecord(target) : null);
+                this.syncShadow('frames', change.id, cardManager.frames.get(change.id));
+            });
+            if (entry.changes.frames.length > 0) {
+                cardManager.frames.forEach(frame => cardManager.renderFrame(frame));
+            }
+            
+            if (connectionManager) {
+                entry.changes.connections.forEach(change => {
+                    const target = reverse ? change.before : change.after;
+                    connectionManager.setConnectionRecord(change.id, target ? this.copyRecord(target) : null);
+                    this.syncShadow('connections', change.id, connectionManager.connections.get(change.id));
+                });
+                
+                // Re-route connections attached to cards that moved or resized
+                connectionManager.updateCardConnections(changedCardIds);
             }
             
+            this.restoreSelection(
+                reverse ? entry.selection.before : entry.selection.after,
+                reverse ? entry.selection.activeBefore : entry.selection.activeAfter
+            );
+            this.shadow.selectedCards = Array.from(cardManager.selectedCards);
+            this.shadow.activeCard = cardManager.activeCard;
+            
             // Save the restored state
             if (window.storage) {
-                window.storage.saveCards(Array.from(window.cardManager.cards.values()));
+                window.storage.saveCards(Array.from(cardManager.cards.values()));
             }
-            
+        
         } finally {
             this.isPerformingUndoRedo = false;
         }
     }
     
+    // A card's record with one entry's field changes applied (or reverted)
+    applyFieldChanges(cardData, fields, reverse) {
+        const record = this.copyRecord(cardData);
+        
+        Object.keys(fields).forEach(key => {
+            const field = fields[key];
+            const value = field.delta ?
+                this.applyTextDelta(record[key], field.delta, reverse) :
+                (reverse ? field.from : field.to);
+            
+            if (value === undefined) {
+                delete record[key];
+            } else {
+                record[key] = value;
+            }
+        });
+        
+        return this.copyRecord(record);
+    }
+    
+    // Keep the shadow copy in step with a record that undo/redo just changed
+    syncShadow(kind, id, record) {
+        if (record) {
+            this.shadow[kind].set(id, this.copyRecord(record));
+        } else {
+            this.shadow[kind].delete(id);
+        }
+    }
+    
+    restoreSelection(selectedCards, activeCard) {
+        const cardManager = window.cardManager;
+        
+        cardManager.world.world.querySelectorAll('.card.selected, .card.active').forEach(element => {
+            element.classList.remove('selected', 'active');
+        });
+        
+        cardManager.selectedCards.clear();
+        (selectedCards || []).forEach(cardId => {
+            if (!cardManager.cards.has(cardId)) return;
+            cardManager.selectedCards.add(cardId);
+            const element = cardManager.world.world.querySelector(`[data-card-id="${cardId}"]`);
+            if (element) {
+                element.classList.add('selected');
+            }
+        });
+        
+        // Restore active card
+        if (activeCard && cardManager.cards.has(activeCard)) {
+            cardManager.activeCard = activeCard;
+            cardManager.selectedCards.add(activeCard);
+            const element = cardManager.world.world.querySelector(`[data-card-id="${activeCard}"]`);
+            if (element) {
+                element.classList.add('active', 'selected');
+            }
+            
+            // Update sidebar if open
+            if (window.sidebar && window.sidebar.isOpen) {
+                window.sidebar.populateForm(cardManager.cards.get(activeCard));
+            }
+        } else {
+            cardManager.activeCard = null;
+            if (window.sidebar) {
+                window.sidebar.close();
+            }
+        }
+    }
+    
     // Perform undo operation
     undo() {
         if (!this.canUndo()) {
@@ -211,11 +550,11 @@ class UndoRedoManager {
             return false;
         }
         
+        const entry = this.history[this.currentIndex];
+        console.log(`Undoing: ${entry.operation}`);
+        this.applyEntry(entry, true);
         this.currentIndex--;
-        const stateToRestore = this.history[this.currentIndex];
-        
-        console.log(`Undoing: ${stateToRestore.operation}`);
-        this.applyState(stateToRestore.state);
+        this.markChanged();
         
         return true;
     }
@@ -228,14 +567,59 @@ class UndoRedoManager {
         }
         
         this.currentIndex++;
-        const stateToRestore = this.history[this.currentIndex];
+        const entry = this.history[this.currentIndex];
+        console.log(`Redoing: ${entry.operation}`);
+        this.applyEntry(entry, false);
+        this.markChanged();
         
-        console.log(`Redoing: ${stateToRestore.operation}`);
-        this.applyState(stateToRestore.state);
+        return true;
+    }
+    
+    // Undo or redo until the board is as it was right after the given entry
+    jumpTo(index) {
+        if (index < 0 || index >= this.history.length) return false;
         
+        while (this.currentIndex > index) {
+            if (!this.undo()) break;
+        }
+        while (this.currentIndex < index) {
+            if (!this.redo()) break;
+        }
+        
+        return this.currentIndex === index;
+    }
+    
+    // Name an entry as a checkpoint (or unpin it with an empty name); checkpoints survive history trimming
+    setCheckpoint(index, name) {
+        const entry = this.history[index];
+        if (!entry) return false;
+        
+        if (name) {
+            entry.checkpoint = name;
+        } else {
+            delete entry.checkpoint;
+        }
+        this.markChanged();
+        
+        // Save so the checkpoint is kept with the board's history
+        if (window.storage && window.cardManager) {
+            window.storage.saveCards(Array.from(window.cardManager.cards.values()));
+        }
         return true;
     }
     
+    // IDs of the cards an entry created, deleted or changed
+    getAffectedCardIds(entry) {
+        return entry.changes.cards.map(change => change.id);
+    }
+    
+    markChanged() {
+        this.version++;
+        if (window.historyPanel) {
+            window.historyPanel.requestRender();
+        }
+    }
+    
     // Check if undo is available
     canUndo() {
         return this.currentIndex > 0;
@@ -262,6 +646,9 @@ class UndoRedoManager {
     clearHistory() {
         this.history = [];
         this.currentIndex = -1;
+        this.historyBytes = 0;
+        this.shadow = null;
+        this.markChanged();
         this.pendingDragOperation = null;
         if (this.contentChangeTimeout) {
             clearTimeout(this.contentChangeTimeout);
@@ -272,10 +659,155 @@ class UndoRedoManager {
     
     // Initialize with current state
     initialize() {
-        // Save initial state
+        // Start diffing from the current board
+        this.shadow = null;
         this.saveState('initial_state');
     }
     
+    // Record any edits made since the last operation right away (e.g. text still waiting on its debounce)
+    flushPendingChanges() {
+        if (this.contentChangeTimeout) {
+            clearTimeout(this.contentChangeTimeout);
+            this.contentChangeTimeout = null;
+        }
+        if (this.shadow) {
+            this.saveState('content_change');
+        }
+    }
+    
+    // Fingerprint of a captured board, used to check that a saved history still belongs to it.
+    // Image URLs are left out because they change between sessions when images live in IndexedDB.
+    fingerprint(state) {
+        const parts = [];
+        ['cards', 'frames', 'connections'].forEach(kind => {
+            Array.from(state[kind].keys()).sort((a, b) => a - b).forEach(id => {
+                const record = state[kind].get(id);
+                const fields = Object.keys(record).sort().map(key => {
+                    let value = record[key];
+                    if (typeof value === 'string') {
+                        value = value.replace(/src="(data|blob):[^"]*"/g, 'src=""');
+                    }
+                    return `${key}=${JSON.stringify(value)}`;
+                });
+                parts.push(`${kind}:${fields.join(',')}`);
+            });
+        });
+        
+        const text = parts.join('|');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return `${(hash >>> 0).toString(36)}-${text.length.toString(36)}`;
+    }
+    
+    // A bounded copy of the history to save with the board. Content deltas are stored as full before/after
+    // text, so they still apply after image URLs in the content change on reload.
+    exportHistory() {
+        if (!this.shadow || this.history.length === 0) return null;
+        if (this.exportCache && this.exportCache.version === this.version) {
+            return this.exportCache.value;
+        }
+        
+        let start = Math.min(Math.max(0, this.history.length - this.maxPersistedEntries), this.currentIndex);
+        const entries = this.materializeContent(start);
+        
+        // Drop the oldest steps until the saved history fits its budget
+        const sizes = entries.map(entry => JSON.stringify(entry).length);
+        let bytes = sizes.reduce((sum, size) => sum + size, 0);
+        while (bytes > this.maxPersistedBytes && start < this.currentIndex) {
+            bytes -= sizes[0];
+            sizes.shift();
+            entries.shift();
+            start++;
+        }
+        
+        // The first entry is only the starting point and is never undone, so its changes aren't needed
+        entries[0] = { ...entries[0], changes: { cards: [], connections: [], frames: [] } };
+        
+        const value = {
+            entries: entries,
+            currentIndex: this.currentIndex - start,
+            fingerprint: this.fingerprint(this.shadow)
+        };
+        this.exportCache = { version: this.version, value: value };
+        return value;
+    }
+    
+    // Copies of history entries from start on, with content deltas turned into full before/after text
+    materializeContent(start) {
+        const entries = this.history.slice(start).map(entry => {
+            const { size, ...copy } = entry;
+            return { ...copy, changes: { ...copy.changes, cards: copy.changes.cards.map(change => ({ ...change })) } };
+        });
+        const headIndex = this.currentIndex - start;
+        
+        const contentAt = new Map();
+        const resetContent = () => {
+            contentAt.clear();
+            this.shadow.cards.forEach((card, id) => contentAt.set(id, card.content));
+        };
+        const materialize = (change, reverse) => {
+            if (change.type === 'create') {
+                if (reverse) contentAt.delete(change.id); else contentAt.set(change.id, change.card.content);
+            } else if (change.type === 'delete') {
+                if (reverse) contentAt.set(change.id, change.card.content); else contentAt.delete(change.id);
+            } else if (change.fields.content) {
+                const field = change.fields.content;
+                const current = contentAt.get(change.id);
+                const other = field.delta ? this.applyTextDelta(current, field.delta, reverse) : (reverse ? field.from : field.to);
+                change.fields = {
+                    ...change.fields,
+                    content: reverse ? { from: other, to: current } : { from: current, to: other }
+                };
+                contentAt.set(change.id, other);
+            }
+        };
+        
+        // Walk back from the current state for undoable entries, and forward for redoable ones
+        resetContent();
+        for (let i = headIndex; i > 0; i--) {
+            [...entries[i].changes.cards].reverse().forEach(change => materialize(change, true));
+        }
+        resetContent();
+        for (let i = headIndex + 1; i < entries.length; i++) {
+            entries[i].changes.cards.forEach(change => materialize(change, false));
+        }
+        
+        return entries;
+    }
+    
+    // Continue a history saved with the board; if it doesn't match the loaded board, start a new one
+    restoreHistory(saved) {
+        this.clearHistory();
+        
+        const currentState = this.captureCurrentState();
+        const isValid = saved && Array.isArray(saved.entries) && saved.entries.length > 0 &&
+            saved.currentIndex >= 0 && saved.currentIndex < saved.entries.length &&
+            saved.fingerprint === this.fingerprint(currentState);
+        
+        if (!isValid) {
+            if (saved) {
+                console.log('Saved undo history does not match the board, starting a new one');
+            }
+            this.initialize();
+            return false;
+        }
+        
+        this.history = saved.entries.map(entry => {
+            const restored = { ...entry, selection: entry.selection || {} };
+            restored.size = this.estimateSize(restored);
+            this.historyBytes += restored.size;
+            return restored;
+        });
+        this.currentIndex = saved.currentIndex;
+        this.shadow = currentState;
+        this.markChanged();
+        
+        console.log(`Restored undo history (${this.history.length} steps)`);
+        return true;
+    }
+    
     // Get history statistics
     getStats() {
         return {
@@ -285,7 +817,8 @@ class UndoRedoManager {
             canRedo: this.canRedo(),
             undoOperation: this.getUndoOperation(),
             redoOperation: this.getRedoOperation(),
-            maxSize: this.maxHistorySize
+            maxSize: this.maxHistorySize,
+            memoryUsage: this.historyBytes
         };
     }
-}
\ No newline at end of file
+}
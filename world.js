@@ -3,8 +3,13 @@ class World {
     constructor() {
         // State
         this.isDragging = false;
+        this.panPointerId = null;
         this.startX = 0;
         this.startY = 0;
+        
+        // Touch points on the canvas (pointer ID -> screen position); two of them pinch-zoom and pan
+        this.touches = new Map();
+        this.pinch = null;
         this.translateX = 0;
         this.translateY = 0;
         
@@ -20,6 +25,7 @@ class World {
         this.MIN_SCALE = 0.1;  // Extended zoom out
         this.MAX_SCALE = 2;    // Extended zoom in
         this.ZOOM_SENSITIVITY = 0.0015;
+        this.FIT_PADDING = 60; // screen px kept around content when zooming to fit
         
         // Grid settings
         this.BASE_GRID_SPACING = 20;
@@ -46,30 +52,61 @@ class World {
     }
     
     setupEventListeners() {
-        // Left mouse button panning (changed from middle button)
-        this.viewport.addEventListener('mousedown', (e) => {
-            if (e.button === 0 && !window.cardManager?.isDraggingCard && !e.target.closest('.card')) {
+        // Left button or one-finger panning; Shift+drag is reserved for marquee selection
+        this.viewport.addEventListener('pointerdown', (e) => {
+            if (e.button === 0 && !e.shiftKey && !this.pinch && !window.cardManager?.isDraggingCard && !e.target.closest('.card')) {
                 e.preventDefault();
                 this.isDragging = true;
+                this.panPointerId = e.pointerId;
                 this.startX = e.clientX - this.translateX;
                 this.startY = e.clientY - this.translateY;
                 this.world.style.transition = 'none';
             }
         });
         
-        document.addEventListener('mousemove', (e) => {
-            if (!this.isDragging || window.cardManager?.isDraggingCard) return;
+        document.addEventListener('pointermove', (e) => {
+            if (this.touches.has(e.pointerId)) {
+                this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            }
+            if (this.pinch && this.pinch.pointerIds.includes(e.pointerId)) {
+                this.updatePinch();
+                return;
+            }
+            if (!this.isDragging || e.pointerId !== this.panPointerId || window.cardManager?.isDraggingCard) return;
             
             this.translateX = this.targetTX = e.clientX - this.startX;
             this.translateY = this.targetTY = e.clientY - this.startY;
             this.updateUI();
         });
         
-        document.addEventListener('mouseup', (e) => {
-            if (e.button === 0 && this.isDragging) {
+        const endPointer = (e) => {
+            if (this.isDragging && e.pointerId === this.panPointerId) {
                 this.isDragging = false;
+                this.panPointerId = null;
             }
-        });
+            
+            // Lifting either pinching finger ends the pinch; the other one doesn't start panning
+            this.touches.delete(e.pointerId);
+            if (this.pinch && this.pinch.pointerIds.includes(e.pointerId)) {
+                this.pinch = null;
+            }
+        };
+        document.addEventListener('pointerup', endPointer);
+        document.addEventListener('pointercancel', endPointer);
+        
+        // A second finger anywhere on the canvas (cards included) turns the gesture into a pinch
+        this.viewport.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size >= 2) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!this.pinch) {
+                    this.startPinch();
+                }
+            }
+        }, true);
         
         // Zoom with mouse wheel
         this.viewport.addEventListener('wheel', (e) => {
@@ -86,21 +123,7 @@ class World {
             const mouseX = e.clientX - rect.left;
             const mouseY = e.clientY - rect.top;
             
-            // Pre-zoom world coords under cursor
-            const worldX = (mouseX - this.targetTX);
-            const worldY = (mouseY - this.targetTY);
-            
-            // Compute target zoom
-            const zoom = Math.exp(deltaY * this.ZOOM_SENSITIVITY);
-            const newTargetScale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, this.targetScale * zoom));
-            const scaleFactor = newTargetScale / this.targetScale;
-            
-            // Re-anchor pan so cursor stays fixed while zooming
-            this.targetTX = mouseX - worldX * scaleFactor;
-            this.targetTY = mouseY - worldY * scaleFactor;
-            this.targetScale = newTargetScale;
-            
-            this.kickAnimation();
+            this.zoomBy(Math.exp(deltaY * this.ZOOM_SENSITIVITY), mouseX, mouseY);
         }, { passive: false });
         
         // Prevent context menu
@@ -109,10 +132,78 @@ class World {
         });
     }
     
+    // Smoothly zoom by a factor, keeping the point under the given screen position fixed
+    zoomBy(factor, screenX, screenY) {
+        // Pre-zoom world coords under cursor
+        const worldX = (screenX - this.targetTX);
+        const worldY = (screenY - this.targetTY);
+        
+        // Compute target zoom
+        const newTargetScale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, this.targetScale * factor));
+        const scaleFactor = newTargetScale / this.targetScale;
+        
+        // Re-anchor pan so cursor stays fixed while zooming
+        this.targetTX = screenX - worldX * scaleFactor;
+        this.targetTY = screenY - worldY * scaleFactor;
+        this.targetScale = newTargetScale;
+        
+        this.kickAnimation();
+    }
+    
+    // Stop a pan in progress (a long press turns it into a selection)
+    cancelPan() {
+        this.isDragging = false;
+        this.panPointerId = null;
+    }
+    
+    startPinch() {
+        // Whatever the first finger was doing (panning, dragging a card) stops here
+        this.cancelPan();
+        if (window.cardManager) {
+            window.cardManager.endPointerGesture();
+        }
+        
+        const pointerIds = Array.from(this.touches.keys()).slice(0, 2);
+        const [a, b] = pointerIds.map(id => this.touches.get(id));
+        const rect = this.viewport.getBoundingClientRect();
+        const midX = (a.x + b.x) / 2 - rect.left;
+        const midY = (a.y + b.y) / 2 - rect.top;
+        
+        // Settle any running animation so the gesture starts from what is on screen
+        this.targetTX = this.translateX;
+        this.targetTY = this.translateY;
+        this.targetScale = this.scale;
+        
+        this.pinch = {
+            pointerIds: pointerIds,
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            scale: this.scale,
+            worldX: (midX - this.translateX) / this.scale,
+            worldY: (midY - this.translateY) / this.scale
+        };
+        this.world.style.transition = 'none';
+    }
+    
+    // Zoom by the change in finger distance, keeping the world point under the starting midpoint under the current one
+    updatePinch() {
+        const [a, b] = this.pinch.pointerIds.map(id => this.touches.get(id));
+        const rect = this.viewport.getBoundingClientRect();
+        const midX = (a.x + b.x) / 2 - rect.left;
+        const midY = (a.y + b.y) / 2 - rect.top;
+        
+        const distance = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+        const scale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, this.pinch.scale * distance / this.pinch.distance));
+        
+        this.scale = this.targetScale = scale;
+        this.translateX = this.targetTX = midX - this.pinch.worldX * scale;
+        this.translateY = this.targetTY = midY - this.pinch.worldY * scale;
+        this.updateUI();
+    }
+    
     applyWorldTransform() {
         this.world.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
     }
-    
+
 applyGrid() {
     // Hide grid when zoomed out too far
     if (this.scale < 0.35) {
@@ -166,6 +257,32 @@ applyGrid() {
         }
     }
     
+    // Smoothly pan (and optionally zoom) so a world point ends up in the middle of the viewport
+    animateTo(worldX, worldY, scale = this.targetScale) {
+        const rect = this.viewport.getBoundingClientRect();
+        
+        this.targetScale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, scale));
+        this.targetTX = rect.width / 2 - worldX * this.targetScale;
+        this.targetTY = rect.height / 2 - worldY * this.targetScale;
+        
+        this.kickAnimation();
+    }
+    
+    // Smoothly pan and zoom so a world rectangle fills the viewport, with padding
+    fitBounds(bounds, padding = this.FIT_PADDING) {
+        const rect = this.viewport.getBoundingClientRect();
+        const availableWidth = Math.max(1, rect.width - padding * 2);
+        const availableHeight = Math.max(1, rect.height - padding * 2);
+        
+        const scale = Math.min(
+            availableWidth / Math.max(1, bounds.width),
+            availableHeight / Math.max(1, bounds.height)
+        );
+        
+        // animateTo clamps the scale to MIN_SCALE/MAX_SCALE
+        this.animateTo(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, scale);
+    }
+    
     // Convert screen coordinates to world coordinates
     screenToWorld(screenX, screenY) {
         const worldX = (screenX - this.translateX) / this.scale;